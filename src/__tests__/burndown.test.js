@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.model.js';
+import Project from '../models/Project.model.js';
+import AuditLog from '../models/AuditLog.model.js';
+import { buildBurnSeries } from '../services/burndown.service.js';
+
+const tenantId = new mongoose.Types.ObjectId();
+const projectId = new mongoose.Types.ObjectId();
+
+let tasks = [];
+let deletedLogs = [];
+let logs = [];
+
+// Chainable stand-in for Model.find(...).select(...).sort(...).lean()
+const query = (result) => ({
+  select: () => query(result),
+  sort: () => query(result),
+  lean: async () => result
+});
+
+const originals = { taskFind: Task.find, projectFind: Project.find, auditFind: AuditLog.find };
+
+beforeAll(() => {
+  Task.find = () => query(tasks);
+  Project.find = () => ({ select: async () => [] });
+  AuditLog.find = (filter) => filter.action === 'DELETE'
+    ? query(deletedLogs)
+    : query(logs.filter(l => filter.resourceId.$in.some(id => id.toString() === l.resourceId.toString())));
+});
+
+afterAll(() => {
+  Task.find = originals.taskFind;
+  Project.find = originals.projectFind;
+  AuditLog.find = originals.auditFind;
+});
+
+beforeEach(() => {
+  tasks = [];
+  deletedLogs = [];
+  logs = [];
+});
+
+const series = () => buildBurnSeries({
+  tenantId,
+  taskQuery: { projectId },
+  deletedFilter: { 'changes.before.projectId': projectId },
+  startDate: new Date('2026-03-02T00:00:00Z'),
+  endDate: new Date('2026-03-04T00:00:00Z')
+});
+
+const liveTask = (fields) => {
+  const task = { _id: new mongoose.Types.ObjectId(), projectId, status: 'TODO', statusCategory: 'TODO', ...fields };
+  tasks.push(task);
+  return task;
+};
+
+describe('Burn series', () => {
+  test('tasks without a CREATE entry count from their createdAt', async () => {
+    liveTask({ estimatedHours: 8, createdAt: new Date('2026-03-03T10:00:00Z') });
+
+    const days = await series();
+
+    expect(days.map(d => d.totalScope)).toEqual([0, 8, 8]);
+    expect(days[1].scopeAdded).toBe(8);
+  });
+
+  test('tasks with no known start date are left out instead of existing since 1970', async () => {
+    liveTask({ estimatedHours: 8, createdAt: new Date('2026-02-01T00:00:00Z') });
+    liveTask({ estimatedHours: 5 });
+    deletedLogs = [{ resourceId: new mongoose.Types.ObjectId(), changes: { before: { projectId } } }];
+
+    const days = await series();
+
+    expect(days.map(d => d.totalScope)).toEqual([8, 8, 8]);
+    expect(days.every(d => d.scopeAdded === 0 && d.scopeRemoved === 0)).toBe(true);
+  });
+
+  test('deleted tasks without a createdAt start at their first audit entry', async () => {
+    const deletedId = new mongoose.Types.ObjectId();
+    deletedLogs = [{ resourceId: deletedId, changes: { before: { projectId } } }];
+    logs = [
+      {
+        resourceId: deletedId,
+        action: 'UPDATE',
+        timestamp: new Date('2026-03-02T12:00:00Z'),
+        changes: { before: { status: 'TODO', estimatedHours: 3 }, after: { estimatedHours: 4 } }
+      },
+      {
+        resourceId: deletedId,
+        action: 'DELETE',
+        timestamp: new Date('2026-03-03T12:00:00Z'),
+        changes: { before: { status: 'TODO', estimatedHours: 4 } }
+      }
+    ];
+
+    const days = await series();
+
+    expect(days.map(d => d.totalScope)).toEqual([4, 0, 0]);
+    expect(days[1].scopeRemoved).toBe(4);
+  });
+});
@@ -0,0 +1,166 @@
+import {
+  DEFAULT_CALENDAR,
+  addBusinessDays,
+  addWorkingDays,
+  countWorkingDays,
+  fromLocal,
+  getOverdueCutoff,
+  hoursPerDay,
+  isWorkingDay,
+  resolveCalendar,
+  toLocal,
+  validateCalendar,
+  workingDaysBetween,
+  workingHoursBetween
+} from '../services/calendar.service.js';
+
+// 2026-03-02 is a Monday; US daylight saving time starts on Sunday 2026-03-08
+const utc = resolveCalendar(null);
+const withHoliday = resolveCalendar({
+  settings: { calendar: { holidays: [{ date: '2026-03-04', name: 'Founders Day' }] } }
+});
+const newYork = resolveCalendar({ settings: { timezone: 'America/New_York' } });
+
+describe('Calendar resolution', () => {
+  test('the default calendar is Monday to Friday, 9 to 5, in UTC', () => {
+    expect(utc).toMatchObject(DEFAULT_CALENDAR);
+    expect(hoursPerDay(utc)).toBe(8);
+  });
+
+  test('project overrides apply on top of the tenant calendar', () => {
+    const tenant = {
+      settings: {
+        timezone: 'Europe/Berlin',
+        calendar: {
+          workingDays: [1, 2, 3, 4],
+          workingHours: { start: '08:00', end: '16:00' },
+          holidays: [{ date: '2026-12-25', name: 'Christmas' }]
+        }
+      }
+    };
+    const project = {
+      settings: {
+        calendar: {
+          timezone: 'Asia/Tokyo',
+          workingHours: { end: '18:00' },
+          holidays: [{ date: '2026-12-28', name: 'Release freeze' }]
+        }
+      }
+    };
+
+    const calendar = resolveCalendar(tenant, project);
+
+    expect(calendar.timezone).toBe('Asia/Tokyo');
+    expect(calendar.workingDays).toEqual([1, 2, 3, 4]);
+    expect(calendar.workingHours).toEqual({ start: '08:00', end: '18:00' });
+    expect([...calendar.holidayDates]).toEqual(['2026-12-25', '2026-12-28']);
+  });
+
+  test('an invalid timezone falls back to the next one', () => {
+    const calendar = resolveCalendar({ settings: { timezone: 'Mars/Olympus' } });
+    expect(calendar.timezone).toBe('UTC');
+  });
+});
+
+describe('Working days', () => {
+  test('weekends and holidays are not working days', () => {
+    expect(isWorkingDay(utc, '2026-03-02')).toBe(true);
+    expect(isWorkingDay(utc, '2026-03-07')).toBe(false);
+    expect(isWorkingDay(withHoliday, '2026-03-04')).toBe(false);
+  });
+
+  test('working days in a range count both ends', () => {
+    const monday = new Date('2026-03-02T12:00:00Z');
+    const sunday = new Date('2026-03-08T12:00:00Z');
+
+    expect(countWorkingDays(utc, monday, sunday)).toBe(5);
+    expect(countWorkingDays(withHoliday, monday, sunday)).toBe(4);
+    expect(workingHoursBetween(utc, monday, sunday)).toBe(40);
+  });
+
+  test('business days skip weekends and holidays and keep the time of day', () => {
+    const friday = new Date('2026-03-06T10:00:00Z');
+    expect(addBusinessDays(utc, friday, 1)).toEqual(new Date('2026-03-09T10:00:00Z'));
+
+    const tuesday = new Date('2026-03-03T10:00:00Z');
+    expect(addBusinessDays(withHoliday, tuesday, 1)).toEqual(new Date('2026-03-05T10:00:00Z'));
+  });
+
+  test('business days counted from outside working time start at the next opening', () => {
+    const saturday = new Date('2026-03-07T15:00:00Z');
+    expect(addBusinessDays(utc, saturday, 1)).toEqual(new Date('2026-03-10T09:00:00Z'));
+
+    const earlyMonday = new Date('2026-03-02T06:00:00Z');
+    expect(addBusinessDays(utc, earlyMonday, 1)).toEqual(new Date('2026-03-03T09:00:00Z'));
+  });
+
+  test('business days follow local time across a DST change', () => {
+    // Friday 16:00 EST -> Monday 16:00 EDT
+    const friday = new Date('2026-03-06T21:00:00Z');
+    expect(addBusinessDays(newYork, friday, 1)).toEqual(new Date('2026-03-09T20:00:00Z'));
+  });
+});
+
+describe('Working time', () => {
+  test('working time between two instants is counted in working days', () => {
+    const at = (iso) => new Date(iso);
+
+    expect(workingDaysBetween(utc, at('2026-03-02T09:00:00Z'), at('2026-03-02T13:00:00Z'))).toBe(0.5);
+    expect(workingDaysBetween(utc, at('2026-03-02T13:00:00Z'), at('2026-03-03T13:00:00Z'))).toBe(1);
+    expect(workingDaysBetween(utc, at('2026-03-06T13:00:00Z'), at('2026-03-09T13:00:00Z'))).toBe(1);
+    expect(workingDaysBetween(utc, at('2026-03-03T13:00:00Z'), at('2026-03-02T13:00:00Z'))).toBe(-1);
+  });
+
+  test('adding working days ends at the close of a full day, or the next opening with dayStart', () => {
+    const monday = new Date('2026-03-02T09:00:00Z');
+
+    expect(addWorkingDays(utc, monday, 1)).toEqual(new Date('2026-03-02T17:00:00Z'));
+    expect(addWorkingDays(utc, monday, 1, { dayStart: true })).toEqual(new Date('2026-03-03T09:00:00Z'));
+    expect(addWorkingDays(utc, monday, 1.5)).toEqual(new Date('2026-03-03T13:00:00Z'));
+    expect(addWorkingDays(withHoliday, monday, 3)).toEqual(new Date('2026-03-05T17:00:00Z'));
+  });
+
+  test('local dates and times convert both ways', () => {
+    expect(toLocal(new Date('2026-03-09T20:00:00Z'), 'America/New_York')).toEqual({ dateKey: '2026-03-09', minutes: 16 * 60 });
+    expect(fromLocal('2026-03-06', 16 * 60, 'America/New_York')).toEqual(new Date('2026-03-06T21:00:00Z'));
+  });
+});
+
+describe('Overdue cutoff', () => {
+  test('a task is overdue once the working day it is due on has ended', () => {
+    const dueWednesday = new Date('2026-03-04T00:00:00Z');
+
+    expect(dueWednesday < getOverdueCutoff(utc, new Date('2026-03-04T16:59:00Z'))).toBe(false);
+    expect(dueWednesday < getOverdueCutoff(utc, new Date('2026-03-04T17:00:00Z'))).toBe(true);
+  });
+
+  test('the end of the working day is taken in the calendar timezone', () => {
+    const dueWednesday = new Date('2026-03-04T00:00:00Z');
+
+    // 17:00 UTC is noon in New York: the day is not over there yet
+    expect(dueWednesday < getOverdueCutoff(newYork, new Date('2026-03-04T17:00:00Z'))).toBe(false);
+    expect(dueWednesday < getOverdueCutoff(newYork, new Date('2026-03-04T22:00:00Z'))).toBe(true);
+  });
+});
+
+describe('Calendar validation', () => {
+  test('a valid calendar passes, with every field optional', () => {
+    expect(validateCalendar({})).toBeNull();
+    expect(validateCalendar({
+      timezone: 'Europe/Berlin',
+      workingDays: [1, 2, 3, 4, 5],
+      workingHours: { start: '08:30', end: '17:00' },
+      holidays: [{ date: '2026-12-25', name: 'Christmas' }]
+    })).toBeNull();
+  });
+
+  test('invalid calendars are explained', () => {
+    expect(validateCalendar([])).toContain('must be an object');
+    expect(validateCalendar({ timezone: 'Mars/Olympus' })).toBe('Unknown timezone "Mars/Olympus"');
+    expect(validateCalendar({ workingDays: [] })).toContain('workingDays');
+    expect(validateCalendar({ workingDays: [7] })).toContain('workingDays');
+    expect(validateCalendar({ workingHours: { start: '9:00', end: '17:00' } })).toContain('HH:mm');
+    expect(validateCalendar({ workingHours: { start: '17:00', end: '09:00' } })).toBe('workingHours must end after they start');
+    expect(validateCalendar({ holidays: [{ date: '25/12/2026' }] })).toContain('Invalid holiday date');
+  });
+});
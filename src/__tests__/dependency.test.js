@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.model.js';
+import Task from '../models/Task.model.js';
+import { checkDependencies, validateDependencies } from '../services/dependency.service.js';
+
+const tenantId = new mongoose.Types.ObjectId();
+const managerId = new mongoose.Types.ObjectId();
+
+// In-memory stand-in for the task collection, answering the queries the service makes
+let tasks = [];
+
+const matchesId = (id, condition) => {
+  if (condition?.$in) return condition.$in.map(String).includes(id.toString());
+  if (condition?.$ne) return id.toString() !== condition.$ne.toString();
+  return id.toString() === condition.toString();
+};
+
+const matches = (task, query) => Object.entries(query).every(([key, condition]) => {
+  switch (key) {
+    case 'tenantId':
+      return true;
+    case '_id':
+      return matchesId(task._id, condition);
+    case 'statusCategory':
+      return condition.$in.includes(task.statusCategory);
+    case 'dependencies':
+      return task.dependencies.some(d =>
+        d.type === condition.$elemMatch.type && matchesId(d.taskId, condition.$elemMatch.taskId));
+    case '$or':
+      return condition.some(branch => matches(task, branch));
+    default:
+      throw new Error(`Unexpected query key ${key}`);
+  }
+});
+
+const originalFind = Task.find;
+const originalCountDocuments = Task.countDocuments;
+
+beforeAll(() => {
+  Task.find = (query) => ({ select: async () => tasks.filter(t => matches(t, query)) });
+  Task.countDocuments = async (query) => tasks.filter(t => matches(t, query)).length;
+});
+
+afterAll(() => {
+  Task.find = originalFind;
+  Task.countDocuments = originalCountDocuments;
+});
+
+const makeTask = (title, statusCategory = 'TODO') => {
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    tenantId,
+    title,
+    status: statusCategory,
+    statusCategory,
+    dependencies: []
+  };
+  tasks.push(task);
+  return task;
+};
+
+const link = (from, type, to) => from.dependencies.push({ taskId: to._id, type });
+const dependency = (task, type = 'BLOCKED_BY') => ({ taskId: task._id.toString(), type });
+const validate = (task, dependencies) =>
+  validateDependencies({ tenantId, taskId: task?._id || null, dependencies });
+
+beforeEach(() => {
+  tasks = [];
+});
+
+describe('Dependency validation', () => {
+  test('links default to BLOCKED_BY', async () => {
+    const [a, b] = [makeTask('A'), makeTask('B')];
+    await expect(validate(a, [{ taskId: b._id }])).resolves.toEqual([dependency(b)]);
+  });
+
+  test('malformed lists are rejected', async () => {
+    const [a, b] = [makeTask('A'), makeTask('B')];
+
+    await expect(validate(a, 'B')).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('must be an array') });
+    await expect(validate(a, [{ taskId: 'nope' }])).rejects.toThrow('Invalid dependency task id "nope"');
+    await expect(validate(a, [dependency(b, 'DUPLICATES')])).rejects.toThrow('Invalid dependency type "DUPLICATES"');
+    await expect(validate(a, [dependency(a)])).rejects.toThrow('A task cannot depend on itself');
+    await expect(validate(a, [dependency(b), dependency(b, 'RELATED')])).rejects.toThrow('more than once');
+  });
+
+  test('unknown tasks are rejected', async () => {
+    const a = makeTask('A');
+    const elsewhere = { _id: new mongoose.Types.ObjectId() };
+    await expect(validate(a, [dependency(elsewhere)])).rejects.toThrow('One or more dependency tasks were not found');
+  });
+});
+
+describe('Cycle detection', () => {
+  test('closing a chain back onto its start is a cycle', async () => {
+    const [a, b, c] = [makeTask('A'), makeTask('B'), makeTask('C')];
+    link(a, 'BLOCKED_BY', b);
+    link(b, 'BLOCKED_BY', c);
+
+    await expect(validate(c, [dependency(a)])).rejects.toThrow('would create a cycle');
+    await expect(validate(c, [dependency(a, 'RELATED')])).resolves.toHaveLength(1);
+  });
+
+  test('links stored on the other task count too', async () => {
+    const [a, b, c] = [makeTask('A'), makeTask('B'), makeTask('C')];
+    // A waits for B, B waits for C, both recorded on the blocking side
+    link(b, 'BLOCKS', a);
+    link(c, 'BLOCKS', b);
+
+    await expect(validate(a, [dependency(c, 'BLOCKS')])).rejects.toThrow('would create a cycle');
+    // C keeps blocking B and now also waits for A
+    await expect(validate(c, [dependency(b, 'BLOCKS'), dependency(a)])).rejects.toThrow('would create a cycle');
+  });
+
+  test('a task may wait for something its blockers also wait for', async () => {
+    const [a, b, c] = [makeTask('A'), makeTask('B'), makeTask('C')];
+    link(a, 'BLOCKED_BY', b);
+    link(b, 'BLOCKED_BY', c);
+
+    await expect(validate(a, [dependency(b), dependency(c)])).resolves.toHaveLength(2);
+    await expect(validate(c, [dependency(a, 'BLOCKS')])).resolves.toHaveLength(1);
+  });
+
+  test('the proposed list replaces the stored one', async () => {
+    const [a, b] = [makeTask('A'), makeTask('B')];
+    link(a, 'BLOCKED_BY', b);
+
+    // Dropping A's link to B and reversing it is not a cycle
+    await expect(validate(a, [dependency(b, 'BLOCKS')])).resolves.toHaveLength(1);
+  });
+
+  test('new tasks cannot close a cycle and skip the check', async () => {
+    const b = makeTask('B');
+    await expect(validate(null, [dependency(b)])).resolves.toHaveLength(1);
+  });
+});
+
+describe('Status changes on blocked tasks', () => {
+  const makeProject = (dependencyEnforcement) => new Project({
+    tenantId,
+    name: 'Website',
+    ownerId: managerId,
+    managerId,
+    settings: dependencyEnforcement ? { dependencyEnforcement } : {}
+  });
+
+  const blockedTask = () => {
+    const [a, b] = [makeTask('A'), makeTask('Design review', 'IN_PROGRESS')];
+    link(a, 'BLOCKED_BY', b);
+    return { task: a, blocker: b };
+  };
+
+  test('starting a blocked task is refused by default', async () => {
+    const { task, blocker } = blockedTask();
+    const result = await checkDependencies({ task, toStatus: 'IN_PROGRESS', project: makeProject() });
+
+    expect(result).toMatchObject({
+      allowed: false,
+      statusCode: 409,
+      message: 'Task is blocked by 1 open task(s): "Design review"',
+      blockedBy: [{ _id: blocker._id, title: 'Design review' }]
+    });
+  });
+
+  test('WARN lets the change through with a warning, OFF says nothing', async () => {
+    const { task } = blockedTask();
+
+    const warned = await checkDependencies({ task, toStatus: 'DONE', project: makeProject('WARN') });
+    expect(warned).toMatchObject({ allowed: true, warning: expect.stringContaining('"Design review"') });
+
+    const off = await checkDependencies({ task, toStatus: 'DONE', project: makeProject('OFF') });
+    expect(off).toEqual({ allowed: true });
+  });
+
+  test('only moves into started or finished categories are guarded', async () => {
+    const { task } = blockedTask();
+    const project = makeProject();
+
+    expect(await checkDependencies({ task, toStatus: 'CANCELLED', project })).toEqual({ allowed: true });
+
+    task.statusCategory = 'IN_PROGRESS';
+    expect(await checkDependencies({ task, toStatus: 'IN_REVIEW', project })).toEqual({ allowed: true });
+  });
+
+  test('closed blockers no longer block', async () => {
+    const { task, blocker } = blockedTask();
+    blocker.statusCategory = 'DONE';
+
+    expect(await checkDependencies({ task, toStatus: 'IN_PROGRESS', project: makeProject() })).toEqual({ allowed: true });
+  });
+});
@@ -0,0 +1,238 @@
+import EmailMessage from '../models/EmailMessage.model.js';
+import Tenant from '../models/Tenant.model.js';
+import {
+  getRetryDelay,
+  processNextEmail,
+  requeueEmail,
+  serializeEmailMessage
+} from '../services/emailQueue.service.js';
+import { sendPasswordResetEmail, sendTemplatedEmail } from '../services/email.service.js';
+import { failNextEmails, getSentEmails, resetMemoryTransport } from '../services/mailTransport.service.js';
+
+const MINUTE = 60 * 1000;
+
+// Stand-in for the emailmessages collection: the model's queries are swapped
+// for ones over this array, so the queue runs without a database
+let queue = [];
+const original = {
+  create: EmailMessage.create,
+  findOneAndUpdate: EmailMessage.findOneAndUpdate,
+  save: EmailMessage.prototype.save,
+  tenantFindById: Tenant.findById
+};
+
+beforeAll(() => {
+  process.env.EMAIL_TRANSPORT = 'memory';
+
+  EmailMessage.create = async (doc) => {
+    const message = new EmailMessage(doc);
+    queue.push(message);
+    return message;
+  };
+  EmailMessage.findOneAndUpdate = (filter, update) => ({
+    select: async () => {
+      const now = update.lockedAt;
+      const message = queue
+        .filter(m => m.status === 'QUEUED' && m.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+      if (!message) return null;
+      message.set(update);
+      return message;
+    }
+  });
+  EmailMessage.prototype.save = async function() {
+    return this;
+  };
+  Tenant.findById = () => ({ select: async () => null });
+});
+
+afterAll(() => {
+  delete process.env.EMAIL_TRANSPORT;
+  EmailMessage.create = original.create;
+  EmailMessage.findOneAndUpdate = original.findOneAndUpdate;
+  EmailMessage.prototype.save = original.save;
+  Tenant.findById = original.tenantFindById;
+});
+
+beforeEach(() => {
+  queue = [];
+  resetMemoryTransport();
+});
+
+const queueWelcome = (variables = { userName: 'Jane Doe', loginUrl: 'http://localhost:5173/login' }) =>
+  sendTemplatedEmail({ to: 'jane@example.com', template: 'welcome', variables });
+
+describe('Email queue', () => {
+  test('emails are queued, then sent by the worker', async () => {
+    const message = await sendPasswordResetEmail('jane@example.com', 'abc123', 'Jane Doe');
+
+    expect(message.status).toBe('QUEUED');
+    expect(getSentEmails()).toHaveLength(0);
+
+    const now = new Date();
+    const processed = await processNextEmail({ now });
+
+    expect(processed.status).toBe('SENT');
+    expect(processed.attempts).toBe(1);
+    expect(processed.sentAt).toEqual(now);
+    expect(processed.locale).toBe('en');
+    expect(processed.variables).toBeUndefined();
+
+    const [sent] = getSentEmails();
+    expect(sent.to).toBe('jane@example.com');
+    expect(sent.subject).toBe(processed.subject);
+    expect(sent.messageId).toBe(processed.messageId);
+    expect(sent.text).toContain('/reset-password?token=abc123');
+    expect(processed.secrets).toBeUndefined();
+
+    expect(await processNextEmail({ now })).toBeNull();
+  });
+
+  test('reset links are stored encrypted, apart from the other variables', async () => {
+    const message = await sendPasswordResetEmail('jane@example.com', 'abc123', 'Jane Doe');
+
+    expect(message.hasSecrets).toBe(true);
+    expect(message.variables).not.toHaveProperty('resetUrl');
+    expect(typeof message.secrets).toBe('string');
+    expect(message.secrets).not.toContain('abc123');
+  });
+
+  test('a reset email still queued when its token expires goes dead unsent', async () => {
+    const message = await sendPasswordResetEmail('jane@example.com', 'abc123', 'Jane Doe');
+
+    const processed = await processNextEmail({ now: new Date(message.expiresAt.getTime() + 1000) });
+
+    expect(processed.status).toBe('DEAD');
+    expect(processed.lastError).toBe('Expired before it could be sent');
+    expect(processed.secrets).toBeUndefined();
+    expect(getSentEmails()).toHaveLength(0);
+    await expect(requeueEmail(processed)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('a dead reset email loses its link and cannot be retried', async () => {
+    const message = await sendPasswordResetEmail('jane@example.com', 'abc123', 'Jane Doe');
+    message.maxAttempts = 1;
+    failNextEmails(1);
+
+    const processed = await processNextEmail();
+
+    expect(processed.status).toBe('DEAD');
+    expect(processed.secrets).toBeUndefined();
+    await expect(requeueEmail(processed)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('failed sends are retried with exponential backoff', async () => {
+    await queueWelcome();
+    failNextEmails(2);
+
+    const start = new Date();
+    const first = await processNextEmail({ now: start });
+    expect(first.status).toBe('QUEUED');
+    expect(first.attempts).toBe(1);
+    expect(first.lastError).toBe('Simulated SMTP failure');
+    expect(first.nextAttemptAt).toEqual(new Date(start.getTime() + MINUTE));
+
+    // Not due yet
+    expect(await processNextEmail({ now: new Date(start.getTime() + 30 * 1000) })).toBeNull();
+
+    const retryAt = first.nextAttemptAt;
+    const second = await processNextEmail({ now: retryAt });
+    expect(second.attempts).toBe(2);
+    expect(second.nextAttemptAt).toEqual(new Date(retryAt.getTime() + 2 * MINUTE));
+
+    const third = await processNextEmail({ now: second.nextAttemptAt });
+    expect(third.status).toBe('SENT');
+    expect(third.attempts).toBe(3);
+    expect(third.lastError).toBeUndefined();
+    expect(getSentEmails()).toHaveLength(1);
+  });
+
+  test('an email goes dead once its attempts run out', async () => {
+    const message = await queueWelcome();
+    failNextEmails(message.maxAttempts);
+
+    let now = new Date();
+    let processed;
+    for (let i = 0; i < message.maxAttempts; i++) {
+      processed = await processNextEmail({ now });
+      now = new Date(now.getTime() + getRetryDelay(processed.attempts));
+    }
+
+    expect(processed.status).toBe('DEAD');
+    expect(processed.attempts).toBe(message.maxAttempts);
+    expect(processed.deadAt).toBeInstanceOf(Date);
+    expect(await processNextEmail({ now })).toBeNull();
+    expect(getSentEmails()).toHaveLength(0);
+  });
+
+  test('an email that cannot be rendered goes dead without retrying', async () => {
+    await queueWelcome({ userName: 'Jane Doe' });
+
+    const processed = await processNextEmail();
+
+    expect(processed.status).toBe('DEAD');
+    expect(processed.attempts).toBe(1);
+    expect(processed.lastError).toContain('loginUrl');
+    expect(getSentEmails()).toHaveLength(0);
+  });
+
+  test('unknown templates are rejected when queued', async () => {
+    await expect(sendTemplatedEmail({ to: 'jane@example.com', template: 'nope' }))
+      .rejects.toThrow('Unknown email template: nope');
+  });
+
+  test('the tenant sender name and branding are used', async () => {
+    Tenant.findById = () => ({
+      select: async () => ({ name: 'Acme', settings: { branding: { fromName: 'Acme Team' } } })
+    });
+    process.env.SMTP_FROM = 'EWPM <noreply@example.com>';
+
+    try {
+      await sendTemplatedEmail({
+        to: 'jane@example.com',
+        template: 'welcome',
+        tenantId: '000000000000000000000001',
+        variables: { userName: 'Jane Doe', loginUrl: 'http://localhost:5173/login' }
+      });
+      await processNextEmail();
+
+      const [sent] = getSentEmails();
+      expect(sent.from).toEqual({ name: 'Acme Team', address: 'noreply@example.com' });
+      expect(sent.subject).toContain('Acme');
+    } finally {
+      Tenant.findById = () => ({ select: async () => null });
+      delete process.env.SMTP_FROM;
+    }
+  });
+
+  test('retry delays double up to an hour', () => {
+    expect(getRetryDelay(1)).toBe(MINUTE);
+    expect(getRetryDelay(2)).toBe(2 * MINUTE);
+    expect(getRetryDelay(3)).toBe(4 * MINUTE);
+    expect(getRetryDelay(10)).toBe(60 * MINUTE);
+  });
+
+  test('dead emails can be queued again, others cannot', async () => {
+    await queueWelcome({ userName: 'Jane Doe' });
+    const dead = await processNextEmail();
+
+    const requeued = await requeueEmail(dead);
+    expect(requeued.status).toBe('QUEUED');
+    expect(requeued.attempts).toBe(0);
+    expect(requeued.deadAt).toBeUndefined();
+
+    const sent = await queueWelcome();
+    sent.status = 'SENT';
+    await expect(requeueEmail(sent)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('the delivery log never exposes template variables', async () => {
+    const message = await sendPasswordResetEmail('jane@example.com', 'abc123', 'Jane Doe');
+
+    const entry = serializeEmailMessage(message);
+
+    expect(entry).not.toHaveProperty('variables');
+    expect(JSON.stringify(entry)).not.toContain('abc123');
+    expect(entry).toMatchObject({ to: 'jane@example.com', template: 'password-reset', status: 'QUEUED', attempts: 0 });
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  DEFAULT_BRANDING,
+  listTemplates,
+  registerTemplate,
+  renderEmail,
+  resolveBranding,
+  resolveLocale
+} from '../services/emailTemplate.service.js';
+
+describe('Email templates', () => {
+  const templates = listTemplates();
+
+  test('every template renders in every locale with its sample data', () => {
+    expect(templates.length).toBeGreaterThan(0);
+
+    templates.forEach(({ name, locales, sample }) => {
+      locales.forEach(locale => {
+        const email = renderEmail(name, { variables: sample, locale });
+
+        expect(email.locale).toBe(locale);
+        expect(email.subject).not.toBe('');
+        expect(email.html).toContain(`<html lang="${locale}">`);
+        expect(email.html).toContain(DEFAULT_BRANDING.name);
+        expect(email.text).toContain(DEFAULT_BRANDING.name);
+      });
+    });
+  });
+
+  test('every template has an English variant and declares its sample variables', () => {
+    templates.forEach(({ locales, variables, sample }) => {
+      expect(locales).toContain('en');
+      variables.forEach(variable => expect(sample).toHaveProperty(variable));
+    });
+  });
+
+  test('a missing declared variable throws in tests', () => {
+    expect(() => renderEmail('welcome', { variables: { userName: 'Jane' } }))
+      .toThrow('Missing variables for email template "welcome": loginUrl');
+
+    expect.assertions(2);
+    try {
+      renderEmail('welcome', { variables: { userName: null, loginUrl: 'http://localhost:5173/login' } });
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+    }
+  });
+
+  test('a field the template uses but does not declare also throws', () => {
+    registerTemplate({
+      name: 'test-undeclared',
+      locales: { en: { subject: 'Hi', html: '<p>{{userName}}</p>', text: '{{userName}}' } }
+    });
+
+    expect(() => renderEmail('test-undeclared')).toThrow(/could not be rendered/);
+  });
+
+  test('lenient mode renders missing variables empty', () => {
+    const email = renderEmail('welcome', { variables: { userName: 'Jane' }, strict: false });
+
+    expect(email.text).toContain('Jane');
+  });
+
+  test('an unknown template is a 404', () => {
+    expect(() => renderEmail('nope')).toThrow('Unknown email template: nope');
+  });
+
+  test('locales fall back to the language, then to English', () => {
+    expect(resolveLocale(['en', 'es'], 'es-MX')).toBe('es');
+    expect(resolveLocale(['en', 'es'], 'ES')).toBe('es');
+    expect(resolveLocale(['en', 'es'], 'fr')).toBe('en');
+    expect(resolveLocale(['en', 'es'])).toBe('en');
+
+    const sample = templates.find(t => t.name === 'welcome').sample;
+    expect(renderEmail('welcome', { variables: sample, locale: 'es-MX' }).locale).toBe('es');
+    expect(renderEmail('welcome', { variables: sample, locale: 'fr' }).locale).toBe('en');
+  });
+
+  test('tenant branding is applied', () => {
+    const branding = resolveBranding({
+      name: 'Acme',
+      settings: {
+        branding: { logoUrl: 'https://acme.test/logo.png', primaryColor: '#ff0000', fromName: 'Acme Team' }
+      }
+    });
+    expect(branding).toEqual({
+      name: 'Acme',
+      logoUrl: 'https://acme.test/logo.png',
+      primaryColor: '#ff0000',
+      fromName: 'Acme Team'
+    });
+
+    const sample = templates.find(t => t.name === 'password-reset').sample;
+    const email = renderEmail('password-reset', { variables: sample, branding });
+
+    expect(email.subject).toContain('Acme');
+    expect(email.html).toContain('src="https://acme.test/logo.png"');
+    expect(email.html).toContain('#ff0000');
+    expect(email.html).not.toContain(DEFAULT_BRANDING.primaryColor);
+    expect(email.text).toContain('Acme');
+  });
+
+  test('branding falls back to the defaults', () => {
+    expect(resolveBranding(null)).toEqual(DEFAULT_BRANDING);
+    expect(resolveBranding({ name: 'Acme' }).name).toBe('Acme');
+    expect(resolveBranding({ name: 'Acme', settings: { branding: { name: 'Acme Corp' } } }).name).toBe('Acme Corp');
+  });
+
+  test('variables are escaped in HTML but not in plain text', () => {
+    const sample = templates.find(t => t.name === 'notification').sample;
+    const email = renderEmail('notification', {
+      variables: { ...sample, message: '<script>alert("x")</script>' }
+    });
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('&lt;script&gt;');
+    expect(email.text).toContain('<script>alert("x")</script>');
+  });
+});
@@ -0,0 +1,76 @@
+import { rankBetween, initialRanks } from '../utils/rank.js';
+
+const isStrictlySorted = (ranks) => ranks.every((rank, i) => i === 0 || ranks[i - 1] < rank);
+
+describe('Lexicographic ranks', () => {
+  test('a rank between two neighbours sorts strictly between them', () => {
+    expect(rankBetween(null, null)).toBeTruthy();
+
+    const rank = rankBetween('a', 'b');
+    expect(rank > 'a' && rank < 'b').toBe(true);
+
+    const deeper = rankBetween('a', 'a1');
+    expect(deeper > 'a' && deeper < 'a1').toBe(true);
+  });
+
+  test('neighbours in the wrong order are rejected', () => {
+    expect(() => rankBetween('b', 'a')).toThrow('Cannot rank between "b" and "a"');
+    expect(() => rankBetween('a', 'a')).toThrow();
+  });
+
+  test('appending keeps ranks ordered without growing them', () => {
+    const ranks = [rankBetween(null, null)];
+    for (let i = 0; i < 500; i++) {
+      ranks.push(rankBetween(ranks[ranks.length - 1], null));
+    }
+
+    expect(isStrictlySorted(ranks)).toBe(true);
+    expect(Math.max(...ranks.map(rank => rank.length))).toBeLessThanOrEqual(4);
+  });
+
+  test('appending after the largest possible rank goes one digit deeper', () => {
+    const rank = rankBetween('zzzz', null);
+    expect(rank > 'zzzz').toBe(true);
+  });
+
+  test('inserting at the top keeps ranks ordered', () => {
+    const ranks = [rankBetween(null, null)];
+    for (let i = 0; i < 100; i++) {
+      ranks.unshift(rankBetween(null, ranks[0]));
+    }
+
+    expect(isStrictlySorted(ranks)).toBe(true);
+  });
+
+  test('repeated inserts into the same gap keep ranks ordered', () => {
+    let [low, high] = initialRanks(2);
+    for (let i = 0; i < 100; i++) {
+      const rank = rankBetween(low, high);
+      expect(rank > low && rank < high).toBe(true);
+      // Alternate sides so the gap shrinks from both ends
+      if (i % 2) low = rank; else high = rank;
+    }
+  });
+});
+
+describe('Rebalancing a list', () => {
+  test('initial ranks are evenly spaced, ordered and the same width', () => {
+    const ranks = initialRanks(1000);
+
+    expect(ranks).toHaveLength(1000);
+    expect(isStrictlySorted(ranks)).toBe(true);
+    expect(new Set(ranks.map(rank => rank.length)).size).toBe(1);
+    expect(initialRanks(0)).toEqual([]);
+  });
+
+  test('there is room to insert between any two rebalanced neighbours', () => {
+    const ranks = initialRanks(50);
+
+    ranks.slice(1).forEach((after, i) => {
+      const rank = rankBetween(ranks[i], after);
+      expect(rank > ranks[i] && rank < after).toBe(true);
+    });
+    expect(rankBetween(null, ranks[0]) < ranks[0]).toBe(true);
+    expect(rankBetween(ranks[49], null) > ranks[49]).toBe(true);
+  });
+});
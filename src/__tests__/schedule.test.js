@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.model.js';
+import Tenant from '../models/Tenant.model.js';
+import { buildProjectSchedule } from '../services/schedule.service.js';
+
+// 2026-03-02 is a Monday; the tenant has the default UTC 09:00-17:00 calendar
+const monday = new Date('2026-03-02T09:00:00Z');
+const tenantId = new mongoose.Types.ObjectId();
+
+const originalTaskFind = Task.find;
+const originalTenantFindById = Tenant.findById;
+let tasks = [];
+
+beforeAll(() => {
+  Tenant.findById = () => ({ select: async () => null });
+  Task.find = () => ({ select: () => ({ populate: async () => tasks }) });
+});
+
+afterAll(() => {
+  Tenant.findById = originalTenantFindById;
+  Task.find = originalTaskFind;
+});
+
+beforeEach(() => {
+  tasks = [];
+});
+
+const makeProject = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  startDate: monday,
+  settings: {},
+  ...fields
+});
+
+const makeTask = (title, fields = {}) => {
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    title,
+    status: 'TODO',
+    statusCategory: 'TODO',
+    estimatedHours: 8,
+    dependencies: [],
+    ...fields
+  };
+  tasks.push(task);
+  return task;
+};
+
+const waitsFor = (task, blocker) => task.dependencies.push({ taskId: blocker._id, type: 'BLOCKED_BY' });
+const entry = (schedule, task) => schedule.tasks.find(t => t.taskId === task._id);
+
+describe('Project schedule', () => {
+  test('the longest chain of dependent work is the critical path', async () => {
+    const design = makeTask('Design', { estimatedHours: 16 });
+    const build = makeTask('Build');
+    const docs = makeTask('Docs');
+    waitsFor(build, design);
+
+    const schedule = await buildProjectSchedule(makeProject(), { now: monday });
+
+    expect(schedule.criticalPath).toEqual([design._id, build._id]);
+    expect(schedule.projectedFinish).toEqual(new Date('2026-03-04T17:00:00Z'));
+    expect(entry(schedule, build)).toMatchObject({
+      dependsOn: [design._id.toString()],
+      earliestStart: new Date('2026-03-04T09:00:00Z'),
+      earliestFinish: new Date('2026-03-04T17:00:00Z'),
+      slackDays: 0,
+      critical: true
+    });
+    expect(entry(schedule, docs)).toMatchObject({
+      earliestStart: monday,
+      latestStart: new Date('2026-03-04T09:00:00Z'),
+      slackDays: 2,
+      slackHours: 16,
+      critical: false
+    });
+  });
+
+  test('links recorded on the blocking task order the schedule too', async () => {
+    const design = makeTask('Design');
+    const build = makeTask('Build');
+    design.dependencies.push({ taskId: build._id, type: 'BLOCKS' });
+
+    const schedule = await buildProjectSchedule(makeProject(), { now: monday });
+
+    expect(schedule.tasks.map(t => t.title)).toEqual(['Design', 'Build']);
+    expect(entry(schedule, build).earliestStart).toEqual(new Date('2026-03-03T09:00:00Z'));
+  });
+
+  test('completed work is pinned and open work only counts what is left', async () => {
+    const design = makeTask('Design', {
+      statusCategory: 'DONE',
+      estimatedHours: 16,
+      completedAt: new Date('2026-03-03T17:00:00Z')
+    });
+    const build = makeTask('Build', { statusCategory: 'IN_PROGRESS', estimatedHours: 16, actualHours: 8 });
+    waitsFor(build, design);
+
+    const schedule = await buildProjectSchedule(makeProject(), { now: new Date('2026-03-04T09:00:00Z') });
+
+    expect(entry(schedule, design)).toMatchObject({ earliestStart: monday, slackDays: 0, critical: false });
+    expect(entry(schedule, build)).toMatchObject({ durationDays: 1, critical: true });
+    expect(schedule.criticalPath).toEqual([build._id]);
+  });
+
+  test('open work that slips pushes everything waiting for it', async () => {
+    const design = makeTask('Design');
+    const build = makeTask('Build');
+    waitsFor(build, design);
+
+    const schedule = await buildProjectSchedule(makeProject(), { now: new Date('2026-03-05T09:00:00Z') });
+
+    expect(entry(schedule, design).earliestStart).toEqual(new Date('2026-03-05T09:00:00Z'));
+    expect(entry(schedule, build).earliestStart).toEqual(new Date('2026-03-06T09:00:00Z'));
+    expect(schedule.projectedFinish).toEqual(new Date('2026-03-06T17:00:00Z'));
+  });
+
+  test('due dates bound the latest finish and flag late tasks', async () => {
+    const design = makeTask('Design', { estimatedHours: 16, dueDate: new Date('2026-03-02T00:00:00Z') });
+    const docs = makeTask('Docs', { estimatedHours: 24 });
+
+    const schedule = await buildProjectSchedule(makeProject({ endDate: new Date('2026-03-03T17:00:00Z') }), { now: monday });
+
+    expect(entry(schedule, design)).toMatchObject({ late: true, slackDays: -1, critical: true });
+    expect(entry(schedule, docs)).toMatchObject({ late: false, critical: true });
+    expect(schedule.overDeadline).toBe(true);
+  });
+
+  test('tasks without an estimate take one working day', async () => {
+    const task = makeTask('Spike', { estimatedHours: 0 });
+
+    const schedule = await buildProjectSchedule(makeProject(), { now: monday });
+
+    expect(entry(schedule, task)).toMatchObject({ estimated: false, durationDays: 1 });
+    expect(schedule.projectedFinish).toEqual(new Date('2026-03-02T17:00:00Z'));
+  });
+
+  test('tasks caught in a legacy cycle are still scheduled', async () => {
+    const a = makeTask('A');
+    const b = makeTask('B');
+    waitsFor(a, b);
+    waitsFor(b, a);
+
+    const schedule = await buildProjectSchedule(makeProject(), { now: monday });
+
+    expect(schedule.tasks).toHaveLength(2);
+  });
+});
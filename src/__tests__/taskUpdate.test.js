@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.model.js';
+import AuditLog from '../models/AuditLog.model.js';
+import { updateTask } from '../controllers/task.controller.js';
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const original = {
+  findOne: Task.findOne,
+  save: Task.prototype.save,
+  populate: Task.prototype.populate,
+  auditCreate: AuditLog.create
+};
+
+let task;
+
+beforeAll(() => {
+  Task.findOne = async () => task;
+  Task.prototype.save = async function() {
+    return this;
+  };
+  Task.prototype.populate = async function() {
+    return this;
+  };
+  AuditLog.create = async (doc) => doc;
+});
+
+afterAll(() => {
+  Task.findOne = original.findOne;
+  Task.prototype.save = original.save;
+  Task.prototype.populate = original.populate;
+  AuditLog.create = original.auditCreate;
+});
+
+beforeEach(() => {
+  task = new Task({
+    tenantId,
+    projectId: new mongoose.Types.ObjectId(),
+    title: 'Write the report',
+    createdBy: userId,
+    attachments: [{ filename: 'brief.pdf', storageKey: `attachments/${tenantId}/brief.pdf`, size: 1024 }]
+  });
+});
+
+const put = async (body) => {
+  const req = {
+    params: { id: task._id.toString() },
+    body,
+    tenantId,
+    user: { id: userId.toString(), role: 'ORG_ADMIN' },
+    ip: '127.0.0.1',
+    get: () => 'jest'
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  let error;
+  await updateTask(req, res, (err) => { error = err; });
+  if (error) throw error;
+  return res;
+};
+
+describe('Task updates', () => {
+  test('a PUT carrying attachments leaves them unchanged', async () => {
+    const res = await put({
+      title: 'Write the final report',
+      attachments: [{ filename: 'evil.pdf', storageKey: 'exports/other-tenant/job.csv' }]
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(task.title).toBe('Write the final report');
+    expect(task.attachments).toHaveLength(1);
+    expect(task.attachments[0].storageKey).toBe(`attachments/${tenantId}/brief.pdf`);
+  });
+
+  test('a PUT cannot clear the attachments either', async () => {
+    await put({ attachments: [] });
+
+    expect(task.attachments).toHaveLength(1);
+  });
+});
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.model.js';
+import Task from '../models/Task.model.js';
+import Tenant from '../models/Tenant.model.js';
+import {
+  checkStatusTransition,
+  resolveWorkflow,
+  validateTaskStatuses,
+  validateWorkflowTransitions
+} from '../services/workflow.service.js';
+
+const tenantId = new mongoose.Types.ObjectId();
+const managerId = new mongoose.Types.ObjectId();
+const leadId = new mongoose.Types.ObjectId();
+const employeeId = new mongoose.Types.ObjectId();
+
+const originalTenantFindById = Tenant.findById;
+let tenant = null;
+
+beforeAll(() => {
+  Tenant.findById = () => ({ select: async () => tenant });
+});
+
+afterAll(() => {
+  Tenant.findById = originalTenantFindById;
+});
+
+beforeEach(() => {
+  tenant = null;
+});
+
+const makeProject = (settings = {}) => new Project({
+  tenantId,
+  name: 'Website',
+  ownerId: managerId,
+  managerId,
+  members: [
+    { userId: leadId, role: 'LEAD' },
+    { userId: employeeId, role: 'MEMBER' }
+  ],
+  settings
+});
+
+const makeTask = (project, status = 'TODO') => new Task({
+  tenantId,
+  projectId: project._id,
+  title: 'Ship it',
+  status,
+  createdBy: managerId
+});
+
+const employee = { id: employeeId.toString(), role: 'EMPLOYEE' };
+const check = (task, toStatus, project, user = employee) =>
+  checkStatusTransition({ task, toStatus, project, user });
+
+describe('Workflow resolution', () => {
+  test('the built-in workflow applies when nothing is configured', async () => {
+    const workflow = await resolveWorkflow(makeProject());
+    expect(workflow.source).toBe('DEFAULT');
+    expect(workflow.transitions).toContainEqual({ from: 'TODO', to: 'IN_PROGRESS', allowedRoles: [] });
+  });
+
+  test('the tenant default applies to projects without their own', async () => {
+    tenant = { settings: { defaultWorkflow: { transitions: [{ from: 'TODO', to: 'DONE', allowedRoles: [] }] } } };
+    const workflow = await resolveWorkflow(makeProject());
+    expect(workflow).toEqual({ source: 'TENANT', transitions: [{ from: 'TODO', to: 'DONE', allowedRoles: [] }] });
+  });
+
+  test('a project workflow wins over the tenant default', async () => {
+    tenant = { settings: { defaultWorkflow: { transitions: [{ from: 'TODO', to: 'DONE', allowedRoles: [] }] } } };
+    const project = makeProject({ workflow: { transitions: [{ from: 'TODO', to: 'IN_REVIEW' }] } });
+    const workflow = await resolveWorkflow(project);
+    expect(workflow).toEqual({ source: 'PROJECT', transitions: [{ from: 'TODO', to: 'IN_REVIEW', allowedRoles: [] }] });
+  });
+
+  test('projects with custom statuses and no workflow of their own are open', async () => {
+    const project = makeProject({
+      statuses: [
+        { key: 'NEW', name: 'New', category: 'TODO', order: 0 },
+        { key: 'SHIPPED', name: 'Shipped', category: 'DONE', order: 1 }
+      ]
+    });
+    expect((await resolveWorkflow(project)).source).toBe('OPEN');
+    expect(await check(makeTask(project, 'NEW'), 'SHIPPED', project)).toEqual({ allowed: true });
+  });
+});
+
+describe('Status transitions', () => {
+  test('keeping the same status is always allowed', async () => {
+    const project = makeProject();
+    expect(await check(makeTask(project), 'TODO', project)).toEqual({ allowed: true });
+  });
+
+  test('a task whose project is gone cannot change status', async () => {
+    const result = await check(makeTask(makeProject()), 'IN_PROGRESS', null);
+    expect(result).toMatchObject({ allowed: false, statusCode: 404 });
+  });
+
+  test('unknown statuses are rejected with the valid ones', async () => {
+    const project = makeProject();
+    const result = await check(makeTask(project), 'SHIPPED', project);
+    expect(result).toMatchObject({ allowed: false, statusCode: 400 });
+    expect(result.message).toContain('Unknown status "SHIPPED"');
+    expect(result.allowedStatuses).not.toContain('TODO');
+  });
+
+  test('moves outside the workflow are rejected with the allowed next statuses', async () => {
+    const project = makeProject();
+    const task = makeTask(project);
+
+    expect(await check(task, 'IN_PROGRESS', project)).toEqual({ allowed: true });
+
+    const result = await check(task, 'DONE', project);
+    expect(result).toMatchObject({ allowed: false, statusCode: 400 });
+    expect(result.message).toBe('Invalid status transition from TODO to DONE');
+    expect(result.allowedStatuses).toEqual(['IN_PROGRESS', 'CANCELLED']);
+  });
+
+  test('role-restricted transitions only let those roles through', async () => {
+    const project = makeProject({
+      workflow: {
+        transitions: [
+          { from: 'IN_REVIEW', to: 'DONE', allowedRoles: ['PROJECT_MANAGER'] },
+          { from: 'IN_REVIEW', to: 'IN_PROGRESS', allowedRoles: ['LEAD'] }
+        ]
+      }
+    });
+    const task = makeTask(project, 'IN_REVIEW');
+
+    const denied = await check(task, 'DONE', project);
+    expect(denied).toMatchObject({ allowed: false, statusCode: 403 });
+    expect(denied.allowedStatuses).toEqual([]);
+
+    // Managing the project makes its manager a PROJECT_MANAGER for it
+    const manager = { id: managerId.toString(), role: 'EMPLOYEE' };
+    expect(await check(task, 'DONE', project, manager)).toEqual({ allowed: true });
+
+    // Project member roles count too
+    const lead = { id: leadId.toString(), role: 'EMPLOYEE' };
+    expect(await check(task, 'IN_PROGRESS', project, lead)).toEqual({ allowed: true });
+    expect(await check(task, 'DONE', project, lead)).toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('Workflow validation', () => {
+  test('a valid workflow passes', () => {
+    expect(validateWorkflowTransitions([
+      { from: 'TODO', to: 'IN_PROGRESS' },
+      { from: 'IN_PROGRESS', to: 'DONE', allowedRoles: ['LEAD', 'ORG_ADMIN'] }
+    ])).toBeNull();
+  });
+
+  test('invalid workflows are explained', () => {
+    expect(validateWorkflowTransitions('TODO->DONE')).toContain('must be an array');
+    expect(validateWorkflowTransitions([{ from: 'TODO', to: 'SHIPPED' }])).toContain('Unknown status');
+    expect(validateWorkflowTransitions([{ from: 'TODO', to: 'TODO' }])).toContain('must change the status');
+    expect(validateWorkflowTransitions([{ from: 'TODO', to: 'DONE', allowedRoles: ['CEO'] }])).toContain('Invalid allowedRoles');
+    expect(validateWorkflowTransitions([
+      { from: 'TODO', to: 'DONE' },
+      { from: 'TODO', to: 'DONE' }
+    ])).toBe('Duplicate transition TODO -> DONE');
+  });
+
+  test('custom status keys can be referenced when given', () => {
+    expect(validateWorkflowTransitions([{ from: 'NEW', to: 'SHIPPED' }], ['NEW', 'SHIPPED'])).toBeNull();
+  });
+
+  test('custom status lists are validated', () => {
+    expect(validateTaskStatuses([{ key: 'NEW', name: 'New', category: 'TODO' }])).toBeNull();
+    expect(validateTaskStatuses([{ key: 'new one', name: 'New', category: 'TODO' }])).toContain('Invalid status key');
+    expect(validateTaskStatuses([{ key: 'NEW', name: 'New', category: 'LATER' }])).toContain('Invalid category');
+    expect(validateTaskStatuses([{ key: 'DONE', name: 'Done', category: 'DONE' }])).toContain('TODO category');
+    expect(validateTaskStatuses([
+      { key: 'NEW', name: 'New', category: 'TODO' },
+      { key: 'new', name: 'Again', category: 'TODO' }
+    ])).toBe('Duplicate status key NEW');
+  });
+});
@@ -0,0 +1,219 @@
+import Task from '../models/Task.model.js';
+import Project from '../models/Project.model.js';
+import { createAuditLog } from '../services/audit.service.js';
+import {
+  storeAttachment,
+  removeAttachment,
+  verifyDownloadToken,
+  serializeAttachment
+} from '../services/attachment.service.js';
+import { getStorage } from '../services/storage.service.js';
+import logger from '../utils/logger.js';
+
+// How long the redirect to a signed bucket URL stays usable
+const STORAGE_URL_TTL_SECONDS = 60;
+
+const findTask = (req) => Task.findOne({
+  _id: req.params.id,
+  tenantId: req.tenantId
+});
+
+// Upload - any user who can access the task (see restrictToOwnTasks)
+export const uploadAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded. Send it as multipart/form-data in the "file" field'
+      });
+    }
+
+    const task = await findTask(req);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const attachment = await storeAttachment({ task, file: req.file, userId: req.user.id });
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'CREATE',
+      resourceType: 'TASK',
+      resourceId: task._id,
+      changes: {
+        action: 'UPLOAD_ATTACHMENT',
+        after: {
+          attachmentId: attachment._id,
+          filename: attachment.filename,
+          mimeType: attachment.mimeType,
+          size: attachment.size,
+          storageDriver: attachment.storageDriver
+        }
+      },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: serializeAttachment(task, attachment)
+    });
+  } catch (error) {
+    logger.error('Upload attachment error:', error);
+    next(error);
+  }
+};
+
+// List with fresh download URLs
+export const getAttachments = async (req, res, next) => {
+  try {
+    const task = await findTask(req).populate('attachments.uploadedBy', 'firstName lastName email');
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: task.attachments.map(attachment => serializeAttachment(task, attachment))
+    });
+  } catch (error) {
+    logger.error('Get attachments error:', error);
+    next(error);
+  }
+};
+
+export const getAttachment = async (req, res, next) => {
+  try {
+    const task = await findTask(req).populate('attachments.uploadedBy', 'firstName lastName email');
+    const attachment = task?.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeAttachment(task, attachment)
+    });
+  } catch (error) {
+    logger.error('Get attachment error:', error);
+    next(error);
+  }
+};
+
+// Delete - the uploader, ORG_ADMIN, or the manager of the task's project
+export const deleteAttachment = async (req, res, next) => {
+  try {
+    const task = await findTask(req);
+    const attachment = task?.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    let allowed = req.user.role === 'ORG_ADMIN' || attachment.uploadedBy?.toString() === req.user.id;
+    if (!allowed && req.user.role === 'PROJECT_MANAGER') {
+      const project = await Project.findById(task.projectId).select('managerId ownerId members');
+      allowed = Boolean(project) && (
+        project.managerId?.toString() === req.user.id ||
+        project.ownerId?.toString() === req.user.id ||
+        project.members?.some(m => m.userId?.toString() === req.user.id && m.role === 'LEAD')
+      );
+    }
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete attachments you uploaded'
+      });
+    }
+
+    const before = {
+      attachmentId: attachment._id,
+      filename: attachment.filename,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      uploadedBy: attachment.uploadedBy,
+      storageDriver: attachment.storageDriver
+    };
+    await removeAttachment({ task, attachment });
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'DELETE',
+      resourceType: 'TASK',
+      resourceId: task._id,
+      changes: { action: 'DELETE_ATTACHMENT', before },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete attachment error:', error);
+    next(error);
+  }
+};
+
+// Download through an expiring link; the token is the only credential
+export const downloadAttachment = async (req, res, next) => {
+  try {
+    const { tenantId, taskId, attachmentId } = verifyDownloadToken(req.params.token);
+
+    const task = await Task.findOne({ _id: taskId, tenantId }).select('attachments');
+    const attachment = task?.attachments.id(attachmentId);
+    if (!attachment?.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const storage = await getStorage();
+    if (storage.getSignedUrl) {
+      const url = await storage.getSignedUrl(attachment.storageKey, {
+        expiresIn: STORAGE_URL_TTL_SECONDS,
+        filename: attachment.filename,
+        contentType: attachment.mimeType
+      });
+      return res.redirect(url);
+    }
+
+    const stream = await storage.getStream(attachment.storageKey);
+    res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(attachment.filename)}"`);
+    if (attachment.size) res.setHeader('Content-Length', attachment.size);
+    stream.on('error', (error) => {
+      logger.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file not found'
+      });
+    }
+    logger.error('Download attachment error:', error);
+    next(error);
+  }
+};
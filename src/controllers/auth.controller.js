@@ -380,7 +380,10 @@ export const forgotPassword = async (req, res, next) => {
 
     // Send password reset email
     try {
-      await sendPasswordResetEmail(email, resetToken, `${user.firstName} ${user.lastName}`);
+      await sendPasswordResetEmail(email, resetToken, `${user.firstName} ${user.lastName}`, {
+        tenantId: user.tenantId,
+        locale: user.locale
+      });
 
       // Create audit log
       await createAuditLog({
@@ -0,0 +1,487 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.model.js';
+import Project from '../models/Project.model.js';
+import User from '../models/User.model.js';
+import Comment from '../models/Comment.model.js';
+import { createAuditLog } from '../services/audit.service.js';
+import { resolveMentions, notifyMentions } from '../services/mention.service.js';
+import {
+  validateCommentContent,
+  validateEmoji,
+  resolveThreadRoot,
+  toggleReaction,
+  serializeComment,
+  getCommentThreads,
+  getCommentReplies as findCommentReplies,
+  emitCommentEvent,
+  notifyCommentAdded
+} from '../services/comment.service.js';
+import logger from '../utils/logger.js';
+
+const findTask = (req) => Task.findOne({
+  _id: req.params.id,
+  tenantId: req.tenantId
+});
+
+// A comment of the task, or null (also for malformed ids)
+const findComment = (task, commentId) => mongoose.Types.ObjectId.isValid(commentId)
+  ? Comment.findOne({ _id: commentId, taskId: task._id })
+  : Promise.resolve(null);
+
+// Who may comment on (and react in) a task: EMPLOYEEs on their own tasks,
+// PROJECT_MANAGERs in projects they manage. Returns an error message or null.
+const commentAccessError = async (req, task) => {
+  if (req.user && req.user.role === 'EMPLOYEE') {
+    if (task.assigneeId?.toString() !== req.user.id) {
+      return 'You can only comment on tasks assigned to you';
+    }
+  }
+  else if (req.user && req.user.role === 'PROJECT_MANAGER') {
+    const project = await Project.findById(task.projectId);
+    if (project) {
+      const isManager = project.managerId?.toString() === req.user.id ||
+                       project.ownerId?.toString() === req.user.id;
+      const isLeadMember = project.members?.some(
+        m => m.userId?.toString() === req.user.id && m.role === 'LEAD'
+      );
+
+      if (!isManager && !isLeadMember) {
+        return 'You can only comment on tasks in projects you manage';
+      }
+    }
+  }
+  return null;
+};
+
+// Comments that @mention the current user, newest first
+export const getMyMentions = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = {
+      tenantId: req.tenantId,
+      mentions: req.user.id,
+      deletedAt: null
+    };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email')
+        .populate('taskId', 'title status assigneeId')
+        .populate('projectId', 'name'),
+      Comment.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: comments.map(comment => ({
+        commentId: comment._id,
+        content: comment.content,
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+        author: comment.userId,
+        task: comment.taskId,
+        project: comment.projectId
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get my mentions error:', error);
+    next(error);
+  }
+};
+
+// Comment threads of a task, a page at a time (?cursor=&limit=)
+export const getComments = async (req, res, next) => {
+  try {
+    const task = await findTask(req).select('projectId');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { threads, nextCursor } = await getCommentThreads(task, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      currentUserId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: threads,
+      nextCursor
+    });
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    next(error);
+  }
+};
+
+// Replies of one thread, a page at a time (?cursor=&limit=)
+export const getCommentReplies = async (req, res, next) => {
+  try {
+    const task = await findTask(req).select('projectId');
+    const comment = task ? await findComment(task, req.params.commentId) : null;
+
+    if (!comment || comment.parentCommentId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment thread not found'
+      });
+    }
+
+    const { replies, nextCursor } = await findCommentReplies(task, comment._id, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      currentUserId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: replies,
+      nextCursor
+    });
+  } catch (error) {
+    logger.error('Get comment replies error:', error);
+    next(error);
+  }
+};
+
+// Add a comment, or a reply with `parentCommentId`
+export const addComment = async (req, res, next) => {
+  try {
+    const { content, parentCommentId } = req.body;
+    const task = await findTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const accessError = await commentAccessError(req, task);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const contentError = validateCommentContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    const threadRootId = parentCommentId ? await resolveThreadRoot(task, parentCommentId) : null;
+
+    const mentioned = await resolveMentions({ tenantId: req.tenantId, content, authorId: req.user.id });
+    const comment = await Comment.create({
+      tenantId: req.tenantId,
+      taskId: task._id,
+      projectId: task.projectId,
+      userId: req.user.id,
+      parentCommentId: threadRootId,
+      content,
+      mentions: mentioned.map(u => u._id)
+    });
+
+    const author = await User.findById(req.user.id).select('firstName lastName email');
+    await notifyMentions({ task, comment, users: mentioned, author });
+    await notifyCommentAdded({ task, comment, author, mentioned });
+    emitCommentEvent('added', task, comment, author);
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'TASK',
+      resourceId: task._id,
+      changes: { action: 'ADD_COMMENT', after: { commentId: comment._id, parentCommentId: threadRootId } },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { ...serializeComment(comment, { currentUserId: req.user.id }), author }
+    });
+  } catch (error) {
+    logger.error('Add comment error:', error);
+    next(error);
+  }
+};
+
+// Edit a comment; the replaced content is kept in its edit history
+export const updateComment = async (req, res, next) => {
+  try {
+    const { content } = req.body;
+    const task = await findTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // EMPLOYEE can only update comments on tasks assigned to them
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      if (task.assigneeId?.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only update comments on tasks assigned to you'
+        });
+      }
+    }
+
+    const comment = await findComment(task, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only comment owner can update (or ORG_ADMIN)
+    if (comment.userId.toString() !== req.user.id && req.user.role !== 'ORG_ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this comment'
+      });
+    }
+
+    if (comment.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'A removed comment cannot be edited'
+      });
+    }
+
+    const contentError = validateCommentContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    if (content === comment.content) {
+      return res.json({
+        success: true,
+        data: serializeComment(comment, { currentUserId: req.user.id })
+      });
+    }
+
+    const mentioned = await resolveMentions({ tenantId: req.tenantId, content, authorId: comment.userId });
+    const previous = new Set((comment.mentions || []).map(id => id.toString()));
+    comment.editHistory.push({
+      content: comment.content,
+      editedAt: new Date(),
+      editedBy: req.user.id
+    });
+    comment.content = content;
+    comment.mentions = mentioned.map(u => u._id);
+    await comment.save();
+
+    // Only people newly mentioned by the edit are notified
+    const author = await User.findById(comment.userId).select('firstName lastName email');
+    const added = mentioned.filter(u => !previous.has(u._id.toString()));
+    if (added.length) {
+      await notifyMentions({ task, comment, users: added, author });
+    }
+    emitCommentEvent('updated', task, comment, author);
+
+    res.json({
+      success: true,
+      data: { ...serializeComment(comment, { currentUserId: req.user.id }), author }
+    });
+  } catch (error) {
+    logger.error('Update comment error:', error);
+    next(error);
+  }
+};
+
+// Earlier versions of a comment, newest first
+export const getCommentHistory = async (req, res, next) => {
+  try {
+    const task = await findTask(req).select('_id');
+    const comment = task ? await findComment(task, req.params.commentId) : null;
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.deletedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'Comment was removed'
+      });
+    }
+
+    await comment.populate('editHistory.editedBy', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      data: {
+        commentId: comment._id,
+        current: {
+          content: comment.content,
+          updatedAt: comment.updatedAt
+        },
+        versions: [...comment.editHistory].reverse().map(version => ({
+          content: version.content,
+          replacedAt: version.editedAt,
+          replacedBy: version.editedBy
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get comment history error:', error);
+    next(error);
+  }
+};
+
+// Soft delete: the comment stays in its thread as a "Comment removed" placeholder
+export const deleteComment = async (req, res, next) => {
+  try {
+    const task = await findTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // EMPLOYEE can only delete comments on tasks assigned to them
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      if (task.assigneeId?.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete comments on tasks assigned to you'
+        });
+      }
+    }
+
+    const comment = await findComment(task, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only comment owner or ORG_ADMIN can delete
+    if (comment.userId.toString() !== req.user.id && req.user.role !== 'ORG_ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    if (!comment.deletedAt) {
+      comment.deletedAt = new Date();
+      comment.deletedBy = req.user.id;
+      await comment.save();
+      emitCommentEvent('deleted', task, comment);
+
+      await createAuditLog({
+        tenantId: req.tenantId,
+        userId: req.user.id,
+        action: 'UPDATE',
+        resourceType: 'TASK',
+        resourceId: task._id,
+        changes: { action: 'DELETE_COMMENT', before: { commentId: comment._id, content: comment.content } },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    next(error);
+  }
+};
+
+const changeReaction = (add) => async (req, res, next) => {
+  try {
+    const emoji = add ? req.body.emoji : req.params.emoji;
+    const task = await findTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const accessError = await commentAccessError(req, task);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const comment = await findComment(task, req.params.commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const emojiError = validateEmoji(emoji);
+    if (emojiError) {
+      return res.status(400).json({
+        success: false,
+        message: emojiError
+      });
+    }
+
+    if (toggleReaction(comment, { emoji, userId: req.user.id, add })) {
+      await comment.save();
+      emitCommentEvent('reaction', task, comment);
+    }
+
+    res.json({
+      success: true,
+      data: serializeComment(comment, { currentUserId: req.user.id })
+    });
+  } catch (error) {
+    logger.error(`${add ? 'Add' : 'Remove'} reaction error:`, error);
+    next(error);
+  }
+};
+
+// React to a comment ({ emoji }); reacting twice with the same emoji is a no-op
+export const addReaction = changeReaction(true);
+
+// Remove the current user's reaction
+export const removeReaction = changeReaction(false);
@@ -0,0 +1,118 @@
+import { processNextExportJob, removeExpiredExportArtifacts } from '../services/exportJob.service.js';
+import { processNextEmail } from '../services/emailQueue.service.js';
+import { sendNotificationDigests } from '../services/digest.service.js';
+import { isEmailConfigured } from '../services/email.service.js';
+import { checkSlaBreaches } from '../services/sla.service.js';
+import { sendTimesheetReminders } from '../services/timesheet.service.js';
+import logger from '../utils/logger.js';
+
+// Stop picking up new work after this, so the call ends within the function time limit
+const CRON_TIME_BUDGET_MS = 25 * 1000;
+
+// Run `processNext` until it finds nothing to do or the time budget is spent
+const drain = async (processNext) => {
+  const deadline = Date.now() + CRON_TIME_BUDGET_MS;
+  let processed = 0;
+
+  while (Date.now() < deadline && await processNext()) {
+    processed++;
+  }
+  return processed;
+};
+
+// Does the export worker's work where no worker runs (Vercel)
+export const runExportJobs = async (req, res, next) => {
+  try {
+    const processed = await drain(processNextExportJob);
+    const removed = await removeExpiredExportArtifacts();
+
+    res.json({
+      success: true,
+      data: { processed, removed }
+    });
+  } catch (error) {
+    logger.error('Export cron error:', error);
+    next(error);
+  }
+};
+
+// Does the email queue worker's work where no worker runs (Vercel)
+export const sendQueuedEmails = async (req, res, next) => {
+  try {
+    if (!isEmailConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Email service not configured'
+      });
+    }
+
+    const processed = await drain(() => processNextEmail());
+
+    res.json({
+      success: true,
+      data: { processed }
+    });
+  } catch (error) {
+    logger.error('Email cron error:', error);
+    next(error);
+  }
+};
+
+// Does the SLA checker worker's work where no worker runs (Vercel)
+export const checkSlas = async (req, res, next) => {
+  try {
+    const result = await checkSlaBreaches();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('SLA cron error:', error);
+    next(error);
+  }
+};
+
+// Does the timesheet reminder worker's work where no worker runs (Vercel)
+export const remindTimesheets = async (req, res, next) => {
+  try {
+    if (!isEmailConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Email service not configured'
+      });
+    }
+
+    const result = await sendTimesheetReminders();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Timesheet reminder cron error:', error);
+    next(error);
+  }
+};
+
+// Does the notification digest worker's work where no worker runs (Vercel)
+export const sendDigests = async (req, res, next) => {
+  try {
+    if (!isEmailConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Email service not configured'
+      });
+    }
+
+    const result = await sendNotificationDigests();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Notification digest cron error:', error);
+    next(error);
+  }
+};
@@ -3,6 +3,9 @@ import User from '../models/User.model.js';
 import Project from '../models/Project.model.js';
 import Task from '../models/Task.model.js';
 import AuditLog from '../models/AuditLog.model.js';
+import Sprint from '../models/Sprint.model.js';
+import { summarizeActiveSprint } from '../services/sprint.service.js';
+import { buildOverdueFilter } from '../services/calendar.service.js';
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
 
@@ -79,11 +82,18 @@ async function getOrgAdminDashboard(tenantId) {
     totalProjects: await Project.countDocuments({ tenantId }),
     activeTasks: await Task.countDocuments({
       tenantId,
-      status: { $nin: ['DONE', 'CANCELLED'] }
+      statusCategory: { $nin: ['DONE', 'CANCELLED'] }
     }),
-    completedTasks: await Task.countDocuments({ tenantId, status: 'DONE' }),
+    completedTasks: await Task.countDocuments({ tenantId, statusCategory: 'DONE' }),
+    overdueTasks: await Task.countDocuments({ tenantId, ...(await buildOverdueFilter(tenantId)) }),
   };
 
+  // Stored progress of the tenant's open projects
+  const projects = await Project.find({ tenantId, status: { $in: ['PLANNING', 'IN_PROGRESS', 'ON_HOLD'] } })
+    .sort({ updatedAt: -1 })
+    .limit(10)
+    .select('name status progress endDate');
+
   const recentTasks = await Task.find({ tenantId })
     .populate('assigneeId', 'firstName lastName email')
     .populate('projectId', 'name')
@@ -115,6 +125,7 @@ async function getOrgAdminDashboard(tenantId) {
 
   return {
     stats,
+    projects,
     recentTasks,
     recentAuditLogs,
     role: 'ORG_ADMIN'
@@ -133,7 +144,7 @@ async function getProjectManagerDashboard(tenantId, userId) {
       { ownerId: userId },
       { 'members.userId': userId }
     ]
-  }).select('_id');
+  }).select('name status progress endDate');
 
   const projectIds = managedProjects.map(p => p._id);
 
@@ -143,14 +154,21 @@ async function getProjectManagerDashboard(tenantId, userId) {
       ? await Task.countDocuments({
           tenantId,
           projectId: { $in: projectIds },
-          status: { $nin: ['DONE', 'CANCELLED'] }
+          statusCategory: { $nin: ['DONE', 'CANCELLED'] }
         })
       : 0,
     completedTasks: projectIds.length > 0
       ? await Task.countDocuments({
           tenantId,
           projectId: { $in: projectIds },
-          status: 'DONE'
+          statusCategory: 'DONE'
+        })
+      : 0,
+    overdueTasks: projectIds.length > 0
+      ? await Task.countDocuments({
+          tenantId,
+          projectId: { $in: projectIds },
+          $and: [await buildOverdueFilter(tenantId)]
         })
       : 0,
   };
@@ -167,9 +185,22 @@ async function getProjectManagerDashboard(tenantId, userId) {
         .select('title status projectId assigneeId createdAt')
     : [];
 
+  // Running sprint of each of the PM's projects
+  const sprints = projectIds.length > 0
+    ? await Sprint.find({ tenantId, projectId: { $in: projectIds }, status: 'ACTIVE' })
+        .populate('projectId', 'name')
+    : [];
+  const activeSprints = await Promise.all(sprints.map(async (sprint) => ({
+    ...(await summarizeActiveSprint(sprint)),
+    projectName: sprint.projectId?.name
+  })));
+
   return {
     stats,
+    projects: managedProjects,
     recentTasks,
+    activeSprint: activeSprints[0] || null,
+    activeSprints,
     role: 'PROJECT_MANAGER'
   };
 }
@@ -182,12 +213,17 @@ async function getEmployeeDashboard(tenantId, userId) {
     myActiveTasks: await Task.countDocuments({
       tenantId,
       assigneeId: userId,
-      status: { $nin: ['DONE', 'CANCELLED'] }
+      statusCategory: { $nin: ['DONE', 'CANCELLED'] }
     }),
     myCompletedTasks: await Task.countDocuments({
       tenantId,
       assigneeId: userId,
-      status: 'DONE'
+      statusCategory: 'DONE'
+    }),
+    myOverdueTasks: await Task.countDocuments({
+      tenantId,
+      assigneeId: userId,
+      ...(await buildOverdueFilter(tenantId))
     }),
   };
 
@@ -201,8 +237,12 @@ async function getEmployeeDashboard(tenantId, userId) {
     .limit(10)
     .select('title status projectId assigneeId createdAt');
 
+  const projects = await Project.find({ tenantId, 'members.userId': userId })
+    .select('name status progress endDate');
+
   return {
     stats,
+    projects,
     recentTasks,
     role: 'EMPLOYEE'
   };
@@ -233,9 +273,10 @@ export const getDashboardStats = async (req, res, next) => {
         totalProjects: await Project.countDocuments({ tenantId }),
         activeTasks: await Task.countDocuments({
           tenantId,
-          status: { $nin: ['DONE', 'CANCELLED'] }
+          statusCategory: { $nin: ['DONE', 'CANCELLED'] }
         }),
-        completedTasks: await Task.countDocuments({ tenantId, status: 'DONE' }),
+        completedTasks: await Task.countDocuments({ tenantId, statusCategory: 'DONE' }),
+        overdueTasks: await Task.countDocuments({ tenantId, ...(await buildOverdueFilter(tenantId)) }),
       };
     } else if (role === 'PROJECT_MANAGER') {
       const managedProjects = await Project.find({
@@ -255,14 +296,21 @@ export const getDashboardStats = async (req, res, next) => {
           ? await Task.countDocuments({
               tenantId,
               projectId: { $in: projectIds },
-              status: { $nin: ['DONE', 'CANCELLED'] }
+              statusCategory: { $nin: ['DONE', 'CANCELLED'] }
             })
           : 0,
         completedTasks: projectIds.length > 0
           ? await Task.countDocuments({
               tenantId,
               projectId: { $in: projectIds },
-              status: 'DONE'
+              statusCategory: 'DONE'
+            })
+          : 0,
+        overdueTasks: projectIds.length > 0
+          ? await Task.countDocuments({
+              tenantId,
+              projectId: { $in: projectIds },
+              $and: [await buildOverdueFilter(tenantId)]
             })
           : 0,
       };
@@ -271,12 +319,17 @@ export const getDashboardStats = async (req, res, next) => {
         myActiveTasks: await Task.countDocuments({
           tenantId,
           assigneeId: userId,
-          status: { $nin: ['DONE', 'CANCELLED'] }
+          statusCategory: { $nin: ['DONE', 'CANCELLED'] }
         }),
         myCompletedTasks: await Task.countDocuments({
           tenantId,
           assigneeId: userId,
-          status: 'DONE'
+          statusCategory: 'DONE'
+        }),
+        myOverdueTasks: await Task.countDocuments({
+          tenantId,
+          assigneeId: userId,
+          ...(await buildOverdueFilter(tenantId))
         }),
       };
     }
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import EmailMessage, { EMAIL_STATUSES } from '../models/EmailMessage.model.js';
+import { requeueEmail, serializeEmailMessage } from '../services/emailQueue.service.js';
+import { createAuditLog } from '../services/audit.service.js';
+import logger from '../utils/logger.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findEmail = (req) => mongoose.Types.ObjectId.isValid(req.params.id)
+  ? EmailMessage.findOne({ _id: req.params.id, tenantId: req.tenantId })
+  : null;
+
+// The tenant's email delivery log, newest first (?status=&template=&to=&page=&limit=)
+export const getEmailDeliveries = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = { tenantId: req.tenantId };
+
+    if (req.query.status) {
+      if (!EMAIL_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of ${EMAIL_STATUSES.join(', ')}`
+        });
+      }
+      query.status = req.query.status;
+    }
+    if (req.query.template) query.template = req.query.template;
+    if (req.query.to) query.to = new RegExp(escapeRegex(req.query.to), 'i');
+
+    const [messages, total, statusCounts] = await Promise.all([
+      EmailMessage.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailMessage.countDocuments(query),
+      EmailMessage.aggregate([
+        { $match: { tenantId: new mongoose.Types.ObjectId(req.tenantId) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = Object.fromEntries(EMAIL_STATUSES.map(status => [status, 0]));
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({
+      success: true,
+      data: messages.map(serializeEmailMessage),
+      counts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get email deliveries error:', error);
+    next(error);
+  }
+};
+
+export const getEmailDelivery = async (req, res, next) => {
+  try {
+    const message = await findEmail(req);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeEmailMessage(message)
+    });
+  } catch (error) {
+    logger.error('Get email delivery error:', error);
+    next(error);
+  }
+};
+
+// Put a dead email back on the queue
+export const retryEmailDelivery = async (req, res, next) => {
+  try {
+    const message = await findEmail(req);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    const before = serializeEmailMessage(message);
+    await requeueEmail(message);
+    const after = serializeEmailMessage(message);
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'EMAIL',
+      resourceId: message._id,
+      changes: { action: 'RETRY_EMAIL', before, after },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: after,
+      message: 'Email queued for another attempt'
+    });
+  } catch (error) {
+    logger.error('Retry email delivery error:', error);
+    next(error);
+  }
+};
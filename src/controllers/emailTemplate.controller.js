@@ -0,0 +1,58 @@
+import {
+  listTemplates as listEmailTemplates,
+  getTemplate,
+  getTenantEmailSettings,
+  renderEmail
+} from '../services/emailTemplate.service.js';
+import logger from '../utils/logger.js';
+
+// Registered email templates with their variables, locales and sample data
+export const listTemplates = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: listEmailTemplates()
+    });
+  } catch (error) {
+    logger.error('List email templates error:', error);
+    next(error);
+  }
+};
+
+// Render a template with the tenant's branding. Body: { locale?, variables? },
+// where variables override the template's sample data. Missing variables are a 400.
+export const previewTemplate = async (req, res, next) => {
+  try {
+    const template = getTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const { locale, variables = {} } = req.body || {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({
+        success: false,
+        message: 'variables must be an object'
+      });
+    }
+
+    const settings = await getTenantEmailSettings(req.tenantId);
+    const rendered = renderEmail(template.name, {
+      variables: { ...template.sample, ...variables },
+      locale: locale || settings.locale,
+      branding: settings.branding,
+      strict: true
+    });
+
+    res.json({
+      success: true,
+      data: rendered
+    });
+  } catch (error) {
+    logger.error('Preview email template error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.model.js';
+import { getUnreadCount as countUnread } from '../services/notification.service.js';
+import logger from '../utils/logger.js';
+
+// Current user's notifications, newest first (?unread=true for unread only)
+export const getNotifications = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = { userId: req.user.id, tenantId: req.tenantId };
+    if (req.query.unread === 'true') query.readAt = null;
+    if (req.query.type) query.type = req.query.type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      countUnread(req.user.id, req.tenantId)
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    next(error);
+  }
+};
+
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    const count = await countUnread(req.user.id, req.tenantId);
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('Get unread notification count error:', error);
+    next(error);
+  }
+};
+
+export const markAsRead = async (req, res, next) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.findOne({ _id: req.params.id, userId: req.user.id, tenantId: req.tenantId })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      // Read elsewhere (e.g. another device) means it does not need replaying
+      notification.deliveredAt = notification.deliveredAt || notification.readAt;
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    next(error);
+  }
+};
+
+export const markAllAsRead = async (req, res, next) => {
+  try {
+    const readAt = new Date();
+    const query = { userId: req.user.id, tenantId: req.tenantId, readAt: null };
+
+    await Notification.updateMany({ ...query, deliveredAt: null }, { $set: { deliveredAt: readAt } });
+    const result = await Notification.updateMany(query, { $set: { readAt } });
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    logger.error('Mark all notifications read error:', error);
+    next(error);
+  }
+};
@@ -1,10 +1,61 @@
 import Project from '../models/Project.model.js';
 import Task from '../models/Task.model.js';
 import User from '../models/User.model.js';
-import { createAuditLog } from '../services/audit.service.js';
+import Tenant from '../models/Tenant.model.js';
+import { createAuditLog, createTaskAuditLogs } from '../services/audit.service.js';
+import {
+  resolveWorkflow,
+  validateWorkflowTransitions,
+  validateTaskStatuses
+} from '../services/workflow.service.js';
+import { buildBoard } from '../services/board.service.js';
+import { buildProjectSchedule } from '../services/schedule.service.js';
+import { buildProjectHierarchy } from '../services/hierarchy.service.js';
+import { checkProjectStatusChange, forceCloseOpenTasks } from '../services/projectClosure.service.js';
+import {
+  getBudgetAlertThresholds,
+  validateProjectRates,
+  repriceProject
+} from '../services/cost.service.js';
+import { getCalendar, serializeCalendar, validateCalendar } from '../services/calendar.service.js';
+import { notifyUser } from '../services/notification.service.js';
 import { getIO } from '../utils/socket.js';
 import logger from '../utils/logger.js';
 
+// Project settings with an endpoint of their own, where they are validated
+const DEDICATED_SETTINGS = {
+  statuses: 'statuses',
+  workflow: 'workflow',
+  calendar: 'calendar',
+  rates: 'rates',
+  budgetAlertThresholds: 'rates'
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Error message when a `settings` body can't be applied by create/update:
+ * not an object, or touching a setting that has its own endpoint.
+ */
+const checkSettingsUpdate = (settings) => {
+  if (settings === undefined) return null;
+  if (!isPlainObject(settings)) return 'settings must be an object';
+
+  const dedicated = Object.keys(settings).filter(key => DEDICATED_SETTINGS[key]);
+  if (dedicated.length) {
+    const endpoints = [...new Set(dedicated.map(key => `PUT /api/projects/:id/${DEDICATED_SETTINGS[key]}`))];
+    return `${dedicated.map(key => `settings.${key}`).join(', ')} cannot be changed here; use ${endpoints.join(', ')}`;
+  }
+  return null;
+};
+
+// { sla: { enabled: true } } -> { 'settings.sla.enabled': true }, so an update
+// only touches the settings it names
+const flattenSettings = (settings, prefix = 'settings') => Object.entries(settings)
+  .reduce((paths, [key, value]) => (isPlainObject(value)
+    ? { ...paths, ...flattenSettings(value, `${prefix}.${key}`) }
+    : { ...paths, [`${prefix}.${key}`]: value }), {});
+
 export const getProjects = async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, managerId } = req.query;
@@ -97,6 +148,14 @@ export const getProjectById = async (req, res, next) => {
 
 export const createProject = async (req, res, next) => {
   try {
+    const settingsError = checkSettingsUpdate(req.body.settings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
     // PROJECT_MANAGER can only set themselves as manager
     let managerId = req.user.id;
     if (req.user.role === 'ORG_ADMIN' && req.body.managerId) {
@@ -126,6 +185,11 @@ export const createProject = async (req, res, next) => {
 
     // Remove members from req.body to avoid duplicate processing
     delete projectData.members;
+    // Spend is derived from logged time, progress from the tasks
+    delete projectData.spent;
+    delete projectData.budgetAlerts;
+    delete projectData.progress;
+    delete projectData.progressStats;
     const project = await Project.create({
       ...projectData,
       members: members
@@ -203,12 +267,11 @@ export const createProject = async (req, res, next) => {
               id: req.user.id.toString(),
               name: creatorName
             },
-            timestamp: new Date(),
             targetUserId: memberId
           };
           
           logger.info(`📤 Sending project member notification to room: ${roomName}`, notificationData);
-          io.to(roomName).emit('notification', notificationData);
+          await notifyUser({ tenantId: req.tenantId, userId: memberId, ...notificationData });
         }
       } catch (error) {
         logger.error('Error sending project member notifications:', error);
@@ -240,6 +303,27 @@ export const updateProject = async (req, res, next) => {
       });
     }
 
+    const settingsError = checkSettingsUpdate(req.body.settings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+    // Merged into the existing settings below rather than replacing them
+    const settingsUpdate = req.body.settings;
+    delete req.body.settings;
+
+    // Completing needs every task closed (or forceClose); reopening needs a reason
+    const { forceClose, reopenReason } = req.body;
+    delete req.body.forceClose;
+    delete req.body.reopenReason;
+    const statusChange = await checkProjectStatusChange(project, {
+      status: req.body.status,
+      forceClose,
+      reopenReason
+    });
+
     const before = project.toObject();
     const oldMembers = project.members ? project.members.map(m => ({
       userId: m.userId?.toString() || m.userId.toString(),
@@ -271,13 +355,34 @@ export const updateProject = async (req, res, next) => {
 
     // Update other project fields
     Object.keys(req.body).forEach(key => {
-      if (key !== 'tenantId' && key !== 'ownerId' && key !== '_id') {
+      if (!['tenantId', 'ownerId', '_id', 'spent', 'budgetAlerts', 'progress', 'progressStats'].includes(key)) {
         project[key] = req.body[key];
       }
     });
+    if (settingsUpdate) {
+      Object.entries(flattenSettings(settingsUpdate)).forEach(([path, value]) => project.set(path, value));
+    }
+
+    if (statusChange.completing) {
+      project.actualEndDate = req.body.actualEndDate || new Date();
+    } else if (statusChange.reopening) {
+      project.actualEndDate = undefined;
+    }
+
+    // Checked above, so the open tasks are only touched for a valid update
+    await project.validate();
+    const forceClosed = forceClose
+      ? await forceCloseOpenTasks({ project, forceClose, user: req.user })
+      : null;
 
     await project.save();
 
+    // The way progress is measured may have changed
+    if (settingsUpdate) {
+      const { progress, progressStats } = await Project.recalculateProgress(project._id);
+      project.set({ progress, progressStats });
+    }
+
     await createAuditLog({
       tenantId: req.tenantId,
       userId: req.user.id,
@@ -291,6 +396,64 @@ export const updateProject = async (req, res, next) => {
       }
     });
 
+    if (forceClosed) {
+      await createAuditLog({
+        tenantId: req.tenantId,
+        userId: req.user.id,
+        action: 'UPDATE',
+        resourceType: 'PROJECT',
+        resourceId: project._id,
+        changes: {
+          action: 'FORCE_CLOSE',
+          before: { status: before.status },
+          after: {
+            status: project.status,
+            mode: forceClosed.mode,
+            targetProjectId: forceClosed.targetProjectId,
+            taskIds: forceClosed.tasks.map(t => t.taskId)
+          }
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      for (const task of forceClosed.tasks) {
+        await createAuditLog({
+          tenantId: req.tenantId,
+          userId: req.user.id,
+          action: 'UPDATE',
+          resourceType: 'TASK',
+          resourceId: task.taskId,
+          changes: { action: 'FORCE_CLOSE', before: task.before, after: task.after },
+          metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+      }
+    }
+
+    if (statusChange.reopening) {
+      await createAuditLog({
+        tenantId: req.tenantId,
+        userId: req.user.id,
+        action: 'UPDATE',
+        resourceType: 'PROJECT',
+        resourceId: project._id,
+        changes: {
+          action: 'REOPEN',
+          before: { status: before.status, actualEndDate: before.actualEndDate },
+          after: { status: project.status, reason: statusChange.reason }
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+    }
+
     // Send notifications to newly added members
     if (newMembers && newMembers.length > 0) {
       try {
@@ -350,12 +513,11 @@ export const updateProject = async (req, res, next) => {
               id: req.user.id.toString(),
               name: updaterName
             },
-            timestamp: new Date(),
             targetUserId: memberId
           };
           
           logger.info(`📤 Sending project member notification to room: ${roomName}`, notificationData);
-          io.to(roomName).emit('notification', notificationData);
+          await notifyUser({ tenantId: req.tenantId, userId: memberId, ...notificationData });
         }
       } catch (error) {
         logger.error('Error sending project member notifications:', error);
@@ -365,7 +527,14 @@ export const updateProject = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: project
+      data: project,
+      ...(forceClosed ? {
+        forceClosed: {
+          mode: forceClosed.mode,
+          targetProjectId: forceClosed.targetProjectId,
+          tasks: forceClosed.tasks.map(t => ({ taskId: t.taskId, title: t.title, status: t.after.status }))
+        }
+      } : {})
     });
   } catch (error) {
     logger.error('Update project error:', error);
@@ -516,12 +685,11 @@ export const addProjectMember = async (req, res, next) => {
           id: req.user.id.toString(),
           name: adderName
         },
-        timestamp: new Date(),
         targetUserId: memberId
       };
       
       logger.info(`📤 Sending project member notification to room: ${roomName}`, notificationData);
-      io.to(roomName).emit('notification', notificationData);
+      await notifyUser({ tenantId: req.tenantId, userId: memberId, ...notificationData });
     } catch (error) {
       logger.error('Error sending project member notification:', error);
       // Don't fail the request if notification fails
@@ -579,3 +747,655 @@ export const removeProjectMember = async (req, res, next) => {
   }
 };
 
+
+export const getProjectWorkflow = async (req, res, next) => {
+  try {
+    const query = {
+      _id: req.params.id,
+      tenantId: req.tenantId
+    };
+
+    // Same visibility as getProjectById
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      query.$or = [
+        { managerId: req.user.id },
+        { ownerId: req.user.id },
+        { 'members.userId': req.user.id }
+      ];
+    }
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      query['members.userId'] = req.user.id;
+    }
+
+    const project = await Project.findOne(query);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const workflow = await resolveWorkflow(project);
+
+    res.json({
+      success: true,
+      data: workflow
+    });
+  } catch (error) {
+    logger.error('Get project workflow error:', error);
+    next(error);
+  }
+};
+
+// Replace the project's workflow; an empty list falls back to the tenant default
+export const updateProjectWorkflow = async (req, res, next) => {
+  try {
+    const { transitions = [] } = req.body;
+    const project = await Project.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const validationError = validateWorkflowTransitions(
+      transitions,
+      project.getTaskStatuses().map(s => s.key)
+    );
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const before = project.settings?.workflow?.toObject?.() || null;
+    project.set('settings.workflow.transitions', transitions);
+    await project.save();
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'PROJECT',
+      resourceId: project._id,
+      changes: { action: 'UPDATE_WORKFLOW', before, after: { transitions } },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    const workflow = await resolveWorkflow(project);
+
+    res.json({
+      success: true,
+      data: workflow
+    });
+  } catch (error) {
+    logger.error('Update project workflow error:', error);
+    next(error);
+  }
+};
+
+// Board columns for the project (custom statuses, or the built-in ones)
+export const getProjectStatuses = async (req, res, next) => {
+  try {
+    const query = {
+      _id: req.params.id,
+      tenantId: req.tenantId
+    };
+
+    // Same visibility as getProjectById
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      query.$or = [
+        { managerId: req.user.id },
+        { ownerId: req.user.id },
+        { 'members.userId': req.user.id }
+      ];
+    }
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      query['members.userId'] = req.user.id;
+    }
+
+    const project = await Project.findOne(query);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        custom: project.usesCustomStatuses(),
+        statuses: project.getTaskStatuses()
+      }
+    });
+  } catch (error) {
+    logger.error('Get project statuses error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the project's statuses. Tasks in a status that is being removed must be
+ * moved with `remap: { OLD_KEY: NEW_KEY }`; an empty list restores the built-in statuses.
+ */
+export const updateProjectStatuses = async (req, res, next) => {
+  try {
+    const { statuses = [], remap = {} } = req.body;
+    const validationError = validateTaskStatuses(statuses);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const before = project.getTaskStatuses();
+    project.set('settings.statuses', statuses.map((status, index) => ({
+      key: status.key.toString().trim().toUpperCase(),
+      name: status.name,
+      category: status.category,
+      color: status.color,
+      order: status.order ?? index
+    })));
+
+    const nextStatuses = project.getTaskStatuses();
+    const categoryByKey = new Map(nextStatuses.map(s => [s.key, s.category]));
+
+    // Statuses that disappear must not leave tasks behind
+    const usage = await Task.aggregate([
+      { $match: { projectId: project._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const orphaned = usage.filter(u => !categoryByKey.has(u._id));
+    const unmapped = orphaned.filter(u => !categoryByKey.has(remap[u._id]));
+
+    if (unmapped.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Tasks still use removed statuses: ${unmapped.map(u => `${u._id} (${u.count})`).join(', ')}. Provide remap: { OLD_KEY: NEW_KEY }`,
+        data: { orphaned: unmapped.map(u => ({ status: u._id, count: u.count })) }
+      });
+    }
+
+    // Drop workflow transitions that reference removed statuses
+    if (project.settings?.workflow?.transitions?.length) {
+      project.set(
+        'settings.workflow.transitions',
+        project.settings.workflow.transitions.filter(
+          t => categoryByKey.has(t.from) && categoryByKey.has(t.to)
+        )
+      );
+    }
+
+    await project.save();
+
+    // Tasks whose status or category changes, for their audit history
+    const projectTasks = await Task.find({ projectId: project._id }).select('status statusCategory');
+    const taskChanges = projectTasks
+      .map(task => {
+        const status = categoryByKey.has(task.status) ? task.status : remap[task.status];
+        return {
+          taskId: task._id,
+          before: { status: task.status, statusCategory: task.statusCategory },
+          after: { status, statusCategory: categoryByKey.get(status) }
+        };
+      })
+      .filter(({ before, after }) => before.status !== after.status || before.statusCategory !== after.statusCategory);
+
+    for (const { _id: oldKey } of orphaned) {
+      const newKey = remap[oldKey];
+      await Task.updateMany(
+        { projectId: project._id, status: oldKey },
+        { status: newKey, statusCategory: categoryByKey.get(newKey) }
+      );
+    }
+    for (const [key, category] of categoryByKey) {
+      await Task.updateMany(
+        { projectId: project._id, status: key, statusCategory: { $ne: category } },
+        { statusCategory: category }
+      );
+    }
+    await Project.recalculateProgress(project._id);
+
+    await createTaskAuditLogs({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'REMAP_STATUS',
+      entries: taskChanges,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'PROJECT',
+      resourceId: project._id,
+      changes: {
+        action: 'UPDATE_STATUSES',
+        before,
+        after: nextStatuses,
+        remap: orphaned.map(u => ({ from: u._id, to: remap[u._id], tasks: u.count }))
+      },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        custom: project.usesCustomStatuses(),
+        statuses: nextStatuses
+      }
+    });
+  } catch (error) {
+    logger.error('Update project statuses error:', error);
+    next(error);
+  }
+};
+
+// Kanban board: the project's tasks grouped by status, in manual (rank) order
+export const getProjectBoard = async (req, res, next) => {
+  try {
+    const query = {
+      _id: req.params.id,
+      tenantId: req.tenantId
+    };
+    const taskFilter = {};
+
+    // Same visibility as getProjectById; employees only see their own cards
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      query.$or = [
+        { managerId: req.user.id },
+        { ownerId: req.user.id },
+        { 'members.userId': req.user.id }
+      ];
+    }
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      query['members.userId'] = req.user.id;
+      taskFilter.assigneeId = req.user.id;
+    }
+
+    const project = await Project.findOne(query);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (req.query.assigneeId && !taskFilter.assigneeId) taskFilter.assigneeId = req.query.assigneeId;
+    if (req.query.type) taskFilter.type = req.query.type;
+    if (req.query.priority) taskFilter.priority = req.query.priority;
+    if (req.query.sprintId) taskFilter.sprintId = req.query.sprintId === 'backlog' ? null : req.query.sprintId;
+
+    const board = await buildBoard(project, taskFilter);
+
+    res.json({
+      success: true,
+      data: board
+    });
+  } catch (error) {
+    logger.error('Get project board error:', error);
+    next(error);
+  }
+};
+
+const serializeRates = (project, tenant) => ({
+  rates: project.settings?.rates || [],
+  budgetAlertThresholds: project.settings?.budgetAlertThresholds || [],
+  effectiveBudgetAlertThresholds: getBudgetAlertThresholds(project, tenant),
+  budget: project.budget || 0,
+  spent: project.spent || 0,
+  budgetAlerts: project.budgetAlerts || []
+});
+
+// Hourly rate overrides and budget alert thresholds of the project
+export const getProjectRates = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const tenant = await Tenant.findById(req.tenantId).select('settings.budgetAlertThresholds');
+
+    res.json({
+      success: true,
+      data: serializeRates(project, tenant)
+    });
+  } catch (error) {
+    logger.error('Get project rates error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the project's rate overrides and/or alert thresholds. Rates apply to
+ * time logged from now on; POST /:id/costs/recalculate re-prices past entries.
+ */
+export const updateProjectRates = async (req, res, next) => {
+  try {
+    const { rates, budgetAlertThresholds } = req.body;
+    const validationError = validateProjectRates(rates, budgetAlertThresholds);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const before = {
+      rates: project.settings?.rates?.toObject?.() || [],
+      budgetAlertThresholds: [...(project.settings?.budgetAlertThresholds || [])]
+    };
+    if (rates !== undefined) project.set('settings.rates', rates);
+    if (budgetAlertThresholds !== undefined) project.set('settings.budgetAlertThresholds', budgetAlertThresholds);
+    await project.save();
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'PROJECT',
+      resourceId: project._id,
+      changes: {
+        action: 'UPDATE_RATES',
+        before,
+        after: {
+          rates: project.settings.rates.toObject(),
+          budgetAlertThresholds: [...project.settings.budgetAlertThresholds]
+        }
+      },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    const tenant = await Tenant.findById(req.tenantId).select('settings.budgetAlertThresholds');
+
+    res.json({
+      success: true,
+      data: serializeRates(project, tenant)
+    });
+  } catch (error) {
+    logger.error('Update project rates error:', error);
+    next(error);
+  }
+};
+
+// Re-price all time logged on the project with the current rates
+export const recalculateProjectCosts = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const before = project.spent;
+    const spent = await repriceProject(project);
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'PROJECT',
+      resourceId: project._id,
+      changes: { action: 'RECALCULATE_COSTS', before: { spent: before }, after: { spent } },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { spent, budget: project.budget || 0 }
+    });
+  } catch (error) {
+    logger.error('Recalculate project costs error:', error);
+    next(error);
+  }
+};
+
+const serializeProjectCalendar = async (project) => ({
+  overrides: project.settings?.calendar?.toObject?.() || {},
+  calendar: serializeCalendar(await getCalendar(project.tenantId, project))
+});
+
+// Business calendar in effect for the project, and the project's own overrides
+export const getProjectCalendar = async (req, res, next) => {
+  try {
+    const query = {
+      _id: req.params.id,
+      tenantId: req.tenantId
+    };
+
+    // Same visibility as getProjectById
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      query.$or = [
+        { managerId: req.user.id },
+        { ownerId: req.user.id },
+        { 'members.userId': req.user.id }
+      ];
+    }
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      query['members.userId'] = req.user.id;
+    }
+
+    const project = await Project.findOne(query);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await serializeProjectCalendar(project)
+    });
+  } catch (error) {
+    logger.error('Get project calendar error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Override parts of the tenant's calendar for this project. Fields left out are
+ * kept; null removes an override so the tenant's value applies again.
+ */
+export const updateProjectCalendar = async (req, res, next) => {
+  try {
+    const fields = ['timezone', 'workingDays', 'workingHours', 'holidays'];
+    const changes = Object.fromEntries(fields.filter(f => f in req.body).map(f => [f, req.body[f]]));
+    const validationError = validateCalendar(
+      Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== null))
+    );
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const before = project.settings?.calendar?.toObject?.() || {};
+    Object.entries(changes).forEach(([field, value]) => {
+      project.set(`settings.calendar.${field}`, value === null ? undefined : value);
+    });
+    await project.save();
+
+    const data = await serializeProjectCalendar(project);
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'PROJECT',
+      resourceId: project._id,
+      changes: { action: 'UPDATE_CALENDAR', before, after: data.overrides },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Update project calendar error:', error);
+    next(error);
+  }
+};
+
+// Gantt timeline: earliest/latest dates, slack and the critical path of the project's tasks
+export const getProjectSchedule = async (req, res, next) => {
+  try {
+    const query = {
+      _id: req.params.id,
+      tenantId: req.tenantId
+    };
+
+    // Same visibility as getProjectById
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      query.$or = [
+        { managerId: req.user.id },
+        { ownerId: req.user.id },
+        { 'members.userId': req.user.id }
+      ];
+    }
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      query['members.userId'] = req.user.id;
+    }
+
+    const project = await Project.findOne(query);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const schedule = await buildProjectSchedule(project);
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Get project schedule error:', error);
+    next(error);
+  }
+};
+
+export const getProjectHierarchy = async (req, res, next) => {
+  try {
+    const query = {
+      _id: req.params.id,
+      tenantId: req.tenantId
+    };
+
+    // Same visibility as getProjectById
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      query.$or = [
+        { managerId: req.user.id },
+        { ownerId: req.user.id },
+        { 'members.userId': req.user.id }
+      ];
+    }
+    if (req.user && req.user.role === 'EMPLOYEE') {
+      query['members.userId'] = req.user.id;
+    }
+
+    const project = await Project.findOne(query);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const hierarchy = await buildProjectHierarchy(project);
+
+    res.json({
+      success: true,
+      data: hierarchy
+    });
+  } catch (error) {
+    logger.error('Get project hierarchy error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,400 @@
+import Sprint from '../models/Sprint.model.js';
+import Project from '../models/Project.model.js';
+import Task from '../models/Task.model.js';
+import { createAuditLog, createTaskAuditLogs } from '../services/audit.service.js';
+import {
+  startSprint as runStartSprint,
+  completeSprint as runCompleteSprint,
+  buildSprintBurndown,
+  buildVelocity,
+  sumTasks
+} from '../services/sprint.service.js';
+import logger from '../utils/logger.js';
+
+const SPRINT_FIELDS = ['name', 'goal', 'startDate', 'endDate'];
+
+const isProjectManagerOf = (project, userId) =>
+  project.managerId?.toString() === userId ||
+  project.ownerId?.toString() === userId ||
+  project.members?.some(m => m.userId?.toString() === userId && m.role === 'LEAD');
+
+const isMemberOf = (project, userId) =>
+  isProjectManagerOf(project, userId) ||
+  project.members?.some(m => m.userId?.toString() === userId);
+
+/**
+ * Project access for sprint endpoints. Reading needs project membership,
+ * `manage` needs ORG_ADMIN or the project's manager/owner/lead.
+ * Sends the error response and returns null when access is denied.
+ */
+const checkProjectAccess = (req, res, project, { manage = false } = {}) => {
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return false;
+  }
+
+  const { role, id } = req.user;
+  if (role === 'ORG_ADMIN') return true;
+
+  const allowed = manage
+    ? role === 'PROJECT_MANAGER' && isProjectManagerOf(project, id)
+    : isMemberOf(project, id);
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: manage
+        ? 'You can only manage sprints in projects you manage'
+        : 'You do not have access to this project'
+    });
+    return false;
+  }
+  return true;
+};
+
+const loadSprint = async (req, res, options) => {
+  const sprint = await Sprint.findOne({
+    _id: req.params.id,
+    tenantId: req.tenantId
+  });
+
+  if (!sprint) {
+    res.status(404).json({
+      success: false,
+      message: 'Sprint not found'
+    });
+    return null;
+  }
+
+  const project = await Project.findOne({ _id: sprint.projectId, tenantId: req.tenantId });
+  if (!checkProjectAccess(req, res, project, options)) return null;
+
+  return sprint;
+};
+
+const auditSprint = (req, sprint, action, changes) => createAuditLog({
+  tenantId: req.tenantId,
+  userId: req.user.id,
+  action,
+  resourceType: 'SPRINT',
+  resourceId: sprint._id,
+  changes,
+  metadata: {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }
+});
+
+export const getSprints = async (req, res, next) => {
+  try {
+    const { projectId, status } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({
+        success: false,
+        message: 'projectId is required'
+      });
+    }
+
+    const project = await Project.findOne({ _id: projectId, tenantId: req.tenantId });
+    if (!checkProjectAccess(req, res, project)) return;
+
+    const query = { tenantId: req.tenantId, projectId };
+    if (status) query.status = status;
+
+    const sprints = await Sprint.find(query).sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: sprints
+    });
+  } catch (error) {
+    logger.error('Get sprints error:', error);
+    next(error);
+  }
+};
+
+export const getSprintById = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res);
+    if (!sprint) return;
+
+    const tasks = await Task.find({ sprintId: sprint._id })
+      .populate('assigneeId', 'firstName lastName email')
+      .sort({ rank: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...sprint.toObject(),
+        tasks,
+        planned: sumTasks(tasks)
+      }
+    });
+  } catch (error) {
+    logger.error('Get sprint error:', error);
+    next(error);
+  }
+};
+
+export const createSprint = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({ _id: req.body.projectId, tenantId: req.tenantId });
+    if (!checkProjectAccess(req, res, project, { manage: true })) return;
+
+    const data = Object.fromEntries(SPRINT_FIELDS.filter(f => f in req.body).map(f => [f, req.body[f]]));
+    const sprint = await Sprint.create({
+      ...data,
+      tenantId: req.tenantId,
+      projectId: project._id,
+      createdBy: req.user.id
+    });
+
+    await auditSprint(req, sprint, 'CREATE', { after: sprint.toObject() });
+
+    res.status(201).json({
+      success: true,
+      data: sprint
+    });
+  } catch (error) {
+    logger.error('Create sprint error:', error);
+    next(error);
+  }
+};
+
+export const updateSprint = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res, { manage: true });
+    if (!sprint) return;
+
+    if (sprint.status === 'COMPLETED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed sprints cannot be changed'
+      });
+    }
+
+    const before = sprint.toObject();
+    SPRINT_FIELDS.filter(f => f in req.body).forEach(f => sprint.set(f, req.body[f]));
+    await sprint.save();
+
+    await auditSprint(req, sprint, 'UPDATE', { before, after: sprint.toObject() });
+
+    res.json({
+      success: true,
+      data: sprint
+    });
+  } catch (error) {
+    logger.error('Update sprint error:', error);
+    next(error);
+  }
+};
+
+// Only planned sprints can be deleted; their tasks go back to the backlog
+export const deleteSprint = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res, { manage: true });
+    if (!sprint) return;
+
+    if (sprint.status !== 'PLANNED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only planned sprints can be deleted'
+      });
+    }
+
+    await Task.updateMany({ sprintId: sprint._id }, { $set: { sprintId: null } });
+    await sprint.deleteOne();
+
+    await auditSprint(req, sprint, 'DELETE', { before: sprint.toObject() });
+
+    res.json({
+      success: true,
+      message: 'Sprint deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete sprint error:', error);
+    next(error);
+  }
+};
+
+export const startSprint = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res, { manage: true });
+    if (!sprint) return;
+
+    const before = sprint.toObject();
+    await runStartSprint(sprint);
+
+    await auditSprint(req, sprint, 'UPDATE', { action: 'START_SPRINT', before, after: sprint.toObject() });
+
+    res.json({
+      success: true,
+      data: sprint
+    });
+  } catch (error) {
+    logger.error('Start sprint error:', error);
+    next(error);
+  }
+};
+
+// Body: { rolloverTo: 'NEXT' | 'BACKLOG' | <sprintId> } for unfinished tasks (default NEXT)
+export const completeSprint = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res, { manage: true });
+    if (!sprint) return;
+
+    const before = sprint.toObject();
+    const result = await runCompleteSprint(sprint, { rolloverTo: req.body.rolloverTo });
+
+    await auditSprint(req, sprint, 'UPDATE', { action: 'COMPLETE_SPRINT', before, after: sprint.toObject() });
+    await createTaskAuditLogs({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'SPRINT_ROLLOVER',
+      entries: sprint.rolledOverTaskIds.map(taskId => ({
+        taskId,
+        before: { sprintId: sprint._id },
+        after: { sprintId: result.rolledOverTo?._id || null }
+      })),
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sprint: result.sprint,
+        rolledOver: result.rolledOver,
+        rolledOverTo: result.rolledOverTo
+          ? { _id: result.rolledOverTo._id, name: result.rolledOverTo.name }
+          : 'BACKLOG'
+      }
+    });
+  } catch (error) {
+    logger.error('Complete sprint error:', error);
+    next(error);
+  }
+};
+
+// Plan tasks into the sprint. Body: { taskIds: [] }
+export const addSprintTasks = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res, { manage: true });
+    if (!sprint) return;
+
+    const { taskIds } = req.body;
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'taskIds must be a non-empty array'
+      });
+    }
+
+    if (sprint.status === 'COMPLETED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tasks cannot be added to a completed sprint'
+      });
+    }
+
+    const result = await Task.updateMany(
+      { _id: { $in: taskIds }, tenantId: req.tenantId, projectId: sprint.projectId },
+      { $set: { sprintId: sprint._id } }
+    );
+
+    if (result.matchedCount !== taskIds.length) {
+      logger.warn(`Sprint ${sprint._id}: ${taskIds.length - result.matchedCount} task(s) not in the project were ignored`);
+    }
+
+    await auditSprint(req, sprint, 'UPDATE', { action: 'ADD_SPRINT_TASKS', taskIds });
+
+    res.json({
+      success: true,
+      data: { added: result.matchedCount }
+    });
+  } catch (error) {
+    logger.error('Add sprint tasks error:', error);
+    next(error);
+  }
+};
+
+export const removeSprintTask = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res, { manage: true });
+    if (!sprint) return;
+
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.taskId, tenantId: req.tenantId, sprintId: sprint._id },
+      { $set: { sprintId: null } },
+      { new: true }
+    );
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task is not in this sprint'
+      });
+    }
+
+    await auditSprint(req, sprint, 'UPDATE', { action: 'REMOVE_SPRINT_TASK', taskId: task._id });
+
+    res.json({
+      success: true,
+      message: 'Task moved to the backlog'
+    });
+  } catch (error) {
+    logger.error('Remove sprint task error:', error);
+    next(error);
+  }
+};
+
+// ?unit=points|hours (defaults to points when the sprint's tasks are pointed)
+export const getSprintBurndown = async (req, res, next) => {
+  try {
+    const sprint = await loadSprint(req, res);
+    if (!sprint) return;
+
+    const data = await buildSprintBurndown(sprint, { unit: req.query.unit });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Get sprint burndown error:', error);
+    next(error);
+  }
+};
+
+// ?projectId=&unit=points|hours&limit=6
+export const getVelocity = async (req, res, next) => {
+  try {
+    const { projectId, unit, limit } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({
+        success: false,
+        message: 'projectId is required'
+      });
+    }
+
+    const project = await Project.findOne({ _id: projectId, tenantId: req.tenantId });
+    if (!checkProjectAccess(req, res, project)) return;
+
+    const data = await buildVelocity(project._id, { unit, limit });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Get velocity error:', error);
+    next(error);
+  }
+};
@@ -1,13 +1,28 @@
-import Task from '../models/Task.model.js';
+import Task, { completionDate } from '../models/Task.model.js';
 import Project from '../models/Project.model.js';
 import User from '../models/User.model.js';
+import Comment from '../models/Comment.model.js';
 import { createAuditLog } from '../services/audit.service.js';
+import { checkStatusTransition } from '../services/workflow.service.js';
+import { resolveMoveRank } from '../services/board.service.js';
+import { applyTaskSla } from '../services/sla.service.js';
+import { buildOverdueFilter } from '../services/calendar.service.js';
+import {
+  validateDependencies,
+  checkDependencies,
+  notifyUnblockedTasks,
+  removeDependencyLinks
+} from '../services/dependency.service.js';
+import { validateHierarchy, getDescendants, buildTaskHierarchy } from '../services/hierarchy.service.js';
+import { removeStoredFiles } from '../services/attachment.service.js';
+import { countComments } from '../services/comment.service.js';
+import { notifyUser } from '../services/notification.service.js';
 import { getIO } from '../utils/socket.js';
 import logger from '../utils/logger.js';
 
 export const getTasks = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, projectId, status, assigneeId, type } = req.query;
+    const { page = 1, limit = 10, projectId, status, statusCategory, assigneeId, type, sprintId, overdue } = req.query;
     const query = { tenantId: req.tenantId };
 
     // EMPLOYEE can only see tasks assigned to them
@@ -37,8 +52,13 @@ export const getTasks = async (req, res, next) => {
 
     if (projectId) query.projectId = projectId;
     if (status) query.status = status;
+    if (statusCategory) query.statusCategory = statusCategory;
     if (assigneeId) query.assigneeId = assigneeId;
     if (type) query.type = type;
+    // sprintId=backlog lists tasks not planned into any sprint
+    if (sprintId) query.sprintId = sprintId === 'backlog' ? null : sprintId;
+    // Open tasks whose due day has ended in their project's business calendar
+    if (overdue === 'true') query.$and = [await buildOverdueFilter(req.tenantId)];
 
     const tasks = await Task.find(query)
       .populate('assigneeId', 'firstName lastName email')
@@ -49,10 +69,11 @@ export const getTasks = async (req, res, next) => {
       .sort({ createdAt: -1 });
 
     const total = await Task.countDocuments(query);
+    const commentCounts = await countComments(tasks.map(t => t._id));
 
     res.json({
       success: true,
-      data: tasks,
+      data: tasks.map(t => ({ ...t.toJSON(), commentCount: commentCounts.get(t._id.toString()) || 0 })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -85,9 +106,11 @@ export const getTaskById = async (req, res, next) => {
       });
     }
 
+    const commentCounts = await countComments([task._id]);
+
     res.json({
       success: true,
-      data: task
+      data: { ...task.toJSON(), commentCount: commentCounts.get(task._id.toString()) || 0 }
     });
   } catch (error) {
     logger.error('Get task by ID error:', error);
@@ -95,6 +118,33 @@ export const getTaskById = async (req, res, next) => {
   }
 };
 
+// Epic → story → subtask tree below a task, with roll-ups
+export const getTaskHierarchy = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    }).select('title type status statusCategory assigneeId parentTaskId estimatedHours actualHours dueDate rank createdAt tenantId');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const hierarchy = await buildTaskHierarchy(task);
+
+    res.json({
+      success: true,
+      data: hierarchy
+    });
+  } catch (error) {
+    logger.error('Get task hierarchy error:', error);
+    next(error);
+  }
+};
+
 export const createTask = async (req, res, next) => {
   try {
     // Verify project exists and belongs to tenant
@@ -126,11 +176,27 @@ export const createTask = async (req, res, next) => {
       }
     }
 
-    const taskData = {
+    const taskData = await applyTaskSla({
       ...req.body,
       tenantId: req.tenantId,
       reporterId: req.user.id
-    };
+    }, project);
+    // Logged through time entries, not set directly
+    delete taskData.actualHours;
+    // Sprint planning goes through POST /api/sprints/:id/tasks
+    delete taskData.sprintId;
+    await validateHierarchy({
+      tenantId: req.tenantId,
+      type: taskData.type,
+      parentTaskId: taskData.parentTaskId || null,
+      projectId: project._id
+    });
+    if (taskData.dependencies) {
+      taskData.dependencies = await validateDependencies({
+        tenantId: req.tenantId,
+        dependencies: taskData.dependencies
+      });
+    }
 
     const task = await Task.create(taskData);
 
@@ -154,14 +220,15 @@ export const createTask = async (req, res, next) => {
     // Emit notification if task was created with an assignee
     if (task.assigneeId) {
       try {
-        const io = getIO();
         const assignee = await User.findById(task.assigneeId);
         
         if (assignee) {
           const assigneeId = assignee._id.toString();
           logger.info(`Sending task assignment notification to: ${assigneeId}`);
           
-          io.to(`user:${assigneeId}`).emit('notification', {
+          await notifyUser({
+            tenantId: req.tenantId,
+            userId: assigneeId,
             type: 'TASK_ASSIGNED',
             title: 'New Task Assigned',
             message: `You have been assigned to task "${task.title}" in project "${task.projectId?.name || 'Unknown'}"`,
@@ -171,8 +238,7 @@ export const createTask = async (req, res, next) => {
             assignedBy: {
               id: req.user.id.toString(),
               name: `${req.user.firstName} ${req.user.lastName}`
-            },
-            timestamp: new Date()
+            }
           });
         }
       } catch (error) {
@@ -239,10 +305,79 @@ export const updateTask = async (req, res, next) => {
       }
     }
 
+    if (['type', 'parentTaskId', 'projectId'].some(key => req.body[key] !== undefined)) {
+      await validateHierarchy({
+        tenantId: req.tenantId,
+        taskId: task._id,
+        type: req.body.type || task.type,
+        parentTaskId: req.body.parentTaskId !== undefined ? req.body.parentTaskId : task.parentTaskId,
+        projectId: req.body.projectId || task.projectId
+      });
+    }
+
+    if (req.body.dependencies !== undefined) {
+      req.body.dependencies = await validateDependencies({
+        tenantId: req.tenantId,
+        taskId: task._id,
+        dependencies: req.body.dependencies
+      });
+    }
+
+    // Status changes through a general update follow the same workflow
+    let dependencyCheck = { allowed: true };
+    if (req.body.status && req.body.status !== task.status) {
+      const taskProject = await Project.findById(task.projectId);
+      const transition = await checkStatusTransition({
+        task,
+        toStatus: req.body.status,
+        project: taskProject,
+        user: req.user
+      });
+      if (!transition.allowed) {
+        return res.status(transition.statusCode).json({
+          success: false,
+          message: transition.message,
+          allowedStatuses: transition.allowedStatuses
+        });
+      }
+
+      dependencyCheck = await checkDependencies({ task, toStatus: req.body.status, project: taskProject });
+      if (!dependencyCheck.allowed) {
+        return res.status(dependencyCheck.statusCode).json({
+          success: false,
+          message: dependencyCheck.message,
+          blockedBy: dependencyCheck.blockedBy
+        });
+      }
+    }
+
     const before = task.toObject();
     const oldAssigneeId = task.assigneeId?.toString();
-    Object.assign(task, req.body);
+    // Board position only changes through PATCH /:id/move
+    const updates = { ...req.body };
+    delete updates.rank;
+    // actualHours is the sum of the task's time entries
+    delete updates.actualHours;
+    // SLA target and breach are set by the SLA engine
+    delete updates.sla;
+    // Derived from status (see the Task pre-validate hook)
+    delete updates.statusCategory;
+    delete updates.completedAt;
+    // Sprint planning goes through POST/DELETE /api/sprints/:id/tasks
+    delete updates.sprintId;
+    // Files are added and removed through /:id/attachments (storage keys are never client input)
+    delete updates.attachments;
+    Object.assign(task, updates);
+    // A sprint belongs to one project, so a task moved elsewhere goes back to the backlog
+    if (task.isModified('projectId')) {
+      task.sprintId = null;
+    }
     await task.save();
+    await notifyUnblockedTasks(task, before.statusCategory);
+    // Moved to another project: the old project's progress changes too
+    if (before.projectId?.toString() !== task.projectId?.toString()) {
+      await Project.recalculateProgress(before.projectId);
+    }
 
     // Populate task for notification
     await task.populate('projectId', 'name');
@@ -264,14 +399,15 @@ export const updateTask = async (req, res, next) => {
     // Emit notification if task was assigned to a new user
     if (req.body.assigneeId && req.body.assigneeId !== oldAssigneeId && task.assigneeId) {
       try {
-        const io = getIO();
         const assignee = await User.findById(req.body.assigneeId);
         
         if (assignee) {
           const assigneeId = assignee._id.toString();
           logger.info(`Sending task assignment notification to: ${assigneeId}`);
           
-          io.to(`user:${assigneeId}`).emit('notification', {
+          await notifyUser({
+            tenantId: req.tenantId,
+            userId: assigneeId,
             type: 'TASK_ASSIGNED',
             title: 'New Task Assigned',
             message: `You have been assigned to task "${task.title}" in project "${task.projectId?.name || 'Unknown'}"`,
@@ -281,8 +417,7 @@ export const updateTask = async (req, res, next) => {
             assignedBy: {
               id: req.user.id.toString(),
               name: `${req.user.firstName} ${req.user.lastName}`
-            },
-            timestamp: new Date()
+            }
           });
         }
       } catch (error) {
@@ -292,7 +427,11 @@ export const updateTask = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: task
+      data: task,
+      ...(dependencyCheck.warning && {
+        warning: dependencyCheck.warning,
+        blockedBy: dependencyCheck.blockedBy
+      })
     });
   } catch (error) {
     logger.error('Update task error:', error);
@@ -303,6 +442,14 @@ export const updateTask = async (req, res, next) => {
 export const  updateTaskStatus = async (req, res, next) => {
   try {
     const { status } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
     const task = await Task.findOne({
       _id: req.params.id,
       tenantId: req.tenantId
@@ -343,18 +490,37 @@ export const  updateTaskStatus = async (req, res, next) => {
       }
     }
 
-      // // Validate status transition
-      // if (!task.canTransitionTo(status)) {
-      //   return res.status(400).json({
-      //     success: false,
-      //     message: `Invalid status transition from ${task.status} to ${status}`
-      //   });
-      // }
+    // Validate status transition against the project's workflow
+    const taskProject = await Project.findById(task.projectId);
+    const transition = await checkStatusTransition({
+      task,
+      toStatus: status,
+      project: taskProject,
+      user: req.user
+    });
+    if (!transition.allowed) {
+      return res.status(transition.statusCode).json({
+        success: false,
+        message: transition.message,
+        allowedStatuses: transition.allowedStatuses
+      });
+    }
+
+    // Starting or finishing work that still waits on open tasks
+    const dependencyCheck = await checkDependencies({ task, toStatus: status, project: taskProject });
+    if (!dependencyCheck.allowed) {
+      return res.status(dependencyCheck.statusCode).json({
+        success: false,
+        message: dependencyCheck.message,
+        blockedBy: dependencyCheck.blockedBy
+      });
+    }
 
     const before = task.toObject();
     const oldStatus = task.status;
     task.status = status;
     await task.save();
+    await notifyUnblockedTasks(task, before.statusCategory);
 
     // Populate task for notification
     await task.populate('projectId', 'name managerId ownerId members');
@@ -455,13 +621,12 @@ export const  updateTaskStatus = async (req, res, next) => {
               id: req.user.id.toString(),
               name: employeeName
             },
-            timestamp: new Date(),
             // Add targetUserId to ensure only manager receives it
             targetUserId: managerId
           };
           
           logger.info(`📤 Sending notification to room: ${roomName}`, notificationData);
-          io.to(roomName).emit('notification', notificationData);
+          await notifyUser({ tenantId: req.tenantId, userId: managerId, ...notificationData });
         }
 
         // Also notify project owner if different from manager
@@ -498,13 +663,12 @@ export const  updateTaskStatus = async (req, res, next) => {
                 id: req.user.id.toString(),
                 name: employeeName
               },
-              timestamp: new Date(),
               // Add targetUserId to ensure only owner receives it
               targetUserId: ownerId
             };
             
             logger.info(`📤 Sending notification to room: ${roomName}`, notificationData);
-            io.to(roomName).emit('notification', notificationData);
+            await notifyUser({ tenantId: req.tenantId, userId: ownerId, ...notificationData });
           }
         }
       } catch (error) {
@@ -515,7 +679,11 @@ export const  updateTaskStatus = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: task
+      data: task,
+      ...(dependencyCheck.warning && {
+        warning: dependencyCheck.warning,
+        blockedBy: dependencyCheck.blockedBy
+      })
     });
   } catch (error) {
     logger.error('Update task status error:', error);
@@ -523,8 +691,12 @@ export const  updateTaskStatus = async (req, res, next) => {
   }
 };
 
-export const deleteTask = async (req, res, next) => {
+// Move a task on the board: optional new status plus its position in the column.
+// Body: { status?, afterTaskId?, beforeTaskId? } - the neighbours it lands between.
+export const moveTask = async (req, res, next) => {
   try {
+    const { afterTaskId, beforeTaskId } = req.body;
+
     const task = await Task.findOne({
       _id: req.params.id,
       tenantId: req.tenantId
@@ -537,99 +709,91 @@ export const deleteTask = async (req, res, next) => {
       });
     }
 
-    // PROJECT_MANAGER can only delete tasks in their projects
-    if (req.user && req.user.role === 'PROJECT_MANAGER') {
-      const project = await Project.findById(task.projectId);
-      if (project) {
-        const isManager = project.managerId?.toString() === req.user.id || 
-                         project.ownerId?.toString() === req.user.id;
-        const isLeadMember = project.members?.some(
-          m => m.userId?.toString() === req.user.id && m.role === 'LEAD'
-        );
-
-        if (!isManager && !isLeadMember) {
-          return res.status(403).json({
-            success: false,
-            message: 'You can only delete tasks in projects you manage'
-          });
-        }
-      }
+    const project = await Project.findById(task.projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
     }
 
-    const before = task.toObject();
-    await task.deleteOne();
-
-    await createAuditLog({
-      tenantId: req.tenantId,
-      userId: req.user.id,
-      action: 'DELETE',
-      resourceType: 'TASK',
-      resourceId: task._id,
-      changes: { before },
-      metadata: {
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent')
-      }
-    });
+    const status = req.body.status || task.status;
 
-    res.json({
-      success: true,
-      message: 'Task deleted successfully'
-    });
-  } catch (error) {
-    logger.error('Delete task error:', error);
-    next(error);
-  }
-};
+    // EMPLOYEE can only move tasks assigned to them (checked by restrictToOwnTasks)
+    // PROJECT_MANAGER can only move tasks in their projects
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      const isManager = project.managerId?.toString() === req.user.id ||
+                       project.ownerId?.toString() === req.user.id;
+      const isLeadMember = project.members?.some(
+        m => m.userId?.toString() === req.user.id && m.role === 'LEAD'
+      );
 
-export const addComment = async (req, res, next) => {
-  try {
-    const { content } = req.body;
-    const task = await Task.findOne({
-      _id: req.params.id,
-      tenantId: req.tenantId
-    });
+      if (!isManager && !isLeadMember) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only move tasks in projects you manage'
+        });
+      }
+    }
 
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: 'Task not found'
+    // Moving to another column is a status change and follows the workflow
+    let dependencyCheck = { allowed: true };
+    if (status !== task.status) {
+      const transition = await checkStatusTransition({
+        task,
+        toStatus: status,
+        project,
+        user: req.user
       });
-    }
+      if (!transition.allowed) {
+        return res.status(transition.statusCode).json({
+          success: false,
+          message: transition.message,
+          allowedStatuses: transition.allowedStatuses
+        });
+      }
 
-    // EMPLOYEE can only comment on tasks assigned to them
-    if (req.user && req.user.role === 'EMPLOYEE') {
-      if (task.assigneeId?.toString() !== req.user.id) {
-        return res.status(403).json({
+      dependencyCheck = await checkDependencies({ task, toStatus: status, project });
+      if (!dependencyCheck.allowed) {
+        return res.status(dependencyCheck.statusCode).json({
           success: false,
-          message: 'You can only comment on tasks assigned to you'
+          message: dependencyCheck.message,
+          blockedBy: dependencyCheck.blockedBy
         });
       }
     }
-    // PROJECT_MANAGER can comment on tasks in their projects
-    else if (req.user && req.user.role === 'PROJECT_MANAGER') {
-      const project = await Project.findById(task.projectId);
-      if (project) {
-        const isManager = project.managerId?.toString() === req.user.id || 
-                         project.ownerId?.toString() === req.user.id;
-        const isLeadMember = project.members?.some(
-          m => m.userId?.toString() === req.user.id && m.role === 'LEAD'
-        );
 
-        if (!isManager && !isLeadMember) {
-          return res.status(403).json({
-            success: false,
-            message: 'You can only comment on tasks in projects you manage'
-          });
+    const rank = await resolveMoveRank({ task, status, afterTaskId, beforeTaskId });
+    const statusCategory = project.getTaskStatuses().find(s => s.key === status)?.category
+      || task.statusCategory;
+
+    // Only applies if nobody moved the task since we read it
+    const moved = await Task.findOneAndUpdate(
+      {
+        _id: task._id,
+        tenantId: req.tenantId,
+        status: task.status,
+        rank: task.rank ?? null
+      },
+      {
+        $set: {
+          status,
+          statusCategory,
+          rank,
+          completedAt: completionDate(task.completedAt, statusCategory)
         }
-      }
+      },
+      { new: true, runValidators: true }
+    ).populate('assigneeId', 'firstName lastName email');
+
+    if (!moved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task was moved by someone else. Reload the board and try again'
+      });
     }
 
-    task.comments.push({
-      userId: req.user.id,
-      content
-    });
-    await task.save();
+    await notifyUnblockedTasks(moved, task.statusCategory);
 
     await createAuditLog({
       tenantId: req.tenantId,
@@ -637,79 +801,51 @@ export const addComment = async (req, res, next) => {
       action: 'UPDATE',
       resourceType: 'TASK',
       resourceId: task._id,
-      changes: { action: 'ADD_COMMENT' },
+      changes: {
+        before: { status: task.status, statusCategory: task.statusCategory, rank: task.rank },
+        after: { status, statusCategory, rank }
+      },
       metadata: {
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
       }
     });
 
-    res.json({
-      success: true,
-      data: task
-    });
-  } catch (error) {
-    logger.error('Add comment error:', error);
-    next(error);
-  }
-};
-
-export const updateComment = async (req, res, next) => {
-  try {
-    const { content } = req.body;
-    const task = await Task.findOne({
-      _id: req.params.id,
-      tenantId: req.tenantId
-    });
-
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: 'Task not found'
+    // Live update for everyone looking at the project's board
+    try {
+      getIO().to(`project:${task.projectId}`).emit('task:moved', {
+        taskId: task._id.toString(),
+        projectId: task.projectId.toString(),
+        fromStatus: task.status,
+        toStatus: status,
+        rank,
+        afterTaskId: afterTaskId || null,
+        beforeTaskId: beforeTaskId || null,
+        movedBy: {
+          id: req.user.id.toString(),
+          name: `${req.user.firstName} ${req.user.lastName}`
+        },
+        timestamp: new Date()
       });
+    } catch (error) {
+      logger.error('Error broadcasting task move:', error);
     }
 
-    // EMPLOYEE can only update comments on tasks assigned to them
-    if (req.user && req.user.role === 'EMPLOYEE') {
-      if (task.assigneeId?.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only update comments on tasks assigned to you'
-        });
-      }
-    }
-
-    const comment = task.comments.id(req.params.commentId);
-    if (!comment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Comment not found'
-      });
-    }
-
-    // Only comment owner can update (or ORG_ADMIN)
-    if (comment.userId.toString() !== req.user.id && req.user.role !== 'ORG_ADMIN') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this comment'
-      });
-    }
-
-    comment.content = content;
-    comment.updatedAt = new Date();
-    await task.save();
-
     res.json({
       success: true,
-      data: task
+      data: moved,
+      ...(dependencyCheck.warning && {
+        warning: dependencyCheck.warning,
+        blockedBy: dependencyCheck.blockedBy
+      })
     });
   } catch (error) {
-    logger.error('Update comment error:', error);
+    logger.error('Move task error:', error);
     next(error);
   }
 };
 
-export const deleteComment = async (req, res, next) => {
+export const deleteTask = async (req, res, next) => {
   try {
     const task = await Task.findOne({
       _id: req.params.id,
@@ -723,42 +859,68 @@ export const deleteComment = async (req, res, next) => {
       });
     }
 
-    // EMPLOYEE can only delete comments on tasks assigned to them
-    if (req.user && req.user.role === 'EMPLOYEE') {
-      if (task.assigneeId?.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only delete comments on tasks assigned to you'
-        });
+    // PROJECT_MANAGER can only delete tasks in their projects
+    if (req.user && req.user.role === 'PROJECT_MANAGER') {
+      const project = await Project.findById(task.projectId);
+      if (project) {
+        const isManager = project.managerId?.toString() === req.user.id || 
+                         project.ownerId?.toString() === req.user.id;
+        const isLeadMember = project.members?.some(
+          m => m.userId?.toString() === req.user.id && m.role === 'LEAD'
+        );
+
+        if (!isManager && !isLeadMember) {
+          return res.status(403).json({
+            success: false,
+            message: 'You can only delete tasks in projects you manage'
+          });
+        }
       }
     }
 
-    const comment = task.comments.id(req.params.commentId);
-    if (!comment) {
-      return res.status(404).json({
+    // Child tasks are deleted with their parent only when asked to (?cascade=true)
+    const descendants = await getDescendants(task, '');
+    if (descendants.length && req.query.cascade !== 'true') {
+      return res.status(409).json({
         success: false,
-        message: 'Comment not found'
+        message: `Task has ${descendants.length} child task(s). Delete or move them first, or pass ?cascade=true to delete them too`,
+        childCount: descendants.length
       });
     }
 
-    // Only comment owner or ORG_ADMIN can delete
-    if (comment.userId.toString() !== req.user.id && req.user.role !== 'ORG_ADMIN') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this comment'
+    // Deepest tasks first, so no task is ever left pointing at a deleted parent
+    const deleted = [];
+    for (const doomed of [...descendants.reverse(), task]) {
+      const before = doomed.toObject();
+      await doomed.deleteOne();
+      await removeDependencyLinks(doomed);
+      await Comment.deleteMany({ taskId: doomed._id });
+      const failedRemovals = await removeStoredFiles(doomed);
+      failedRemovals.forEach(error => logger.error(`Failed to remove an attachment of deleted task ${doomed._id}:`, error));
+      deleted.push(doomed._id);
+
+      await createAuditLog({
+        tenantId: req.tenantId,
+        userId: req.user.id,
+        action: 'DELETE',
+        resourceType: 'TASK',
+        resourceId: doomed._id,
+        changes: doomed === task ? { before } : { action: 'CASCADE_DELETE', before },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
       });
     }
 
-    comment.deleteOne();
-    await task.save();
-
     res.json({
       success: true,
-      message: 'Comment deleted successfully'
+      message: deleted.length > 1
+        ? `Task and ${deleted.length - 1} child task(s) deleted successfully`
+        : 'Task deleted successfully'
     });
   } catch (error) {
-    logger.error('Delete comment error:', error);
+    logger.error('Delete task error:', error);
     next(error);
   }
 };
-
@@ -2,8 +2,36 @@ import Tenant from '../models/Tenant.model.js';
 import User from '../models/User.model.js';
 import mongoose from 'mongoose';
 import { createAuditLog } from '../services/audit.service.js';
+import { validateWorkflowTransitions } from '../services/workflow.service.js';
+import { resolveCalendar, serializeCalendar, validateCalendar } from '../services/calendar.service.js';
 import logger from '../utils/logger.js';
 
+// Settings with their own validated endpoint (PUT /api/tenants/:id/<endpoint>),
+// which the general settings update must not bypass
+const DEDICATED_SETTINGS = {
+  defaultWorkflow: 'workflow',
+  calendar: 'calendar',
+  timezone: 'calendar'
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Error message when a `settings` body can't be applied by the settings
+ * update: not an object, or touching a setting that has its own endpoint.
+ */
+const checkSettingsUpdate = (settings) => {
+  if (settings === undefined) return null;
+  if (!isPlainObject(settings)) return 'settings must be an object';
+
+  const dedicated = Object.keys(settings).filter(key => DEDICATED_SETTINGS[key]);
+  if (dedicated.length) {
+    const endpoints = [...new Set(dedicated.map(key => `PUT /api/tenants/:id/${DEDICATED_SETTINGS[key]}`))];
+    return `${dedicated.map(key => `settings.${key}`).join(', ')} cannot be changed here; use ${endpoints.join(', ')}`;
+  }
+  return null;
+};
+
 export const createTenant = async (req, res, next) => {
   try {
     const {
@@ -296,13 +324,30 @@ export const updateTenantSettings = async (req, res, next) => {
       });
     }
 
-    const before = tenant.toObject();
-    if (req.body.settings) {
-      tenant.settings = { ...tenant.settings, ...req.body.settings };
+    const settingsError = checkSettingsUpdate(req.body.settings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
     }
-    if (req.body.subscription) {
-      tenant.subscription = { ...tenant.subscription, ...req.body.subscription };
+
+    // The plan sets attachment size and storage limits, so only SUPER_ADMIN may change it
+    if (req.body.subscription !== undefined && req.user.role !== 'SUPER_ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a Super Admin can change the subscription'
+      });
     }
+
+    const before = tenant.toObject();
+    // Key by key, so settings the body doesn't name are kept
+    Object.entries(req.body.settings || {}).forEach(([key, value]) => {
+      tenant.set(`settings.${key}`, value);
+    });
+    Object.entries(req.body.subscription || {}).forEach(([key, value]) => {
+      tenant.set(`subscription.${key}`, value);
+    });
     await tenant.save();
 
     await createAuditLog({
@@ -425,7 +470,7 @@ export const getTenantStats = async (req, res, next) => {
       projects: await Project.countDocuments({ tenantId: tenant._id }),
       activeProjects: await Project.countDocuments({ tenantId: tenant._id, status: 'IN_PROGRESS' }),
       tasks: await Task.countDocuments({ tenantId: tenant._id }),
-      completedTasks: await Task.countDocuments({ tenantId: tenant._id, status: 'DONE' })
+      completedTasks: await Task.countDocuments({ tenantId: tenant._id, statusCategory: 'DONE' })
     };
 
     res.json({
@@ -449,7 +494,7 @@ export const getGlobalStats = async (req, res, next) => {
       totalUsers: await User.countDocuments({ role: { $ne: "SUPER_ADMIN" } }),
       totalProjects: await Project.countDocuments(),
       totalTasks: await Task.countDocuments(),
-      completedTasks: await Task.countDocuments({ status: 'DONE' }),
+      completedTasks: await Task.countDocuments({ statusCategory: 'DONE' }),
       tenantsByPlan: await Tenant.aggregate([
         {
           $group: {
@@ -470,3 +515,176 @@ export const getGlobalStats = async (req, res, next) => {
   }
 };
 
+
+// Default task status workflow for projects in this tenant
+export const getTenantWorkflow = async (req, res, next) => {
+  try {
+    if (req.user.role === 'ORG_ADMIN' && req.params.id !== req.tenantId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this tenant'
+      });
+    }
+
+    const tenant = await Tenant.findById(req.params.id).select('settings.defaultWorkflow');
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transitions: tenant.settings?.defaultWorkflow?.transitions || []
+      }
+    });
+  } catch (error) {
+    logger.error('Get tenant workflow error:', error);
+    next(error);
+  }
+};
+
+export const updateTenantWorkflow = async (req, res, next) => {
+  try {
+    if (req.user.role === 'ORG_ADMIN' && req.params.id !== req.tenantId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this tenant'
+      });
+    }
+
+    const { transitions = [] } = req.body;
+    const validationError = validateWorkflowTransitions(transitions);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const tenant = await Tenant.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const before = tenant.settings?.defaultWorkflow?.toObject?.() || null;
+    tenant.set('settings.defaultWorkflow.transitions', transitions);
+    await tenant.save();
+
+    await createAuditLog({
+      tenantId: tenant._id,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'TENANT',
+      resourceId: tenant._id,
+      changes: { action: 'UPDATE_WORKFLOW', before, after: { transitions } },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        transitions: tenant.settings.defaultWorkflow.transitions
+      }
+    });
+  } catch (error) {
+    logger.error('Update tenant workflow error:', error);
+    next(error);
+  }
+};
+
+// Business calendar: timezone, working days and hours, holidays
+export const getTenantCalendar = async (req, res, next) => {
+  try {
+    if (req.user.role === 'ORG_ADMIN' && req.params.id !== req.tenantId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this tenant'
+      });
+    }
+
+    const tenant = await Tenant.findById(req.params.id).select('settings.timezone settings.calendar');
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeCalendar(resolveCalendar(tenant))
+    });
+  } catch (error) {
+    logger.error('Get tenant calendar error:', error);
+    next(error);
+  }
+};
+
+// Update the calendar; fields left out keep their current value
+export const updateTenantCalendar = async (req, res, next) => {
+  try {
+    if (req.user.role === 'ORG_ADMIN' && req.params.id !== req.tenantId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this tenant'
+      });
+    }
+
+    const { timezone, workingDays, workingHours, holidays } = req.body;
+    const validationError = validateCalendar(req.body) ||
+      (timezone === null ? 'timezone cannot be empty' : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const tenant = await Tenant.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const before = serializeCalendar(resolveCalendar(tenant));
+    if (timezone !== undefined) tenant.set('settings.timezone', timezone);
+    if (workingDays !== undefined) tenant.set('settings.calendar.workingDays', workingDays);
+    if (workingHours !== undefined) tenant.set('settings.calendar.workingHours', workingHours);
+    if (holidays !== undefined) tenant.set('settings.calendar.holidays', holidays);
+    await tenant.save();
+
+    const calendar = serializeCalendar(resolveCalendar(tenant));
+
+    await createAuditLog({
+      tenantId: tenant._id,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'TENANT',
+      resourceId: tenant._id,
+      changes: { action: 'UPDATE_CALENDAR', before, after: calendar },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+  } catch (error) {
+    logger.error('Update tenant calendar error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,382 @@
+import TimeEntry from '../models/TimeEntry.model.js';
+import Task from '../models/Task.model.js';
+import Project from '../models/Project.model.js';
+import { createAuditLog } from '../services/audit.service.js';
+import {
+  assertTimeTrackingEnabled,
+  syncTimeTotals,
+  canTrackTask,
+  canManageEntry
+} from '../services/timeEntry.service.js';
+import { assertWeekUnlocked } from '../services/timesheet.service.js';
+import { getHourlyRate } from '../services/cost.service.js';
+import logger from '../utils/logger.js';
+
+const EDITABLE_FIELDS = ['startedAt', 'endedAt', 'durationMinutes', 'note', 'billable'];
+
+const auditEntry = (req, entry, action, changes) => createAuditLog({
+  tenantId: req.tenantId,
+  userId: req.user.id,
+  action,
+  resourceType: 'TIME_ENTRY',
+  resourceId: entry._id,
+  changes,
+  metadata: {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }
+});
+
+/**
+ * Load a task the current user may log time on, with its project.
+ * Sends the error response and returns null otherwise.
+ */
+const loadTrackableTask = async (req, res, taskId) => {
+  const task = taskId && await Task.findOne({ _id: taskId, tenantId: req.tenantId });
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  const project = await Project.findOne({ _id: task.projectId, tenantId: req.tenantId });
+  if (!project || !canTrackTask(task, project, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only log time on tasks you have access to'
+    });
+    return null;
+  }
+
+  assertTimeTrackingEnabled(project);
+  return { task, project };
+};
+
+const loadManageableEntry = async (req, res) => {
+  const entry = await TimeEntry.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Time entry not found'
+    });
+    return null;
+  }
+
+  const project = await Project.findById(entry.projectId);
+  if (!project || !canManageEntry(entry, project, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only change your own time entries'
+    });
+    return null;
+  }
+
+  return { entry, project };
+};
+
+// List entries (?taskId=&projectId=&userId=&from=&to=&billable=&page=&limit=)
+export const getTimeEntries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, taskId, projectId, userId, from, to, billable } = req.query;
+    const query = { tenantId: req.tenantId };
+
+    // EMPLOYEE only sees their own time
+    if (req.user.role === 'EMPLOYEE') {
+      query.userId = req.user.id;
+    }
+    // PROJECT_MANAGER sees time logged on their projects
+    else if (req.user.role === 'PROJECT_MANAGER') {
+      const projects = await Project.find({
+        tenantId: req.tenantId,
+        $or: [
+          { managerId: req.user.id },
+          { ownerId: req.user.id },
+          { 'members.userId': req.user.id }
+        ]
+      }).select('_id');
+      query.projectId = { $in: projects.map(p => p._id) };
+    }
+
+    if (taskId) query.taskId = taskId;
+    if (projectId) {
+      if (query.projectId && !query.projectId.$in.some(id => id.toString() === projectId)) {
+        query.projectId = { $in: [] };
+      } else {
+        query.projectId = projectId;
+      }
+    }
+    if (userId && req.user.role !== 'EMPLOYEE') query.userId = userId;
+    if (billable !== undefined) query.billable = billable === 'true';
+    if (from || to) {
+      query.startedAt = {};
+      if (from) query.startedAt.$gte = new Date(from);
+      if (to) query.startedAt.$lte = new Date(to);
+    }
+
+    const entries = await TimeEntry.find(query)
+      .populate('userId', 'firstName lastName email')
+      .populate('taskId', 'title')
+      .populate('projectId', 'name')
+      .sort({ startedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await TimeEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get time entries error:', error);
+    next(error);
+  }
+};
+
+export const getTimeEntryById = async (req, res, next) => {
+  try {
+    const query = { _id: req.params.id, tenantId: req.tenantId };
+    if (req.user.role === 'EMPLOYEE') query.userId = req.user.id;
+
+    const entry = await TimeEntry.findOne(query)
+      .populate('userId', 'firstName lastName email')
+      .populate('taskId', 'title')
+      .populate('projectId', 'name');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Get time entry error:', error);
+    next(error);
+  }
+};
+
+// Log time manually: { taskId, startedAt, endedAt | durationMinutes, note, billable }
+export const createTimeEntry = async (req, res, next) => {
+  try {
+    const loaded = await loadTrackableTask(req, res, req.body.taskId);
+    if (!loaded) return;
+    const { task, project } = loaded;
+
+    await assertWeekUnlocked(req.tenantId, req.user.id, req.body.startedAt || new Date());
+
+    const data = Object.fromEntries(EDITABLE_FIELDS.filter(f => f in req.body).map(f => [f, req.body[f]]));
+    const entry = await TimeEntry.create({
+      ...data,
+      tenantId: req.tenantId,
+      projectId: task.projectId,
+      taskId: task._id,
+      userId: req.user.id,
+      hourlyRate: await getHourlyRate(project, req.user.id),
+      source: 'MANUAL'
+    });
+
+    await syncTimeTotals(entry);
+    await auditEntry(req, entry, 'CREATE', { after: entry.toObject() });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Create time entry error:', error);
+    next(error);
+  }
+};
+
+export const updateTimeEntry = async (req, res, next) => {
+  try {
+    const loaded = await loadManageableEntry(req, res);
+    if (!loaded) return;
+    const { entry, project } = loaded;
+
+    assertTimeTrackingEnabled(project);
+
+    if (entry.isRunning) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the timer before editing this entry'
+      });
+    }
+
+    // Neither the week the entry is in nor the one it moves to may be locked
+    await assertWeekUnlocked(entry.tenantId, entry.userId, entry.startedAt);
+    if (req.body.startedAt) await assertWeekUnlocked(entry.tenantId, entry.userId, req.body.startedAt);
+
+    const before = entry.toObject();
+    EDITABLE_FIELDS.filter(f => f in req.body).forEach(f => entry.set(f, req.body[f]));
+    // A new duration without a new end time moves the end time
+    if ('durationMinutes' in req.body && !('endedAt' in req.body)) {
+      entry.endedAt = null;
+    }
+    await entry.save();
+
+    await syncTimeTotals(entry);
+    await auditEntry(req, entry, 'UPDATE', { before, after: entry.toObject() });
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Update time entry error:', error);
+    next(error);
+  }
+};
+
+export const deleteTimeEntry = async (req, res, next) => {
+  try {
+    const loaded = await loadManageableEntry(req, res);
+    if (!loaded) return;
+    const { entry } = loaded;
+
+    await assertWeekUnlocked(entry.tenantId, entry.userId, entry.startedAt);
+    await entry.deleteOne();
+
+    await syncTimeTotals(entry);
+    await auditEntry(req, entry, 'DELETE', { before: entry.toObject() });
+
+    res.json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete time entry error:', error);
+    next(error);
+  }
+};
+
+// Current user's running timer (data is null when none is running)
+export const getRunningTimer = async (req, res, next) => {
+  try {
+    const entry = await TimeEntry.findOne({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      isRunning: true
+    }).populate('taskId', 'title');
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Get running timer error:', error);
+    next(error);
+  }
+};
+
+// Start a timer on a task: { taskId, note, billable }
+export const startTimer = async (req, res, next) => {
+  try {
+    const running = await TimeEntry.findOne({ userId: req.user.id, isRunning: true });
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'A timer is already running. Stop it first',
+        data: running
+      });
+    }
+
+    const loaded = await loadTrackableTask(req, res, req.body.taskId);
+    if (!loaded) return;
+    const { task, project } = loaded;
+
+    await assertWeekUnlocked(req.tenantId, req.user.id, new Date());
+
+    const entry = await TimeEntry.create({
+      tenantId: req.tenantId,
+      projectId: task.projectId,
+      taskId: task._id,
+      userId: req.user.id,
+      startedAt: new Date(),
+      isRunning: true,
+      note: req.body.note,
+      billable: req.body.billable,
+      hourlyRate: await getHourlyRate(project, req.user.id),
+      source: 'TIMER'
+    });
+
+    await auditEntry(req, entry, 'CREATE', { action: 'START_TIMER', after: entry.toObject() });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    // Lost a race against another start request (unique running-timer index)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A timer is already running. Stop it first'
+      });
+    }
+    logger.error('Start timer error:', error);
+    next(error);
+  }
+};
+
+// Stop the current user's timer; { note } optionally replaces the note
+export const stopTimer = async (req, res, next) => {
+  try {
+    const entry = await TimeEntry.findOne({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      isRunning: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running'
+      });
+    }
+
+    const before = entry.toObject();
+    entry.isRunning = false;
+    entry.endedAt = new Date();
+    if (req.body.note !== undefined) entry.note = req.body.note;
+
+    // Timers shorter than a minute are discarded rather than saved as 0 minutes
+    if (entry.endedAt - entry.startedAt < 60 * 1000) {
+      await entry.deleteOne();
+      await auditEntry(req, entry, 'DELETE', { action: 'DISCARD_TIMER', before });
+      return res.json({
+        success: true,
+        message: 'Timer ran for less than a minute and was discarded',
+        data: null
+      });
+    }
+
+    // The week may have been submitted while the timer was running
+    await assertWeekUnlocked(entry.tenantId, entry.userId, entry.startedAt);
+    await entry.save();
+
+    await syncTimeTotals(entry);
+    await auditEntry(req, entry, 'UPDATE', { action: 'STOP_TIMER', before, after: entry.toObject() });
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Stop timer error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,235 @@
+import Timesheet from '../models/Timesheet.model.js';
+import Project from '../models/Project.model.js';
+import { createAuditLog } from '../services/audit.service.js';
+import {
+  getTimesheetForWeek,
+  submitTimesheet,
+  reviewTimesheet,
+  sendTimesheetReminders,
+  getWeekStart,
+  formatWeek,
+  getTenantTimezone
+} from '../services/timesheet.service.js';
+import { notifyUser } from '../services/notification.service.js';
+import logger from '../utils/logger.js';
+
+const POPULATE_ROWS = [
+  { path: 'rows.taskId', select: 'title' },
+  { path: 'rows.projectId', select: 'name' },
+  { path: 'userId', select: 'firstName lastName email' },
+  { path: 'reviewedBy', select: 'firstName lastName email' }
+];
+
+// Projects whose timesheets a PROJECT_MANAGER reviews
+const getReviewableProjectIds = async (tenantId, userId) => {
+  const projects = await Project.find({
+    tenantId,
+    $or: [
+      { managerId: userId },
+      { ownerId: userId },
+      { members: { $elemMatch: { userId, role: 'LEAD' } } }
+    ]
+  }).select('_id');
+  return projects.map(p => p._id);
+};
+
+const canReview = async (req, timesheet) => {
+  if (timesheet.userId.toString() === req.user.id) return false;
+  if (req.user.role === 'ORG_ADMIN') return true;
+  if (req.user.role !== 'PROJECT_MANAGER') return false;
+
+  const projectIds = (await getReviewableProjectIds(req.tenantId, req.user.id)).map(id => id.toString());
+  return timesheet.projectIds.some(id => projectIds.includes(id.toString()));
+};
+
+const auditTimesheet = (req, timesheet, action, before) => createAuditLog({
+  tenantId: req.tenantId,
+  userId: req.user.id,
+  action: 'UPDATE',
+  resourceType: 'TIMESHEET',
+  resourceId: timesheet._id,
+  changes: {
+    action,
+    before,
+    after: { status: timesheet.status, totalHours: timesheet.totalHours, reviewComment: timesheet.reviewComment }
+  },
+  metadata: {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }
+});
+
+// Current user's timesheet for a week (?week=YYYY-MM-DD, any day of the week; defaults to this week)
+export const getMyTimesheet = async (req, res, next) => {
+  try {
+    const timesheet = await getTimesheetForWeek(req.tenantId, req.user.id, req.query.week || new Date());
+    const populated = await Timesheet.populate(timesheet, POPULATE_ROWS);
+
+    res.json({
+      success: true,
+      data: populated
+    });
+  } catch (error) {
+    logger.error('Get my timesheet error:', error);
+    next(error);
+  }
+};
+
+// Submit the current user's week for approval: { week }
+export const submitMyTimesheet = async (req, res, next) => {
+  try {
+    const week = req.body.week || req.query.week || new Date();
+    const timezone = await getTenantTimezone(req.tenantId);
+    const existing = await Timesheet.findOne({ userId: req.user.id, weekStart: getWeekStart(week, timezone) }).select('status');
+    const timesheet = await submitTimesheet(req.tenantId, req.user.id, week);
+
+    await auditTimesheet(req, timesheet, 'SUBMIT_TIMESHEET', { status: existing?.status || 'DRAFT' });
+    await timesheet.populate(POPULATE_ROWS);
+
+    res.json({
+      success: true,
+      data: timesheet
+    });
+  } catch (error) {
+    logger.error('Submit timesheet error:', error);
+    next(error);
+  }
+};
+
+// Submitted timesheets the current user can review
+export const getPendingApprovals = async (req, res, next) => {
+  try {
+    const query = { tenantId: req.tenantId, status: 'SUBMITTED', userId: { $ne: req.user.id } };
+
+    if (req.user.role === 'PROJECT_MANAGER') {
+      query.projectIds = { $in: await getReviewableProjectIds(req.tenantId, req.user.id) };
+    }
+
+    const timesheets = await Timesheet.find(query)
+      .populate(POPULATE_ROWS)
+      .sort({ weekStart: 1, submittedAt: 1 });
+
+    res.json({
+      success: true,
+      data: timesheets
+    });
+  } catch (error) {
+    logger.error('Get pending timesheet approvals error:', error);
+    next(error);
+  }
+};
+
+export const getTimesheetById = async (req, res, next) => {
+  try {
+    const timesheet = await Timesheet.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    if (timesheet.userId.toString() !== req.user.id && !(await canReview(req, timesheet))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own timesheets or those you review'
+      });
+    }
+
+    await timesheet.populate(POPULATE_ROWS);
+
+    res.json({
+      success: true,
+      data: timesheet
+    });
+  } catch (error) {
+    logger.error('Get timesheet error:', error);
+    next(error);
+  }
+};
+
+const review = (approve) => async (req, res, next) => {
+  try {
+    const timesheet = await Timesheet.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    if (!(await canReview(req, timesheet))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review timesheets of people working on your projects (not your own)'
+      });
+    }
+
+    const before = { status: timesheet.status };
+    await reviewTimesheet(timesheet, {
+      reviewerId: req.user.id,
+      approve,
+      comment: req.body.comment
+    });
+
+    await auditTimesheet(req, timesheet, approve ? 'APPROVE_TIMESHEET' : 'REJECT_TIMESHEET', before);
+
+    // Let the employee know
+    try {
+      const timezone = await getTenantTimezone(req.tenantId);
+      await notifyUser({
+        tenantId: req.tenantId,
+        userId: timesheet.userId,
+        type: approve ? 'TIMESHEET_APPROVED' : 'TIMESHEET_REJECTED',
+        title: approve ? 'Timesheet Approved' : 'Timesheet Rejected',
+        message: approve
+          ? `Your timesheet for the week of ${formatWeek(timesheet.weekStart, timezone)} was approved`
+          : `Your timesheet for the week of ${formatWeek(timesheet.weekStart, timezone)} was rejected: ${req.body.comment}`,
+        timesheetId: timesheet._id.toString(),
+        reviewedBy: {
+          id: req.user.id.toString(),
+          name: `${req.user.firstName} ${req.user.lastName}`
+        }
+      });
+    } catch (error) {
+      logger.error('Error sending timesheet review notification:', error);
+    }
+
+    await timesheet.populate(POPULATE_ROWS);
+
+    res.json({
+      success: true,
+      data: timesheet
+    });
+  } catch (error) {
+    logger.error(`${approve ? 'Approve' : 'Reject'} timesheet error:`, error);
+    next(error);
+  }
+};
+
+// { comment } optional
+export const approveTimesheet = review(true);
+
+// { comment } required
+export const rejectTimesheet = review(false);
+
+// Email reminders for an unsubmitted week now: { week, force }
+export const sendReminders = async (req, res, next) => {
+  try {
+    const result = await sendTimesheetReminders({
+      tenantId: req.tenantId,
+      date: req.body.week,
+      force: req.body.force === true
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Send timesheet reminders error:', error);
+    next(error);
+  }
+};
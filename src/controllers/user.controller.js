@@ -1,5 +1,11 @@
 import User from '../models/User.model.js';
 import { createAuditLog } from '../services/audit.service.js';
+import {
+  getPreference,
+  serializePreference,
+  validatePreferenceUpdate,
+  updatePreference
+} from '../services/notificationPreference.service.js';
 import logger from '../utils/logger.js';
 
 export const getUsers = async (req, res, next) => {
@@ -354,7 +360,7 @@ export const getCurrentUserProfile = async (req, res, next) => {
 // Update current user profile
 export const updateCurrentUserProfile = async (req, res, next) => {
   try {
-    const { firstName, lastName, email } = req.body;
+    const { firstName, lastName, email, locale } = req.body;
 
     // Find the current user
     const user = await User.findById(req.user.id);
@@ -372,6 +378,7 @@ export const updateCurrentUserProfile = async (req, res, next) => {
     if (firstName !== undefined) user.firstName = firstName;
     if (lastName !== undefined) user.lastName = lastName;
     if (email !== undefined) user.email = email;
+    if (locale !== undefined) user.locale = locale || undefined;
 
     await user.save();
 
@@ -400,6 +407,74 @@ export const updateCurrentUserProfile = async (req, res, next) => {
   }
 };
 
+// Current user's notification channel per type and digest frequency
+export const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const preference = await getPreference(req.user.id);
+
+    res.json({
+      success: true,
+      data: serializePreference(preference)
+    });
+  } catch (error) {
+    logger.error('Get notification preferences error:', error);
+    next(error);
+  }
+};
+
+// Body: { channels?: { <type>: IN_APP|EMAIL|NONE }, digest?: { frequency: OFF|DAILY|WEEKLY } }
+export const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const { channels, digest } = req.body;
+
+    if (!req.tenantId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Notification preferences are only available to tenant users'
+      });
+    }
+
+    const validationError = validatePreferenceUpdate({ channels, digest });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const before = serializePreference(await getPreference(req.user.id));
+    const preference = await updatePreference({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      channels,
+      digest
+    });
+    const after = serializePreference(preference);
+
+    await createAuditLog({
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'USER',
+      resourceId: req.user.id,
+      changes: { action: 'UPDATE_NOTIFICATION_PREFERENCES', before, after },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.json({
+      success: true,
+      data: after,
+      message: 'Notification preferences updated successfully'
+    });
+  } catch (error) {
+    logger.error('Update notification preferences error:', error);
+    next(error);
+  }
+};
+
 // Change current user password
 export const changePassword = async (req, res, next) => {
   try {
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { getRedisClient } from '../config/redis.js';
 import logger from '../utils/logger.js';
@@ -74,3 +75,19 @@ export const authorize = (...roles) => {
   };
 };
 
+
+// Scheduled calls (Vercel Cron) send "Bearer <CRON_SECRET>"; without CRON_SECRET the cron routes stay closed
+export const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+
+  if (!secret || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized'
+    });
+  }
+
+  next();
+};
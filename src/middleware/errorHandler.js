@@ -7,7 +7,9 @@ export const notFound = (req, res, next) => {
 };
 
 export const errorHandler = (err, req, res, next) => {
-  const statusCode = err.statusCode || 500;
+  // Mongoose validation/cast failures are bad input, not server errors
+  const isBadInput = err.name === 'ValidationError' || err.name === 'CastError';
+  const statusCode = err.statusCode || (isBadInput ? 400 : 500);
   const message = err.message || 'Internal Server Error';
 
   // Log error
@@ -0,0 +1,53 @@
+import multer from 'multer';
+import { getAttachmentLimits } from '../services/attachment.service.js';
+import logger from '../utils/logger.js';
+
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+/**
+ * Parse a single multipart file field into req.file (kept in memory), with the
+ * size and MIME limits of the tenant's plan. Rejections are answered with 413
+ * (too large) or 415 (type not allowed) before the controller runs.
+ */
+export const uploadSingleFile = (field = 'file') => async (req, res, next) => {
+  try {
+    const limits = await getAttachmentLimits(req.tenantId);
+
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: limits.maxFileSize, files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (!limits.allowedMimeTypes.includes(file.mimetype)) {
+          const error = new Error(`File type "${file.mimetype}" is not allowed on the ${limits.plan} plan`);
+          error.statusCode = 415;
+          return cb(error);
+        }
+        cb(null, true);
+      }
+    }).single(field);
+
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge
+            ? `File is larger than the ${formatSize(limits.maxFileSize)} allowed on the ${limits.plan} plan`
+            : `Upload error: ${error.message}`
+        });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    });
+  } catch (error) {
+    logger.error('Upload middleware error:', error);
+    next(error);
+  }
+};
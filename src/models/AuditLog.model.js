@@ -26,7 +26,7 @@ const auditLogSchema = new mongoose.Schema({
   resourceType: {
     type: String,
     required: true,
-    enum: ['USER', 'PROJECT', 'TASK', 'TENANT', 'AUDIT', 'REPORT'],
+    enum: ['USER', 'PROJECT', 'TASK', 'TENANT', 'AUDIT', 'REPORT', 'SPRINT', 'TIME_ENTRY', 'TIMESHEET', 'EMAIL'],
     index: true
   },
   resourceId: {
@@ -34,6 +34,8 @@ const auditLogSchema = new mongoose.Schema({
     index: true
   },
   changes: {
+    // What kind of update this was, e.g. UPDATE_RATES or REOPEN
+    action: String,
     before: mongoose.Schema.Types.Mixed,
     after: mongoose.Schema.Types.Mixed
   },
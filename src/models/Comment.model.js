@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const COMMENT_REMOVED_PLACEHOLDER = 'Comment removed';
+
+// Task comments. Replies point at a top-level comment (see services/comment.service.js)
+const commentSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Denormalized from the task
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parentCommentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Users @mentioned in the content (see services/mention.service.js)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  reactions: [{
+    emoji: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Earlier versions of the content, oldest first
+  editHistory: [{
+    content: String,
+    editedAt: Date,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Soft delete: the comment stays in its thread as a placeholder
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Threads of a task and replies of a thread, in posting order (cursor paging)
+commentSchema.index({ taskId: 1, parentCommentId: 1, createdAt: 1, _id: 1 });
+// Comment counts on task lists
+commentSchema.index({ taskId: 1, deletedAt: 1 });
+// "Mentions of me"
+commentSchema.index({ tenantId: 1, mentions: 1, createdAt: -1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// QUEUED (waiting for its first or next attempt) -> SENDING -> SENT, or DEAD
+// once the attempts run out or the email cannot be rendered
+export const EMAIL_STATUSES = ['QUEUED', 'SENDING', 'SENT', 'DEAD'];
+
+// Outbound email queue, and the delivery log of what was sent
+const emailMessageSchema = new mongoose.Schema({
+  // null for emails that don't belong to a tenant (e.g. a Super Admin's password reset)
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  // Requested locale; the tenant's when null. Set to the rendered one once sent
+  locale: {
+    type: String,
+    default: null
+  },
+  // Template data. Never returned by the API and dropped once the email is sent
+  variables: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  // Variables that are credentials (reset links), encrypted. Dropped once the
+  // email is sent or goes DEAD, after which it cannot be queued again
+  secrets: {
+    type: String,
+    select: false
+  },
+  hasSecrets: {
+    type: Boolean,
+    default: false
+  },
+  // Not sent after this (e.g. when the reset token it carries expires)
+  expiresAt: Date,
+  subject: String,
+  status: {
+    type: String,
+    enum: EMAIL_STATUSES,
+    default: 'QUEUED'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker claimed it; a stale lock means the worker died mid-send
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ tenantId: 1, createdAt: -1 });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+export default EmailMessage;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Queue for asynchronous report exports when Redis is not available (files go to the storage driver)
+const exportJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userRole: {
+    type: String,
+    required: true
+  },
+  reportType: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'pdf'],
+    required: true
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED'],
+    default: 'QUEUED',
+    index: true
+  },
+  error: String,
+  filename: String,
+  contentType: String,
+  size: Number,
+  rowCount: Number,
+  retentionHours: {
+    type: Number,
+    required: true
+  },
+  // Storage driver key of the finished file
+  artifactKey: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ status: 1, createdAt: 1 });
+// Mongo removes the job a day after the retention window has passed, which
+// leaves the export worker time to delete its file from storage first
+exportJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+export default ExportJob;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// In-app notifications, kept so users who were offline still see them
+// (see services/notification.service.js)
+const notificationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Event details sent along with the notification (taskId, projectId, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set once the notification went out over a socket
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the user was emailed about it (EMAIL channel); digests skip these
+  emailedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+notificationSchema.virtual('read').get(function() {
+  return Boolean(this.readAt);
+});
+
+// A user's list and unread count
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+// Replay of undelivered notifications on reconnect
+notificationSchema.index({ userId: 1, deliveredAt: 1, createdAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_CHANNELS = ['IN_APP', 'EMAIL', 'NONE'];
+export const DIGEST_FREQUENCIES = ['OFF', 'DAILY', 'WEEKLY'];
+
+// How a user wants to hear about each notification type; types without an
+// entry use the defaults in services/notificationPreference.service.js
+const notificationPreferenceSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  channels: {
+    type: Map,
+    of: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS
+    },
+    default: {}
+  },
+  // One email with the unread notifications, at the tenant's local morning
+  digest: {
+    frequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'OFF'
+    },
+    lastSentAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.index({ 'digest.frequency': 1 });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+export default NotificationPreference;
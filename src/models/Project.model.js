@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { DEFAULT_TASK_STATUSES, STATUS_CATEGORIES } from './Task.model.js';
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -50,11 +51,37 @@ const projectSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // Cost of the time logged on the project (see services/cost.service.js)
   spent: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Completion percentage, kept in sync by the Task hooks (see recalculateProgress)
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  progressStats: {
+    totalTasks: { type: Number, default: 0 },
+    completedTasks: { type: Number, default: 0 },
+    cancelledTasks: { type: Number, default: 0 },
+    totalWeight: { type: Number, default: 0 },
+    completedWeight: { type: Number, default: 0 },
+    updatedAt: Date
+  },
+  // Budget thresholds already alerted on, so each fires once
+  budgetAlerts: [{
+    _id: false,
+    threshold: Number,
+    spent: Number,
+    triggeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   members: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -82,6 +109,47 @@ const projectSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // How progress is measured: share of tasks (COUNT) or of estimated hours
+    // (ESTIMATE); cancelled tasks are left out unless excludeCancelled is false
+    progress: {
+      weightBy: {
+        type: String,
+        enum: ['COUNT', 'ESTIMATE'],
+        default: 'COUNT'
+      },
+      excludeCancelled: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Starting or completing a task that still has open blockers:
+    // BLOCK rejects it, WARN allows it with a warning, OFF ignores dependencies
+    dependencyEnforcement: {
+      type: String,
+      enum: ['BLOCK', 'WARN', 'OFF'],
+      default: 'BLOCK'
+    },
+    // Hourly cost overrides for this project, per user or per role
+    rates: [{
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: {
+        type: String,
+        enum: ['ORG_ADMIN', 'PROJECT_MANAGER', 'EMPLOYEE']
+      },
+      hourlyRate: {
+        type: Number,
+        min: 0,
+        required: true
+      }
+    }],
+    // Overrides the tenant's budgetAlertThresholds when not empty
+    budgetAlertThresholds: [{
+      type: Number
+    }],
     sla: {
       enabled: {
         type: Boolean,
@@ -90,6 +158,78 @@ const projectSchema = new mongoose.Schema({
       targetCompletionDays: {
         type: Number
       }
+    },
+    // Overrides of the tenant's business calendar; unset fields inherit it and
+    // holidays are added to the tenant's
+    calendar: {
+      timezone: String,
+      workingDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: undefined
+      },
+      workingHours: {
+        start: {
+          type: String,
+          match: /^([01]\d|2[0-3]):[0-5]\d$/
+        },
+        end: {
+          type: String,
+          match: /^([01]\d|2[0-3]):[0-5]\d$/
+        }
+      },
+      holidays: [{
+        _id: false,
+        date: {
+          type: String,
+          match: /^\d{4}-\d{2}-\d{2}$/,
+          required: true
+        },
+        name: String
+      }]
+    },
+    // Custom task statuses (board columns); empty means the built-in statuses
+    statuses: [{
+      _id: false,
+      key: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_]+$/, 'Status keys can only contain letters, numbers and underscores']
+      },
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      category: {
+        type: String,
+        enum: STATUS_CATEGORIES,
+        required: true
+      },
+      color: String,
+      order: {
+        type: Number,
+        default: 0
+      }
+    }],
+    // Allowed task status transitions; empty means inherit the tenant default
+    workflow: {
+      transitions: [{
+        _id: false,
+        from: {
+          type: String,
+          required: true
+        },
+        to: {
+          type: String,
+          required: true
+        },
+        // User roles (e.g. PROJECT_MANAGER) or project member roles (e.g. LEAD); empty = anyone
+        allowedRoles: [{
+          type: String
+        }]
+      }]
     }
   }
 }, {
@@ -102,19 +242,86 @@ projectSchema.index({ tenantId: 1, ownerId: 1 });
 projectSchema.index({ tenantId: 1, managerId: 1 });
 projectSchema.index({ 'members.userId': 1 });
 
-projectSchema.virtual('progress').get(function() {
-  return 0;
-});
+/**
+ * Recompute the stored progress of a project from its tasks. With ESTIMATE
+ * weighting, tasks without an estimate weigh as much as the average estimated
+ * task (or everything counts as 1 when nothing is estimated).
+ */
+projectSchema.statics.recalculateProgress = async function(projectId) {
+  const project = await this.findById(projectId).select('settings.progress');
+  if (!project) return null;
+
+  const Task = mongoose.model('Task');
+  const groups = await Task.aggregate([
+    { $match: { projectId: project._id } },
+    {
+      $group: {
+        _id: '$statusCategory',
+        count: { $sum: 1 },
+        estimated: { $sum: { $cond: [{ $gt: ['$estimatedHours', 0] }, 1, 0] } },
+        hours: { $sum: { $cond: [{ $gt: ['$estimatedHours', 0] }, '$estimatedHours', 0] } }
+      }
+    }
+  ]);
+
+  const { weightBy = 'COUNT', excludeCancelled = true } = project.settings?.progress || {};
+  const counted = groups.filter(g => !(excludeCancelled && g._id === 'CANCELLED'));
+  const sum = (list, key) => list.reduce((total, g) => total + g[key], 0);
+
+  let weightOf = (g) => g.count;
+  const estimatedTasks = sum(counted, 'estimated');
+  if (weightBy === 'ESTIMATE' && estimatedTasks > 0) {
+    const average = sum(counted, 'hours') / estimatedTasks;
+    weightOf = (g) => g.hours + (g.count - g.estimated) * average;
+  }
+
+  const done = counted.filter(g => g._id === 'DONE');
+  const totalWeight = counted.reduce((total, g) => total + weightOf(g), 0);
+  const completedWeight = done.reduce((total, g) => total + weightOf(g), 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const progressStats = {
+    totalTasks: sum(groups, 'count'),
+    completedTasks: sum(done, 'count'),
+    cancelledTasks: sum(groups.filter(g => g._id === 'CANCELLED'), 'count'),
+    totalWeight: round(totalWeight),
+    completedWeight: round(completedWeight),
+    updatedAt: new Date()
+  };
+  const progress = totalWeight > 0 ? round((completedWeight / totalWeight) * 100) : 0;
+
+  await this.updateOne({ _id: project._id }, { $set: { progress, progressStats } });
+  return { progress, progressStats };
+};
 
 projectSchema.methods.canClose = async function() {
   const Task = mongoose.model('Task');
   const openTasks = await Task.countDocuments({
     projectId: this._id,
-    status: { $nin: ['COMPLETED', 'CANCELLED'] }
+    statusCategory: { $nin: ['DONE', 'CANCELLED'] }
   });
   return openTasks === 0;
 };
 
+// Task statuses (board columns) for this project, in display order
+projectSchema.methods.getTaskStatuses = function() {
+  const statuses = this.settings?.statuses?.length
+    ? this.settings.statuses.map(s => ({
+        key: s.key,
+        name: s.name,
+        category: s.category,
+        color: s.color,
+        order: s.order
+      }))
+    : DEFAULT_TASK_STATUSES.map(s => ({ ...s }));
+
+  return statuses.sort((a, b) => a.order - b.order);
+};
+
+projectSchema.methods.usesCustomStatuses = function() {
+  return Boolean(this.settings?.statuses?.length);
+};
+
 projectSchema.set('toJSON', {
   virtuals: true
 });
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Totals of the tasks in a sprint, in both units the burndown can use
+const sprintTotalsSchema = new mongoose.Schema({
+  tasks: { type: Number, default: 0 },
+  storyPoints: { type: Number, default: 0 },
+  estimatedHours: { type: Number, default: 0 }
+}, { _id: false });
+
+const sprintSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true
+  },
+  goal: {
+    type: String,
+    trim: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['PLANNED', 'ACTIVE', 'COMPLETED'],
+    default: 'PLANNED',
+    index: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Snapshot of the sprint's tasks when it was started (planned = tasks with this sprintId)
+  committedTaskIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  committed: {
+    type: sprintTotalsSchema,
+    default: () => ({})
+  },
+  // Filled in when the sprint is completed; velocity is completed.storyPoints / estimatedHours
+  completed: {
+    type: sprintTotalsSchema,
+    default: () => ({})
+  },
+  rolledOverTaskIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  rolledOverToSprintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sprintSchema.index({ tenantId: 1, projectId: 1, startDate: -1 });
+// A project runs at most one sprint at a time
+sprintSchema.index(
+  { projectId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'ACTIVE' } }
+);
+
+sprintSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+
+export default Sprint;
@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import { rankBetween } from '../utils/rank.js';
+
+// Every status (built-in or custom) maps to one of these, which is what reports aggregate on
+export const STATUS_CATEGORIES = ['TODO', 'IN_PROGRESS', 'DONE', 'CANCELLED'];
+
+// Board columns for projects that don't define their own
+export const DEFAULT_TASK_STATUSES = [
+  { key: 'TODO', name: 'To Do', category: 'TODO', order: 0 },
+  { key: 'IN_PROGRESS', name: 'In Progress', category: 'IN_PROGRESS', order: 1 },
+  { key: 'IN_REVIEW', name: 'In Review', category: 'IN_PROGRESS', order: 2 },
+  { key: 'DONE', name: 'Done', category: 'DONE', order: 3 },
+  { key: 'BLOCKED', name: 'Blocked', category: 'IN_PROGRESS', order: 4 },
+  { key: 'CANCELLED', name: 'Cancelled', category: 'CANCELLED', order: 5 }
+];
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -33,12 +47,24 @@ const taskSchema = new mongoose.Schema({
     default: 'STORY',
     index: true
   },
+  // Key of one of the project's statuses (see Project.getTaskStatuses)
   status: {
     type: String,
-    enum: ['TODO', 'IN_PROGRESS', 'IN_REVIEW', 'DONE', 'BLOCKED', 'CANCELLED'],
+    default: 'TODO',
+    trim: true,
+    index: true
+  },
+  // Denormalized from the project's status definition on save
+  statusCategory: {
+    type: String,
+    enum: STATUS_CATEGORIES,
     default: 'TODO',
     index: true
   },
+  // Manual position inside the status column on the board (see utils/rank.js)
+  rank: {
+    type: String
+  },
   priority: {
     type: String,
     enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'],
@@ -54,6 +80,12 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  sprintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null,
+    index: true
+  },
   dueDate: {
     type: Date
   },
@@ -61,6 +93,15 @@ const taskSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  storyPoints: {
+    type: Number,
+    min: 0
+  },
+  // When the task last entered a DONE-category status (null while open)
+  completedAt: {
+    type: Date,
+    default: null
+  },
   actualHours: {
     type: Number,
     default: 0,
@@ -80,9 +121,15 @@ const taskSchema = new mongoose.Schema({
   tags: [{
     type: String
   }],
+  // Uploaded files (see services/attachment.service.js); `url` is only set on
+  // links added before uploads existed
   attachments: [{
     filename: String,
     url: String,
+    storageKey: String,
+    storageDriver: String,
+    mimeType: String,
+    size: Number,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -92,21 +139,6 @@ const taskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  comments: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    content: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    updatedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   sla: {
     targetCompletionDate: Date,
     breached: {
@@ -123,6 +155,8 @@ const taskSchema = new mongoose.Schema({
 taskSchema.index({ tenantId: 1, projectId: 1 });
 taskSchema.index({ tenantId: 1, assigneeId: 1, status: 1 });
 taskSchema.index({ tenantId: 1, status: 1 });
+taskSchema.index({ tenantId: 1, statusCategory: 1 });
+taskSchema.index({ projectId: 1, status: 1, rank: 1 });
 taskSchema.index({ parentTaskId: 1 });
 taskSchema.index({ 'dependencies.taskId': 1 });
 
@@ -134,18 +168,117 @@ taskSchema.virtual('subtasksCount', {
   count: true
 });
 
+// completedAt for a task entering `category`: kept while it stays done, cleared on reopen
+export const completionDate = (completedAt, category) => {
+  if (category !== 'DONE') return null;
+  return completedAt || new Date();
+};
+
+// Validate the status against the project's columns and keep statusCategory in sync
+taskSchema.pre('validate', async function(next) {
+  if (!this.isNew && !this.isModified('status') && !this.isModified('projectId')) {
+    return next();
+  }
+
+  try {
+    const project = await mongoose.model('Project')
+      .findById(this.projectId)
+      .select('settings.statuses');
+    const statuses = project ? project.getTaskStatuses() : DEFAULT_TASK_STATUSES;
+
+    let definition = statuses.find(s => s.key === this.status);
+    // New tasks get the default TODO status; use the project's first to-do column instead
+    if (!definition && this.isNew && this.status === 'TODO') {
+      definition = statuses.find(s => s.category === 'TODO');
+      if (definition) this.status = definition.key;
+    }
+
+    if (!definition) {
+      this.invalidate(
+        'status',
+        `Unknown status "${this.status}". Valid statuses: ${statuses.map(s => s.key).join(', ')}`
+      );
+    } else {
+      this.statusCategory = definition.category;
+      this.completedAt = completionDate(this.completedAt, definition.category);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// New tasks, and tasks moved to another status or project without an explicit
+// position, go to the bottom of their column
+taskSchema.pre('save', async function(next) {
+  const moved = this.isModified('status') || this.isModified('projectId');
+  if (!this.isNew && (!moved || this.isModified('rank'))) {
+    return next();
+  }
+
+  try {
+    const last = await this.constructor
+      .findOne({ projectId: this.projectId, status: this.status, _id: { $ne: this._id } })
+      .sort({ rank: -1 })
+      .select('rank');
+    this.rank = rankBetween(last?.rank || null, null);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Keep the project's stored progress in sync with its tasks
+const PROGRESS_FIELDS = ['statusCategory', 'estimatedHours', 'projectId'];
+
+const recalculateProjectProgress = async (projectId) => {
+  if (projectId) {
+    await mongoose.model('Project').recalculateProgress(projectId._id || projectId);
+  }
+};
+
+taskSchema.pre('save', function(next) {
+  this.$locals.progressChanged = this.isNew || PROGRESS_FIELDS.some(f => this.isModified(f));
+  next();
+});
+
+taskSchema.post('save', async function() {
+  if (this.$locals.progressChanged) {
+    await recalculateProjectProgress(this.projectId);
+  }
+});
+
+taskSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await recalculateProjectProgress(this.projectId);
+});
+
+taskSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...(update.$set || {}) };
+  if (doc && PROGRESS_FIELDS.some(f => f in changed)) {
+    await recalculateProjectProgress(doc.projectId);
+  }
+});
+
+// Built-in workflow, used when neither the project nor the tenant configures one
+const defaultTransitions = {
+  'TODO': ['IN_PROGRESS', 'CANCELLED'],
+  'IN_PROGRESS': ['IN_REVIEW', 'BLOCKED', 'CANCELLED'],
+  'IN_REVIEW': ['DONE', 'IN_PROGRESS'],
+  'DONE': ['IN_PROGRESS'], // Reopening
+  'BLOCKED': ['IN_PROGRESS', 'CANCELLED'],
+  'CANCELLED': []
+};
+
+export const DEFAULT_WORKFLOW_TRANSITIONS = Object.entries(defaultTransitions).flatMap(
+  ([from, targets]) => targets.map(to => ({ from, to, allowedRoles: [] }))
+);
+
 // Method to check if task can transition to a status
-taskSchema.methods.canTransitionTo = function(newStatus) {
-  const validTransitions = {
-    'TODO': ['IN_PROGRESS', 'CANCELLED'],
-    'IN_PROGRESS': ['IN_REVIEW', 'BLOCKED', 'CANCELLED'],
-    'IN_REVIEW': ['DONE', 'IN_PROGRESS'],
-    'DONE': ['IN_PROGRESS'], // Reopening
-    'BLOCKED': ['IN_PROGRESS', 'CANCELLED'],
-    'CANCELLED': []
-  };
-
-  return validTransitions[this.status]?.includes(newStatus) || false;
+// `transitions` is a workflow's [{ from, to }] list; defaults to the built-in workflow
+taskSchema.methods.canTransitionTo = function(newStatus, transitions = DEFAULT_WORKFLOW_TRANSITIONS) {
+  if (newStatus === this.status) return true;
+  return transitions.some(t => t.from === this.status && t.to === newStatus);
 };
 
 taskSchema.set('toJSON', {
@@ -28,14 +28,110 @@ const tenantSchema = new mongoose.Schema({
       type: String,
       default: 'UTC'
     },
+    // Business calendar (in `timezone`) used for SLA targets, capacity and overdue tasks
+    calendar: {
+      // Days of the week that are worked, 0 = Sunday
+      workingDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: () => [1, 2, 3, 4, 5]
+      },
+      workingHours: {
+        start: {
+          type: String,
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+          default: '09:00'
+        },
+        end: {
+          type: String,
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+          default: '17:00'
+        }
+      },
+      holidays: [{
+        _id: false,
+        date: {
+          type: String,
+          match: /^\d{4}-\d{2}-\d{2}$/,
+          required: true
+        },
+        name: String
+      }]
+    },
     dateFormat: {
       type: String,
       default: 'YYYY-MM-DD'
     },
+    // Language of emails to users who haven't chosen one, e.g. 'en', 'es'
+    locale: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z]{2}(-[a-z]{2})?$/, 'Locale must look like "en" or "es-mx"'],
+      default: 'en'
+    },
+    // Look of the tenant's emails; unset fields fall back to the platform's
+    branding: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+      },
+      logoUrl: {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\//, 'Logo URL must start with http:// or https://']
+      },
+      primaryColor: {
+        type: String,
+        trim: true,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Primary color must be a hex color like #667eea']
+      },
+      // Sender name on outgoing emails
+      fromName: {
+        type: String,
+        trim: true,
+        maxlength: 100
+      }
+    },
     maxUsers: {
       type: Number,
       default: 100
     },
+    // Task status workflow used by projects that don't define their own
+    defaultWorkflow: {
+      transitions: [{
+        _id: false,
+        from: {
+          type: String,
+          required: true
+        },
+        to: {
+          type: String,
+          required: true
+        },
+        allowedRoles: [{
+          type: String
+        }]
+      }]
+    },
+    // How long finished report exports stay downloadable
+    exportRetentionHours: {
+      type: Number,
+      default: 24,
+      min: 1,
+      max: 720
+    },
+    // Default hourly cost per role, used when a user has no rate of their own
+    roleRates: {
+      ORG_ADMIN: { type: Number, min: 0, default: 0 },
+      PROJECT_MANAGER: { type: Number, min: 0, default: 0 },
+      EMPLOYEE: { type: Number, min: 0, default: 0 }
+    },
+    // Budget consumption (%) at which project managers and admins are alerted
+    budgetAlertThresholds: {
+      type: [Number],
+      default: () => [75, 90, 100]
+    },
     features: {
       realTimeCollaboration: {
         type: Boolean,
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+const timeEntrySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  // Denormalized from the task for project-level reporting
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // null while a timer is running
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  billable: {
+    type: Boolean,
+    default: true
+  },
+  // Rate in effect when the time was logged, and the resulting cost
+  hourlyRate: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  source: {
+    type: String,
+    enum: ['MANUAL', 'TIMER', 'IMPORT'],
+    default: 'MANUAL'
+  }
+}, {
+  timestamps: true
+});
+
+timeEntrySchema.index({ tenantId: 1, userId: 1, startedAt: -1 });
+timeEntrySchema.index({ tenantId: 1, projectId: 1, startedAt: -1 });
+// One running timer per user
+timeEntrySchema.index(
+  { userId: 1, isRunning: 1 },
+  { unique: true, partialFilterExpression: { isRunning: true } }
+);
+
+// Finished entries take their duration from start/end; an entry given only a
+// duration gets its end time from it
+timeEntrySchema.pre('validate', function(next) {
+  if (this.isRunning) {
+    this.endedAt = null;
+    this.durationMinutes = 0;
+    return next();
+  }
+
+  if (!this.endedAt && this.startedAt && this.durationMinutes > 0) {
+    this.endedAt = new Date(this.startedAt.getTime() + this.durationMinutes * 60 * 1000);
+  }
+
+  if (!this.endedAt) {
+    this.invalidate('endedAt', 'Provide an end time or a duration');
+  } else if (this.startedAt && this.endedAt <= this.startedAt) {
+    this.invalidate('endedAt', 'End time must be after the start time');
+  } else if (this.startedAt) {
+    this.durationMinutes = Math.round((this.endedAt - this.startedAt) / (60 * 1000));
+  }
+  this.cost = Math.round((this.durationMinutes / 60) * (this.hourlyRate || 0) * 100) / 100;
+  next();
+});
+
+timeEntrySchema.virtual('hours').get(function() {
+  return Math.round((this.durationMinutes / 60) * 100) / 100;
+});
+
+timeEntrySchema.set('toJSON', {
+  virtuals: true
+});
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+// Hours per task for one week, frozen when the timesheet is submitted
+const timesheetRowSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Monday..Sunday
+  dailyHours: {
+    type: [Number],
+    default: () => [0, 0, 0, 0, 0, 0, 0]
+  },
+  totalHours: {
+    type: Number,
+    default: 0
+  },
+  billableHours: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const timesheetSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Monday 00:00 of the week in the tenant's timezone
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['DRAFT', 'SUBMITTED', 'APPROVED', 'REJECTED'],
+    default: 'DRAFT',
+    index: true
+  },
+  rows: [timesheetRowSchema],
+  // Projects with time on the timesheet; their managers can review it
+  projectIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }],
+  totalHours: {
+    type: Number,
+    default: 0
+  },
+  billableHours: {
+    type: Number,
+    default: 0
+  },
+  submittedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewComment: {
+    type: String,
+    trim: true
+  },
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['SUBMITTED', 'APPROVED', 'REJECTED']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reminderSentAt: Date
+}, {
+  timestamps: true
+});
+
+timesheetSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ tenantId: 1, status: 1, weekStart: -1 });
+timesheetSchema.index({ projectIds: 1, status: 1 });
+
+// Submitted and approved weeks can't be changed; rejected ones are open again
+timesheetSchema.methods.isLocked = function() {
+  return ['SUBMITTED', 'APPROVED'].includes(this.status);
+};
+
+const Timesheet = mongoose.model('Timesheet', timesheetSchema);
+
+export default Timesheet;
@@ -66,7 +66,19 @@ const userSchema = new mongoose.Schema({
   },
   permissions: [{
     type: String
-  }]
+  }],
+  // Cost of an hour of this user's time; falls back to the tenant's rate for their role
+  hourlyRate: {
+    type: Number,
+    min: 0
+  },
+  // Language of this user's emails; the tenant's locale when unset
+  locale: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z]{2}(-[a-z]{2})?$/, 'Locale must look like "en" or "es-mx"']
+  }
 }, {
   timestamps: true
 });
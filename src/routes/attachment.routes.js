@@ -0,0 +1,10 @@
+import express from 'express';
+import * as attachmentController from '../controllers/attachment.controller.js';
+
+const router = express.Router();
+
+// Public: the expiring, tenant-scoped token in the link is the credential.
+// Upload, list and delete live under /api/tasks/:id/attachments.
+router.get('/download/:token', attachmentController.downloadAttachment);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { authenticateCron } from '../middleware/auth.middleware.js';
+import * as cronController from '../controllers/cron.controller.js';
+
+const router = express.Router();
+
+// Called on a schedule (vercel.json crons), not by users
+router.use(authenticateCron);
+
+router.get('/exports', cronController.runExportJobs);
+router.get('/emails', cronController.sendQueuedEmails);
+router.get('/sla', cronController.checkSlas);
+router.get('/timesheet-reminders', cronController.remindTimesheets);
+router.get('/digests', cronController.sendDigests);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { resolveTenant, tenantScope } from '../middleware/tenant.middleware.js';
+import { preventSuperAdminTenantWork } from '../middleware/rbac.middleware.js';
+import * as emailDeliveryController from '../controllers/emailDelivery.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(resolveTenant);
+router.use(tenantScope);
+// Prevent SUPER_ADMIN from doing tenant work
+router.use(preventSuperAdminTenantWork);
+
+// Only ORG_ADMIN can see the tenant's email delivery log
+router.get('/', authorize('ORG_ADMIN'), emailDeliveryController.getEmailDeliveries);
+router.get('/:id', authorize('ORG_ADMIN'), emailDeliveryController.getEmailDelivery);
+router.post('/:id/retry', authorize('ORG_ADMIN'), emailDeliveryController.retryEmailDelivery);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { resolveTenant, tenantScope } from '../middleware/tenant.middleware.js';
+import { preventSuperAdminTenantWork } from '../middleware/rbac.middleware.js';
+import * as emailTemplateController from '../controllers/emailTemplate.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(resolveTenant);
+router.use(tenantScope);
+// Prevent SUPER_ADMIN from doing tenant work
+router.use(preventSuperAdminTenantWork);
+
+// Only ORG_ADMIN can browse and preview the tenant's email templates
+router.get('/', authorize('ORG_ADMIN'), emailTemplateController.listTemplates);
+router.post('/:name/preview', authorize('ORG_ADMIN'), emailTemplateController.previewTemplate);
+
+export default router;
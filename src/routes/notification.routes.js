@@ -0,0 +1,22 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { resolveTenant, tenantScope } from '../middleware/tenant.middleware.js';
+import { preventSuperAdminTenantWork } from '../middleware/rbac.middleware.js';
+import * as notificationController from '../controllers/notification.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(resolveTenant);
+router.use(tenantScope);
+// Prevent SUPER_ADMIN from doing tenant work
+router.use(preventSuperAdminTenantWork);
+
+// Current user's notification center
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.patch('/read-all', notificationController.markAllAsRead);
+router.patch('/:id/read', notificationController.markAsRead);
+
+export default router;
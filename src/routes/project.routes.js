@@ -30,5 +30,31 @@ router.delete('/:id', authorize('ORG_ADMIN'), projectController.deleteProject);
 router.post('/:id/members', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.addProjectMember);
 router.delete('/:id/members/:userId', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.removeProjectMember);
 
+// Kanban board - filtered by role in controller
+router.get('/:id/board', projectController.getProjectBoard);
+
+// Gantt timeline with critical path - same visibility as the project
+router.get('/:id/schedule', projectController.getProjectSchedule);
+
+// Epic → story → subtask tree with roll-ups - same visibility as the project
+router.get('/:id/hierarchy', projectController.getProjectHierarchy);
+
+// Task statuses (board columns) - editable by ORG_ADMIN and the project's manager
+router.get('/:id/statuses', projectController.getProjectStatuses);
+router.put('/:id/statuses', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.updateProjectStatuses);
+
+// Task status workflow - readable by anyone with project access, editable by ORG_ADMIN and the project's manager
+router.get('/:id/workflow', projectController.getProjectWorkflow);
+router.put('/:id/workflow', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.updateProjectWorkflow);
+
+// Business calendar overrides - readable by anyone with project access, editable by ORG_ADMIN and the project's manager
+router.get('/:id/calendar', projectController.getProjectCalendar);
+router.put('/:id/calendar', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.updateProjectCalendar);
+
+// Hourly rates, budget alert thresholds and cost recalculation - ORG_ADMIN and the project's manager
+router.get('/:id/rates', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.getProjectRates);
+router.put('/:id/rates', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.updateProjectRates);
+router.post('/:id/costs/recalculate', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), restrictToOwnProjects, projectController.recalculateProjectCosts);
+
 export default router;
 
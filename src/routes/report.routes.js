@@ -23,7 +23,14 @@ router.get('/budget', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportControlle
 router.get('/task-trends', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.getTaskTrendsReport);
 router.get('/priority', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.getPriorityReport);
 router.get('/team-utilization', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.getTeamUtilizationReport);
+router.get('/burndown', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.getBurndownReport);
+router.get('/sla-compliance', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.getSlaComplianceReport);
 router.get('/export/:type', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.exportReport);
 
+// Asynchronous exports - queue a job, poll it, download the finished file
+router.post('/export/:type', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.queueReportExport);
+router.get('/export/jobs/:jobId', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.getExportJobStatus);
+router.get('/export/jobs/:jobId/download', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), reportController.downloadExportJob);
+
 export default router;
 
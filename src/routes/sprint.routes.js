@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { resolveTenant, tenantScope } from '../middleware/tenant.middleware.js';
+import { preventSuperAdminTenantWork } from '../middleware/rbac.middleware.js';
+import * as sprintController from '../controllers/sprint.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(resolveTenant);
+router.use(tenantScope);
+// Prevent SUPER_ADMIN from doing tenant work
+router.use(preventSuperAdminTenantWork);
+
+// Read - project members (access checked in controller)
+router.get('/', sprintController.getSprints);
+router.get('/velocity', sprintController.getVelocity);
+router.get('/:id', sprintController.getSprintById);
+router.get('/:id/burndown', sprintController.getSprintBurndown);
+
+// Plan and run sprints - ORG_ADMIN, PROJECT_MANAGER of the project
+router.post('/', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), sprintController.createSprint);
+router.put('/:id', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), sprintController.updateSprint);
+router.delete('/:id', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), sprintController.deleteSprint);
+router.post('/:id/start', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), sprintController.startSprint);
+router.post('/:id/complete', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), sprintController.completeSprint);
+router.post('/:id/tasks', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), sprintController.addSprintTasks);
+router.delete('/:id/tasks/:taskId', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), sprintController.removeSprintTask);
+
+export default router;
@@ -2,7 +2,10 @@ import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
 import { resolveTenant, tenantScope } from '../middleware/tenant.middleware.js';
 import { preventSuperAdminTenantWork, restrictToOwnTasks, canAssignTasks, canManageProjects } from '../middleware/rbac.middleware.js';
+import { uploadSingleFile } from '../middleware/upload.middleware.js';
 import * as taskController from '../controllers/task.controller.js';
+import * as commentController from '../controllers/comment.controller.js';
+import * as attachmentController from '../controllers/attachment.controller.js';
 
 const router = express.Router();
 
@@ -15,24 +18,44 @@ router.use(preventSuperAdminTenantWork);
 
 // Get tasks - filtered by role in controller (EMPLOYEE sees only assigned, others see all)
 router.get('/', taskController.getTasks);
+
+// Comments that @mention the current user
+router.get('/mentions/me', commentController.getMyMentions);
 router.get('/:id', restrictToOwnTasks, taskController.getTaskById);
 
+// Epic → story → subtask tree below a task, with estimate/time/progress roll-ups
+router.get('/:id/hierarchy', restrictToOwnTasks, taskController.getTaskHierarchy);
+
 // Create task - ORG_ADMIN, PROJECT_MANAGER only
 router.post('/', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), canManageProjects, taskController.createTask);
 
 // Update task - ORG_ADMIN can update any, PROJECT_MANAGER can update in their projects, EMPLOYEE only assigned
 router.put('/:id', restrictToOwnTasks, taskController.updateTask);
 
-// Delete task - ORG_ADMIN, PROJECT_MANAGER only
+// Delete task - ORG_ADMIN, PROJECT_MANAGER only (?cascade=true also deletes child tasks)
 router.delete('/:id', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), taskController.deleteTask);
 
 // Update task status - All roles can update (with restrictions in controller)
 router.patch('/:id/status', restrictToOwnTasks, taskController.updateTaskStatus);
 
-// Comments - All authenticated users can comment on accessible tasks
-router.post('/:id/comments', restrictToOwnTasks, taskController.addComment);
-router.put('/:id/comments/:commentId', restrictToOwnTasks, taskController.updateComment);
-router.delete('/:id/comments/:commentId', restrictToOwnTasks, taskController.deleteComment);
+// Move a task on the board (status and position in one step)
+router.patch('/:id/move', restrictToOwnTasks, taskController.moveTask);
+
+// Comments - All authenticated users can comment on accessible tasks; lists are cursor-paged (?cursor=&limit=)
+router.get('/:id/comments', restrictToOwnTasks, commentController.getComments);
+router.post('/:id/comments', restrictToOwnTasks, commentController.addComment);
+router.put('/:id/comments/:commentId', restrictToOwnTasks, commentController.updateComment);
+router.delete('/:id/comments/:commentId', restrictToOwnTasks, commentController.deleteComment);
+router.get('/:id/comments/:commentId/replies', restrictToOwnTasks, commentController.getCommentReplies);
+router.get('/:id/comments/:commentId/history', restrictToOwnTasks, commentController.getCommentHistory);
+router.post('/:id/comments/:commentId/reactions', restrictToOwnTasks, commentController.addReaction);
+router.delete('/:id/comments/:commentId/reactions/:emoji', restrictToOwnTasks, commentController.removeReaction);
+
+// Attachments - multipart upload ("file" field) limited by the tenant's plan; downloads use expiring links
+router.post('/:id/attachments', restrictToOwnTasks, uploadSingleFile('file'), attachmentController.uploadAttachment);
+router.get('/:id/attachments', restrictToOwnTasks, attachmentController.getAttachments);
+router.get('/:id/attachments/:attachmentId', restrictToOwnTasks, attachmentController.getAttachment);
+router.delete('/:id/attachments/:attachmentId', restrictToOwnTasks, attachmentController.deleteAttachment);
 
 export default router;
 
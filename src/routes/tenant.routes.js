@@ -22,6 +22,10 @@ router.get('/:id/stats', authorize('SUPER_ADMIN'), tenantController.getTenantSta
 // Org admin routes
 router.get('/:id/settings', authorize('SUPER_ADMIN', 'ORG_ADMIN'), resolveTenant, tenantController.getTenantSettings);
 router.put('/:id/settings', authorize('SUPER_ADMIN', 'ORG_ADMIN'), resolveTenant, tenantController.updateTenantSettings);
+router.get('/:id/workflow', authorize('SUPER_ADMIN', 'ORG_ADMIN'), resolveTenant, tenantController.getTenantWorkflow);
+router.put('/:id/workflow', authorize('SUPER_ADMIN', 'ORG_ADMIN'), resolveTenant, tenantController.updateTenantWorkflow);
+router.get('/:id/calendar', authorize('SUPER_ADMIN', 'ORG_ADMIN'), resolveTenant, tenantController.getTenantCalendar);
+router.put('/:id/calendar', authorize('SUPER_ADMIN', 'ORG_ADMIN'), resolveTenant, tenantController.updateTenantCalendar);
 
 export default router;
 
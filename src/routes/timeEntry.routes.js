@@ -0,0 +1,28 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { resolveTenant, tenantScope } from '../middleware/tenant.middleware.js';
+import { preventSuperAdminTenantWork } from '../middleware/rbac.middleware.js';
+import * as timeEntryController from '../controllers/timeEntry.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(resolveTenant);
+router.use(tenantScope);
+// Prevent SUPER_ADMIN from doing tenant work
+router.use(preventSuperAdminTenantWork);
+
+// Timer for the current user
+router.get('/timer', timeEntryController.getRunningTimer);
+router.post('/timer/start', timeEntryController.startTimer);
+router.post('/timer/stop', timeEntryController.stopTimer);
+
+// Time entries - filtered by role in controller (EMPLOYEE sees only their own)
+router.get('/', timeEntryController.getTimeEntries);
+router.post('/', timeEntryController.createTimeEntry);
+router.get('/:id', timeEntryController.getTimeEntryById);
+router.put('/:id', timeEntryController.updateTimeEntry);
+router.delete('/:id', timeEntryController.deleteTimeEntry);
+
+export default router;
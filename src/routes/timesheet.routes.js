@@ -0,0 +1,27 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { resolveTenant, tenantScope } from '../middleware/tenant.middleware.js';
+import { preventSuperAdminTenantWork } from '../middleware/rbac.middleware.js';
+import * as timesheetController from '../controllers/timesheet.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(resolveTenant);
+router.use(tenantScope);
+// Prevent SUPER_ADMIN from doing tenant work
+router.use(preventSuperAdminTenantWork);
+
+// Current user's weekly timesheet
+router.get('/me', timesheetController.getMyTimesheet);
+router.post('/me/submit', timesheetController.submitMyTimesheet);
+
+// Review - ORG_ADMIN, PROJECT_MANAGER (for people working on their projects)
+router.get('/pending', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), timesheetController.getPendingApprovals);
+router.post('/reminders', authorize('ORG_ADMIN'), timesheetController.sendReminders);
+router.get('/:id', timesheetController.getTimesheetById);
+router.post('/:id/approve', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), timesheetController.approveTimesheet);
+router.post('/:id/reject', authorize('ORG_ADMIN', 'PROJECT_MANAGER'), timesheetController.rejectTimesheet);
+
+export default router;
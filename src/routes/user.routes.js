@@ -21,6 +21,8 @@ router.put('/:id/role', authorize('SUPER_ADMIN', 'ORG_ADMIN'), userController.up
 router.get('/profile/me', userController.getCurrentUserProfile);
 router.put('/profile/me', userController.updateCurrentUserProfile);
 router.put('/profile/change-password', userController.changePassword);
+router.get('/profile/me/notification-preferences', userController.getNotificationPreferences);
+router.put('/profile/me/notification-preferences', userController.updateNotificationPreferences);
 
 export default router;
 
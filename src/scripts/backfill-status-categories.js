@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Task, { DEFAULT_TASK_STATUSES } from '../models/Task.model.js';
+import Project from '../models/Project.model.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Tasks created before custom statuses have no statusCategory stored, which
+// dashboards and reports now query on. Fill it in from each project's statuses.
+const backfillStatusCategories = async () => {
+  try {
+    await connectDB();
+    logger.info('✅ Connected to database');
+
+    let updated = 0;
+
+    // Projects with custom statuses map their own keys
+    const customProjects = await Project.find({ 'settings.statuses.0': { $exists: true } })
+      .select('settings.statuses');
+
+    for (const project of customProjects) {
+      for (const { key, category } of project.getTaskStatuses()) {
+        const result = await Task.updateMany(
+          { projectId: project._id, status: key, statusCategory: { $ne: category } },
+          { $set: { statusCategory: category } }
+        );
+        updated += result.modifiedCount;
+      }
+    }
+
+    // Everything else uses the built-in statuses
+    for (const { key, category } of DEFAULT_TASK_STATUSES) {
+      const result = await Task.updateMany(
+        {
+          projectId: { $nin: customProjects.map(p => p._id) },
+          status: key,
+          statusCategory: { $ne: category }
+        },
+        { $set: { statusCategory: category } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    logger.info(`✅ Backfilled statusCategory on ${updated} task(s)`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Error backfilling status categories:', error);
+    process.exit(1);
+  }
+};
+
+backfillStatusCategories();
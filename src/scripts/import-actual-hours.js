@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Task from '../models/Task.model.js';
+import TimeEntry from '../models/TimeEntry.model.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// actualHours is now derived from time entries. Turn the hours recorded on
+// tasks before that into one imported entry per task so they aren't lost
+// the next time time is logged on the task.
+const importActualHours = async () => {
+  try {
+    await connectDB();
+    logger.info('✅ Connected to database');
+
+    const tasks = await Task.find({ actualHours: { $gt: 0 } })
+      .select('tenantId projectId assigneeId reporterId actualHours updatedAt');
+
+    let imported = 0;
+    for (const task of tasks) {
+      const hasEntries = await TimeEntry.exists({ taskId: task._id });
+      if (hasEntries) continue;
+
+      const durationMinutes = Math.round(task.actualHours * 60);
+      await TimeEntry.create({
+        tenantId: task.tenantId,
+        projectId: task.projectId,
+        taskId: task._id,
+        userId: task.assigneeId || task.reporterId,
+        startedAt: new Date(task.updatedAt.getTime() - durationMinutes * 60 * 1000),
+        durationMinutes,
+        note: 'Imported from actualHours',
+        source: 'IMPORT'
+      });
+      imported++;
+    }
+
+    logger.info(`✅ Imported actualHours of ${imported} task(s) as time entries`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Error importing actual hours:', error);
+    process.exit(1);
+  }
+};
+
+importActualHours();
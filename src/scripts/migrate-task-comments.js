@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Task from '../models/Task.model.js';
+import Comment from '../models/Comment.model.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Comments used to be embedded in their task. Copy them into the comments
+// collection (keeping their ids, so links and cursors stay valid) and drop the
+// embedded array. Safe to re-run: comments already copied are left alone.
+const migrateTaskComments = async () => {
+  try {
+    await connectDB();
+    logger.info('✅ Connected to database');
+
+    let tasks = 0;
+    let copied = 0;
+
+    // The Task schema no longer knows `comments`, so read the raw documents
+    const cursor = Task.collection.find(
+      { 'comments.0': { $exists: true } },
+      { projection: { tenantId: 1, projectId: 1, comments: 1 } }
+    );
+
+    for await (const task of cursor) {
+      const operations = task.comments.map(comment => {
+        const createdAt = comment.createdAt || comment._id.getTimestamp();
+        return {
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                tenantId: task.tenantId,
+                taskId: task._id,
+                projectId: task.projectId,
+                userId: comment.userId,
+                parentCommentId: comment.parentCommentId || null,
+                content: comment.content || '',
+                mentions: comment.mentions || [],
+                reactions: comment.reactions || [],
+                editHistory: comment.editHistory || [],
+                deletedAt: comment.deletedAt || null,
+                deletedBy: comment.deletedBy,
+                createdAt,
+                updatedAt: comment.updatedAt || createdAt
+              }
+            },
+            upsert: true
+          }
+        };
+      });
+
+      const result = await Comment.collection.bulkWrite(operations, { ordered: false });
+      await Task.collection.updateOne({ _id: task._id }, { $unset: { comments: '' } });
+
+      tasks += 1;
+      copied += result.upsertedCount;
+    }
+
+    logger.info(`✅ Moved ${copied} comment(s) out of ${tasks} task(s)`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Error migrating task comments:', error);
+    process.exit(1);
+  }
+};
+
+migrateTaskComments();
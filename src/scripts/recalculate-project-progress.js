@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Project from '../models/Project.model.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Project.progress is stored and kept in sync as tasks change; projects that
+// existed before that start at 0. Compute it once for every project.
+const recalculateProjectProgress = async () => {
+  try {
+    await connectDB();
+    logger.info('✅ Connected to database');
+
+    const projects = await Project.find().select('_id');
+    for (const project of projects) {
+      await Project.recalculateProgress(project._id);
+    }
+
+    logger.info(`✅ Recalculated progress of ${projects.length} project(s)`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Error recalculating project progress:', error);
+    process.exit(1);
+  }
+};
+
+recalculateProjectProgress();
@@ -24,11 +24,24 @@ import auditRoutes from "./routes/audit.routes.js";
 import dashboardRoutes from "./routes/dashboard.routes.js";
 import reportRoutes from "./routes/report.routes.js";
 import permissionRoutes from "./routes/permission.routes.js";
+import sprintRoutes from "./routes/sprint.routes.js";
+import timeEntryRoutes from "./routes/timeEntry.routes.js";
+import timesheetRoutes from "./routes/timesheet.routes.js";
+import attachmentRoutes from "./routes/attachment.routes.js";
+import notificationRoutes from "./routes/notification.routes.js";
+import emailTemplateRoutes from "./routes/emailTemplate.routes.js";
+import emailDeliveryRoutes from "./routes/emailDelivery.routes.js";
+import cronRoutes from "./routes/cron.routes.js";
 
 // Import socket handlers
 import socketHandler from "./socket/socketHandler.js";
 import { setIO } from "./utils/socket.js";
 import { testEmailConnection } from "./services/email.service.js";
+import { startExportWorker } from "./workers/export.worker.js";
+import { startTimesheetReminderWorker } from "./workers/timesheetReminder.worker.js";
+import { startSlaCheckerWorker } from "./workers/slaChecker.worker.js";
+import { startNotificationDigestWorker } from "./workers/notificationDigest.worker.js";
+import { startEmailQueueWorker } from "./workers/emailQueue.worker.js";
 
 // Load environment variables
 dotenv.config();
@@ -97,6 +110,14 @@ app.use("/api/tasks", taskRoutes);
 app.use("/api/audit", auditRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/permissions", permissionRoutes);
+app.use("/api/sprints", sprintRoutes);
+app.use("/api/time-entries", timeEntryRoutes);
+app.use("/api/timesheets", timesheetRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/email-templates", emailTemplateRoutes);
+app.use("/api/email-deliveries", emailDeliveryRoutes);
+app.use("/api/cron", cronRoutes);
 // await testEmailConnection();
 
 // Set IO instance for use in controllers
@@ -161,6 +182,36 @@ const startServer = async () => {
     await connectRedis();
     logger.info("✅ Redis connected");
 
+    // Background workers (run in-process)
+    if (process.env.EXPORT_WORKER_ENABLED !== "false") {
+      startExportWorker({
+        intervalMs: parseInt(process.env.EXPORT_WORKER_INTERVAL_MS) || 5000,
+      });
+    }
+    if (process.env.TIMESHEET_REMINDERS_ENABLED !== "false") {
+      startTimesheetReminderWorker({
+        intervalMs:
+          parseInt(process.env.TIMESHEET_REMINDER_INTERVAL_MS) || 60 * 60 * 1000,
+      });
+    }
+    if (process.env.SLA_CHECKER_ENABLED !== "false") {
+      startSlaCheckerWorker({
+        intervalMs:
+          parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 15 * 60 * 1000,
+      });
+    }
+    if (process.env.EMAIL_QUEUE_ENABLED !== "false") {
+      startEmailQueueWorker({
+        intervalMs: parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || 5000,
+      });
+    }
+    if (process.env.NOTIFICATION_DIGESTS_ENABLED !== "false") {
+      startNotificationDigestWorker({
+        intervalMs:
+          parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_MS) || 15 * 60 * 1000,
+      });
+    }
+
     // Start HTTP server
     httpServer.listen(PORT, () => {
       logger.info(
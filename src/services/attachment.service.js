@@ -0,0 +1,176 @@
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import Tenant from '../models/Tenant.model.js';
+import { getStorage } from './storage.service.js';
+
+const MB = 1024 * 1024;
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+const TOKEN_AUDIENCE = 'attachment-download';
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const DOCUMENT_TYPES = ['application/pdf', 'text/plain', 'text/csv', 'text/markdown'];
+const OFFICE_TYPES = [
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+const ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/gzip', 'application/x-7z-compressed'];
+const MEDIA_TYPES = ['video/mp4', 'audio/mpeg'];
+
+// Upload limits by subscription plan
+export const ATTACHMENT_LIMITS = {
+  FREE: {
+    maxFileSize: 5 * MB,
+    allowedMimeTypes: [...IMAGE_TYPES, ...DOCUMENT_TYPES]
+  },
+  BASIC: {
+    maxFileSize: 10 * MB,
+    allowedMimeTypes: [...IMAGE_TYPES, ...DOCUMENT_TYPES, ...OFFICE_TYPES]
+  },
+  PRO: {
+    maxFileSize: 25 * MB,
+    allowedMimeTypes: [...IMAGE_TYPES, ...DOCUMENT_TYPES, ...OFFICE_TYPES, ...ARCHIVE_TYPES]
+  },
+  ENTERPRISE: {
+    maxFileSize: 50 * MB,
+    allowedMimeTypes: [...IMAGE_TYPES, ...DOCUMENT_TYPES, ...OFFICE_TYPES, ...ARCHIVE_TYPES, ...MEDIA_TYPES]
+  }
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Separate from the login secret, so a download token never passes as an access token
+const getUrlSecret = () => process.env.ATTACHMENT_URL_SECRET || `${process.env.JWT_SECRET}:attachments`;
+
+const getUrlTtlSeconds = () =>
+  parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS, 10) || DEFAULT_URL_TTL_SECONDS;
+
+export const getAttachmentLimits = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('subscription.plan');
+  const plan = tenant?.subscription?.plan || 'FREE';
+  return { plan, ...(ATTACHMENT_LIMITS[plan] || ATTACHMENT_LIMITS.FREE) };
+};
+
+/**
+ * Store an uploaded file (from multer's memory storage) and add it to the
+ * task's attachments. Returns the new attachment subdocument.
+ */
+export const storeAttachment = async ({ task, file, userId }) => {
+  const storage = await getStorage();
+  const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const storageKey = `${task.tenantId}/${task._id}/${uuidv4()}${extension}`;
+
+  await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+
+  task.attachments.push({
+    filename: file.originalname,
+    storageKey,
+    storageDriver: storage.name,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy: userId,
+    uploadedAt: new Date()
+  });
+
+  try {
+    await task.save();
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+
+  return task.attachments[task.attachments.length - 1];
+};
+
+/**
+ * Remove an attachment from the task and its file from storage.
+ */
+export const removeAttachment = async ({ task, attachment }) => {
+  // Before touching the task, so a storage misconfiguration leaves it as it was
+  const storage = attachment.storageKey ? await getStorage() : null;
+
+  task.attachments.pull(attachment._id);
+  await task.save();
+
+  if (storage) {
+    await storage.remove(attachment.storageKey);
+  }
+};
+
+/**
+ * Delete the stored files of a task that is being deleted. Failures are
+ * returned rather than thrown; the task is gone either way.
+ */
+export const removeStoredFiles = async (task) => {
+  const stored = (task.attachments || []).filter(a => a.storageKey);
+  if (!stored.length) return [];
+
+  let storage;
+  try {
+    storage = await getStorage();
+  } catch (error) {
+    return [error];
+  }
+  const results = await Promise.allSettled(stored.map(a => storage.remove(a.storageKey)));
+  return results.filter(r => r.status === 'rejected').map(r => r.reason);
+};
+
+/**
+ * Download URL for an attachment, valid for ATTACHMENT_URL_TTL_SECONDS and
+ * only for the tenant the task belongs to. Attachments added before uploads
+ * existed only have their original external `url`.
+ */
+export const createDownloadUrl = (task, attachment) => {
+  if (!attachment.storageKey) {
+    return { url: attachment.url || null, expiresAt: null };
+  }
+
+  const expiresIn = getUrlTtlSeconds();
+  const token = jwt.sign(
+    {
+      tenantId: task.tenantId.toString(),
+      taskId: task._id.toString(),
+      attachmentId: attachment._id.toString()
+    },
+    getUrlSecret(),
+    { expiresIn, audience: TOKEN_AUDIENCE }
+  );
+
+  return {
+    url: `/api/attachments/download/${token}`,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+};
+
+/**
+ * Decode a download token: { tenantId, taskId, attachmentId }. Throws 410 when
+ * the link expired and 401 when it was tampered with.
+ */
+export const verifyDownloadToken = (token) => {
+  try {
+    return jwt.verify(token, getUrlSecret(), { audience: TOKEN_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw httpError(410, 'Download link has expired');
+    }
+    throw httpError(401, 'Invalid download link');
+  }
+};
+
+export const serializeAttachment = (task, attachment) => ({
+  _id: attachment._id,
+  filename: attachment.filename,
+  mimeType: attachment.mimeType || null,
+  size: attachment.size || null,
+  uploadedBy: attachment.uploadedBy,
+  uploadedAt: attachment.uploadedAt,
+  ...createDownloadUrl(task, attachment)
+});
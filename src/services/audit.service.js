@@ -22,6 +22,33 @@ export const createAuditLog = async (logData) => {
   }
 };
 
+/**
+ * One UPDATE entry per task for a change made in bulk (updateMany), so task
+ * history, and the burndown replayed from it, sees the change.
+ * entries: [{ taskId, before, after }]
+ */
+export const createTaskAuditLogs = async ({ tenantId, userId, action, entries, metadata }) => {
+  if (!entries.length) return [];
+
+  try {
+    const timestamp = new Date();
+    return await AuditLog.insertMany(entries.map(({ taskId, before, after }) => ({
+      tenantId,
+      userId,
+      action: 'UPDATE',
+      resourceType: 'TASK',
+      resourceId: taskId,
+      changes: { action, before, after },
+      metadata: metadata || {},
+      timestamp
+    })));
+  } catch (error) {
+    // Don't throw error - audit logging should not break the main flow
+    logger.error('Failed to create task audit logs:', error);
+    return [];
+  }
+};
+
 export const getAuditLogsByResource = async (tenantId, resourceType, resourceId) => {
   try {
     return await AuditLog.find({
@@ -0,0 +1,116 @@
+import Task from '../models/Task.model.js';
+import { rankBetween, initialRanks } from '../utils/rank.js';
+
+const BOARD_ORDER = { rank: 1, createdAt: 1 };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Tasks of a project grouped into its status columns, in board order.
+ * `filter` narrows the tasks (e.g. { assigneeId } for employees).
+ */
+export const buildBoard = async (project, filter = {}) => {
+  const tasks = await Task.find({
+    ...filter,
+    tenantId: project.tenantId,
+    projectId: project._id
+  })
+    .populate('assigneeId', 'firstName lastName email')
+    .sort(BOARD_ORDER);
+
+  const columns = project.getTaskStatuses().map(status => {
+    const columnTasks = tasks.filter(task => task.status === status.key);
+    return {
+      key: status.key,
+      name: status.name,
+      category: status.category,
+      color: status.color,
+      order: status.order,
+      count: columnTasks.length,
+      tasks: columnTasks
+    };
+  });
+
+  return {
+    project: { _id: project._id, name: project.name },
+    columns
+  };
+};
+
+// Renumber a column evenly; used for tasks created before ranks existed and
+// when two concurrent moves ended up with the same rank
+const rebalanceColumn = async (projectId, status, excludeTaskId) => {
+  const tasks = await Task.find({ projectId, status, _id: { $ne: excludeTaskId } })
+    .sort(BOARD_ORDER)
+    .select('_id');
+  const ranks = initialRanks(tasks.length);
+
+  if (tasks.length) {
+    await Task.bulkWrite(tasks.map((task, i) => ({
+      updateOne: { filter: { _id: task._id }, update: { $set: { rank: ranks[i] } } }
+    })));
+  }
+};
+
+const findNeighbours = async ({ task, status, afterTaskId, beforeTaskId }) => {
+  const column = { projectId: task.projectId, status, _id: { $ne: task._id } };
+
+  const findInColumn = async (id, label) => {
+    const neighbour = await Task.findOne({ ...column, _id: id }).select('rank');
+    if (!neighbour || neighbour._id.equals(task._id)) {
+      throw badRequest(`${label} must be another task in the ${status} column of this project`);
+    }
+    return neighbour;
+  };
+
+  let above = afterTaskId ? await findInColumn(afterTaskId, 'afterTaskId') : null;
+  let below = beforeTaskId ? await findInColumn(beforeTaskId, 'beforeTaskId') : null;
+
+  if (above && !below) {
+    below = await Task.findOne({ ...column, rank: { $gt: above.rank } }).sort(BOARD_ORDER).select('rank');
+  } else if (below && !above) {
+    above = await Task.findOne({ ...column, rank: { $lt: below.rank } }).sort({ rank: -1 }).select('rank');
+  } else if (!above && !below) {
+    // No position given: bottom of the column
+    above = await Task.findOne(column).sort({ rank: -1 }).select('rank');
+  }
+
+  return { above, below };
+};
+
+/**
+ * Rank that places `task` in the `status` column right after `afterTaskId`
+ * and/or right before `beforeTaskId` (bottom of the column when neither is given).
+ */
+export const resolveMoveRank = async ({ task, status, afterTaskId, beforeTaskId }) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const unranked = await Task.exists({
+      projectId: task.projectId,
+      status,
+      _id: { $ne: task._id },
+      rank: null
+    });
+    if (unranked) {
+      await rebalanceColumn(task.projectId, status, task._id);
+    }
+
+    const { above, below } = await findNeighbours({ task, status, afterTaskId, beforeTaskId });
+
+    if (above && below && above.rank >= below.rank) {
+      if (afterTaskId && beforeTaskId && above.rank > below.rank) {
+        throw badRequest('afterTaskId must be above beforeTaskId in the column');
+      }
+      // Same rank on both neighbours: spread the column out and try again
+      await rebalanceColumn(task.projectId, status, task._id);
+      continue;
+    }
+
+    return rankBetween(above?.rank || null, below?.rank || null);
+  }
+
+  throw badRequest('Could not place the task; reload the board and try again');
+};
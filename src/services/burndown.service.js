@@ -0,0 +1,211 @@
+import Task, { DEFAULT_TASK_STATUSES } from '../models/Task.model.js';
+import Project from '../models/Project.model.js';
+import AuditLog from '../models/AuditLog.model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const BURN_UNITS = ['hours', 'points', 'count'];
+
+// Fields of a task snapshot (audit before/after or live task) that matter for the charts
+const TRACKED_FIELDS = ['status', 'statusCategory', 'estimatedHours', 'storyPoints'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const pickTracked = (snapshot) => {
+  if (!snapshot) return {};
+  return Object.fromEntries(
+    TRACKED_FIELDS.filter(field => snapshot[field] !== undefined).map(field => [field, snapshot[field]])
+  );
+};
+
+const weightOf = (state, unit) => {
+  if (unit === 'count') return 1;
+  return (unit === 'points' ? state.storyPoints : state.estimatedHours) || 0;
+};
+
+/**
+ * Status key -> category for each project. Audit entries written before
+ * statusCategory existed only carry the status key.
+ */
+const loadCategoryMaps = async (projectIds) => {
+  const projects = await Project.find({ _id: { $in: projectIds } }).select('settings.statuses');
+  const maps = new Map(projects.map(p => [
+    p._id.toString(),
+    new Map(p.getTaskStatuses().map(s => [s.key, s.category]))
+  ]));
+  const defaults = new Map(DEFAULT_TASK_STATUSES.map(s => [s.key, s.category]));
+  return (projectId) => maps.get(projectId?.toString()) || defaults;
+};
+
+const refId = (value) => (value?._id || value)?.toString();
+
+/**
+ * Replay each task's audit history into a timeline of states:
+ * [{ at, exists, category, estimatedHours, storyPoints }]. Tasks without a
+ * CREATE entry are assumed to exist from their createdAt (or first audit
+ * entry) with the state of their oldest known snapshot; tasks with neither
+ * get an empty timeline and are left out of every day.
+ */
+const buildTimelines = async ({ tenantId, tasks, deletedLogs }) => {
+  const taskIds = [...tasks.map(t => t._id), ...deletedLogs.map(l => l.resourceId)];
+  const logs = await AuditLog.find({
+    tenantId,
+    resourceType: 'TASK',
+    resourceId: { $in: taskIds },
+    action: { $in: ['CREATE', 'UPDATE', 'DELETE'] }
+  })
+    .select('resourceId action timestamp changes')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const logsByTask = new Map();
+  for (const log of logs) {
+    const key = log.resourceId.toString();
+    if (!logsByTask.has(key)) logsByTask.set(key, []);
+    logsByTask.get(key).push(log);
+  }
+
+  const subjects = [
+    ...tasks.map(t => ({ id: t._id.toString(), projectId: t.projectId, createdAt: t.createdAt, current: t })),
+    ...deletedLogs.map(l => ({
+      id: l.resourceId.toString(),
+      projectId: refId(l.changes?.before?.projectId),
+      createdAt: l.changes?.before?.createdAt,
+      current: null
+    }))
+  ];
+
+  const categoryFor = await loadCategoryMaps([...new Set(subjects.map(s => refId(s.projectId)))]);
+
+  return subjects.map(subject => {
+    const categories = categoryFor(subject.projectId);
+    const resolve = (state) => ({
+      ...state,
+      category: state.statusCategory || categories.get(state.status) || 'TODO'
+    });
+
+    const history = logsByTask.get(subject.id) || [];
+    const timeline = [];
+    let state = {};
+
+    if (!history.some(log => log.action === 'CREATE')) {
+      // Oldest snapshot we know of: the first "before", or the task as it is now
+      const first = history.find(log => log.changes?.before);
+      const start = new Date(subject.createdAt || history[0]?.timestamp);
+      // Without a start date there is no telling which days the task existed on
+      if (Number.isNaN(start.getTime())) return [];
+
+      state = pickTracked(first?.changes.before || subject.current);
+      timeline.push({ at: start, exists: true, ...resolve(state) });
+    }
+
+    for (const log of history) {
+      if (log.action === 'DELETE') {
+        timeline.push({ at: log.timestamp, exists: false, ...resolve(state) });
+        continue;
+      }
+      state = { ...state, ...pickTracked(log.changes?.after) };
+      timeline.push({ at: log.timestamp, exists: true, ...resolve(state) });
+    }
+
+    return timeline;
+  });
+};
+
+const stateAt = (timeline, time) => {
+  let current = null;
+  for (const entry of timeline) {
+    if (entry.at > time) break;
+    current = entry;
+  }
+  return current;
+};
+
+// Scope counts existing tasks that were not cancelled
+const inScope = (state) => state && state.exists && state.category !== 'CANCELLED';
+
+/**
+ * Daily burndown/burnup series for a set of tasks, rebuilt from AuditLog so
+ * past days reflect what was true then rather than the tasks' current values.
+ *
+ * `taskQuery` selects the live tasks; `deletedFilter` (optional) matches the
+ * DELETE audit entries of tasks that should still count for the days they existed.
+ */
+export const buildBurnSeries = async ({ tenantId, taskQuery, deletedFilter, startDate, endDate, unit = 'hours' }) => {
+  const tasks = await Task.find({ tenantId, ...taskQuery })
+    .select('projectId createdAt ' + TRACKED_FIELDS.join(' '))
+    .lean();
+  const deletedLogs = deletedFilter
+    ? await AuditLog.find({ tenantId, resourceType: 'TASK', action: 'DELETE', ...deletedFilter })
+        .select('resourceId changes.before.projectId changes.before.createdAt')
+        .lean()
+    : [];
+
+  const timelines = await buildTimelines({ tenantId, tasks, deletedLogs });
+
+  const first = startOfUtcDay(startDate);
+  const last = startOfUtcDay(endDate);
+  const now = new Date();
+  const series = [];
+
+  // Work left when the range opens, where the ideal line starts
+  const rangeStart = new Date(first.getTime() - 1);
+  const openingRemaining = timelines.reduce((sum, timeline) => {
+    const state = stateAt(timeline, rangeStart);
+    return inScope(state) && state.category !== 'DONE' ? sum + weightOf(state, unit) : sum;
+  }, 0);
+
+  for (let day = first; day <= last; day = new Date(day.getTime() + DAY_MS)) {
+    const dayStart = new Date(day.getTime() - 1);
+    const dayEnd = new Date(day.getTime() + DAY_MS - 1);
+
+    // Days that haven't happened yet only get the ideal line
+    if (day > now) {
+      series.push({ date: day.toISOString().slice(0, 10), future: true });
+      continue;
+    }
+
+    const point = { date: day.toISOString().slice(0, 10), totalScope: 0, completed: 0, scopeAdded: 0, scopeRemoved: 0 };
+
+    for (const timeline of timelines) {
+      const before = stateAt(timeline, dayStart);
+      const after = stateAt(timeline, dayEnd);
+      const weight = after ? weightOf(after, unit) : 0;
+
+      if (inScope(after)) {
+        point.totalScope += weight;
+        if (after.category === 'DONE') point.completed += weight;
+      }
+      if (inScope(after) && !inScope(before)) point.scopeAdded += weight;
+      if (!inScope(after) && inScope(before)) point.scopeRemoved += weightOf(before, unit);
+    }
+
+    point.remaining = point.totalScope - point.completed;
+    series.push(point);
+  }
+
+  // Ideal burndown: straight line from the opening remaining work to zero on the last day
+  // (from the first day's work when the range starts before any task existed, e.g. a new project)
+  const totalDays = Math.max(1, Math.round((last - first) / DAY_MS));
+  const startRemaining = openingRemaining || series[0]?.remaining || 0;
+
+  return series.map((point, i) => {
+    const ideal = round(startRemaining - (startRemaining * i) / totalDays);
+    if (point.future) return { date: point.date, ideal };
+
+    return {
+      date: point.date,
+      totalScope: round(point.totalScope),
+      completed: round(point.completed),
+      remaining: round(point.remaining),
+      scopeAdded: round(point.scopeAdded),
+      scopeRemoved: round(point.scopeRemoved),
+      ideal
+    };
+  });
+};
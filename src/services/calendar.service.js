@@ -0,0 +1,347 @@
+import Tenant from '../models/Tenant.model.js';
+import Project from '../models/Project.model.js';
+
+/**
+ * Business calendars: which days and hours are worked, in which timezone, and
+ * which dates are holidays. Dates inside a calendar are 'YYYY-MM-DD' keys in
+ * its timezone; times of day are minutes since midnight.
+ */
+
+export const DEFAULT_CALENDAR = {
+  timezone: 'UTC',
+  workingDays: [1, 2, 3, 4, 5],
+  workingHours: { start: '09:00', end: '17:00' },
+  holidays: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A calendar without a working day in ten years is treated as broken
+const MAX_SCAN_DAYS = 3660;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Wall-clock parts of an instant in the timezone
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+};
+
+const offsetAt = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Local date key and minute of the day of an instant.
+ */
+export const toLocal = (date, timeZone) => {
+  const p = zonedParts(new Date(date), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    dateKey: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    minutes: p.hour * 60 + p.minute
+  };
+};
+
+/**
+ * The instant at `minutes` past midnight of the local date in the timezone.
+ */
+export const fromLocal = (dateKey, minutes, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  let instant = wallClock - offsetAt(new Date(wallClock), timeZone);
+  // Second pass for instants on the other side of a DST change
+  const offset = offsetAt(new Date(instant), timeZone);
+  instant = wallClock - offset;
+  return new Date(instant);
+};
+
+export const shiftDateKey = (dateKey, days) =>
+  new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Effective calendar of a project: the project's overrides on top of the
+ * tenant's calendar and timezone. Project holidays are added to the tenant's.
+ */
+export const resolveCalendar = (tenant, project = null) => {
+  const tenantCalendar = tenant?.settings?.calendar || {};
+  const projectCalendar = project?.settings?.calendar || {};
+
+  const timezone = [projectCalendar.timezone, tenant?.settings?.timezone]
+    .find(tz => tz && isValidTimeZone(tz)) || DEFAULT_CALENDAR.timezone;
+
+  const workingDays = projectCalendar.workingDays?.length
+    ? [...projectCalendar.workingDays]
+    : tenantCalendar.workingDays?.length ? [...tenantCalendar.workingDays] : DEFAULT_CALENDAR.workingDays;
+
+  const start = projectCalendar.workingHours?.start || tenantCalendar.workingHours?.start || DEFAULT_CALENDAR.workingHours.start;
+  const end = projectCalendar.workingHours?.end || tenantCalendar.workingHours?.end || DEFAULT_CALENDAR.workingHours.end;
+
+  const holidays = [...(tenantCalendar.holidays || []), ...(projectCalendar.holidays || [])]
+    .map(h => ({ date: h.date, name: h.name }));
+
+  return {
+    timezone,
+    workingDays,
+    workingHours: { start, end },
+    holidays,
+    startMinutes: toMinutes(start),
+    endMinutes: toMinutes(end),
+    holidayDates: new Set(holidays.map(h => h.date))
+  };
+};
+
+/**
+ * Load the calendar for a tenant, optionally with a project's overrides.
+ * `project` may be a document or an id.
+ */
+export const getCalendar = async (tenantId, project = null) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone settings.calendar');
+  if (project && !project.settings) {
+    project = await Project.findById(project).select('settings.calendar');
+  }
+  return resolveCalendar(tenant, project);
+};
+
+// Public shape of a resolved calendar
+export const serializeCalendar = (calendar) => ({
+  timezone: calendar.timezone,
+  workingDays: calendar.workingDays,
+  workingHours: calendar.workingHours,
+  holidays: calendar.holidays,
+  hoursPerDay: hoursPerDay(calendar)
+});
+
+export const hoursPerDay = (calendar) =>
+  Math.max(0, calendar.endMinutes - calendar.startMinutes) / 60;
+
+export const isWorkingDay = (calendar, dateKey) =>
+  calendar.workingDays.includes(weekday(dateKey)) && !calendar.holidayDates.has(dateKey);
+
+const nextWorkingDay = (calendar, dateKey) => {
+  let key = dateKey;
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    key = shiftDateKey(key, 1);
+    if (isWorkingDay(calendar, key)) return key;
+  }
+  throw new Error('Business calendar has no working days');
+};
+
+/**
+ * `days` working days after `start`, at the same time of day. A start outside
+ * working time counts from the beginning of the next working period.
+ */
+export const addBusinessDays = (calendar, start, days) => {
+  let { dateKey, minutes } = toLocal(start, calendar.timezone);
+
+  if (!isWorkingDay(calendar, dateKey) || minutes >= calendar.endMinutes) {
+    dateKey = nextWorkingDay(calendar, dateKey);
+    minutes = calendar.startMinutes;
+  } else if (minutes < calendar.startMinutes) {
+    minutes = calendar.startMinutes;
+  }
+
+  for (let i = 0; i < Math.ceil(days); i++) {
+    dateKey = nextWorkingDay(calendar, dateKey);
+  }
+  return fromLocal(dateKey, minutes, calendar.timezone);
+};
+
+/**
+ * Working days between two instants, both local dates included.
+ */
+export const countWorkingDays = (calendar, from, to) => {
+  let key = toLocal(from, calendar.timezone).dateKey;
+  const last = toLocal(to, calendar.timezone).dateKey;
+
+  let count = 0;
+  for (let i = 0; key <= last && i < MAX_SCAN_DAYS; i++) {
+    if (isWorkingDay(calendar, key)) count++;
+    key = shiftDateKey(key, 1);
+  }
+  return count;
+};
+
+export const workingHoursBetween = (calendar, from, to) =>
+  countWorkingDays(calendar, from, to) * hoursPerDay(calendar);
+
+// Share of the local day's working hours that has passed (0 on non-working days)
+const workedFraction = (calendar, { dateKey, minutes }) => {
+  if (!isWorkingDay(calendar, dateKey)) return 0;
+  const length = calendar.endMinutes - calendar.startMinutes;
+  if (length <= 0) return 0;
+  return Math.min(1, Math.max(0, (minutes - calendar.startMinutes) / length));
+};
+
+/**
+ * Working time between two instants in working days (fractional; negative
+ * when `to` is before `from`).
+ */
+export const workingDaysBetween = (calendar, from, to) => {
+  if (new Date(to) < new Date(from)) return -workingDaysBetween(calendar, to, from);
+
+  const start = toLocal(from, calendar.timezone);
+  const end = toLocal(to, calendar.timezone);
+  if (start.dateKey === end.dateKey) {
+    return workedFraction(calendar, end) - workedFraction(calendar, start);
+  }
+
+  let days = isWorkingDay(calendar, start.dateKey) ? 1 - workedFraction(calendar, start) : 0;
+  let key = shiftDateKey(start.dateKey, 1);
+  for (let i = 0; key < end.dateKey && i < MAX_SCAN_DAYS; i++) {
+    if (isWorkingDay(calendar, key)) days++;
+    key = shiftDateKey(key, 1);
+  }
+  return days + workedFraction(calendar, end);
+};
+
+/**
+ * The instant `days` (fractional) of working time after `start`. Work that
+ * fills a day exactly ends at the close of that day; with `dayStart` it lands
+ * on the opening of the next working day instead (for start dates).
+ */
+export const addWorkingDays = (calendar, start, days, { dayStart = false } = {}) => {
+  const local = toLocal(start, calendar.timezone);
+  let dateKey = local.dateKey;
+  let fraction = workedFraction(calendar, local);
+
+  if (!isWorkingDay(calendar, dateKey) || fraction >= 1) {
+    dateKey = nextWorkingDay(calendar, dateKey);
+    fraction = 0;
+  }
+
+  let remaining = Math.max(0, days);
+  while (fraction + remaining > 1 + 1e-9 || (dayStart && fraction + remaining >= 1 - 1e-9)) {
+    remaining -= 1 - fraction;
+    dateKey = nextWorkingDay(calendar, dateKey);
+    fraction = 0;
+  }
+  fraction += remaining;
+
+  const minutes = calendar.startMinutes + fraction * (calendar.endMinutes - calendar.startMinutes);
+  return fromLocal(dateKey, Math.round(minutes), calendar.timezone);
+};
+
+/**
+ * Due dates are calendar days (stored as midnight UTC). A task is overdue once
+ * the working day it is due on has ended in the calendar's timezone, so it is
+ * overdue when its due date is before the returned instant.
+ */
+export const getOverdueCutoff = (calendar, now = new Date()) => {
+  const { dateKey } = toLocal(new Date(now.getTime() - calendar.endMinutes * 60 * 1000), calendar.timezone);
+  return new Date(`${shiftDateKey(dateKey, 1)}T00:00:00Z`);
+};
+
+/**
+ * Task filter for open tasks past their due date, each project judged by its
+ * own calendar.
+ */
+export const buildOverdueFilter = async (tenantId, now = new Date()) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone settings.calendar');
+  const overridden = await Project.find({
+    tenantId,
+    $or: [
+      { 'settings.calendar.timezone': { $nin: [null, ''] } },
+      { 'settings.calendar.workingHours.end': { $nin: [null, ''] } }
+    ]
+  }).select('settings.calendar');
+
+  const cutoff = (project) => getOverdueCutoff(resolveCalendar(tenant, project), now);
+
+  return {
+    statusCategory: { $in: ['TODO', 'IN_PROGRESS'] },
+    $or: [
+      { projectId: { $nin: overridden.map(p => p._id) }, dueDate: { $lt: cutoff(null) } },
+      ...overridden.map(p => ({ projectId: p._id, dueDate: { $lt: cutoff(p) } }))
+    ]
+  };
+};
+
+/**
+ * Validate a calendar sent by a client. Every field is optional.
+ * Returns an error message, or null when the calendar is valid.
+ */
+export const validateCalendar = (calendar) => {
+  if (!calendar || typeof calendar !== 'object' || Array.isArray(calendar)) {
+    return 'calendar must be an object of { timezone, workingDays, workingHours, holidays }';
+  }
+
+  const { timezone, workingDays, workingHours, holidays } = calendar;
+
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+    return `Unknown timezone "${timezone}"`;
+  }
+
+  if (workingDays !== undefined) {
+    if (!Array.isArray(workingDays) || !workingDays.length ||
+      workingDays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return 'workingDays must be a non-empty array of weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  if (workingHours !== undefined) {
+    const { start, end } = workingHours || {};
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      return 'workingHours must be { start, end } in HH:mm';
+    }
+    if (toMinutes(start) >= toMinutes(end)) {
+      return 'workingHours must end after they start';
+    }
+  }
+
+  if (holidays !== undefined) {
+    if (!Array.isArray(holidays)) {
+      return 'holidays must be an array of { date, name }';
+    }
+    const invalid = holidays.find(h => !DATE_PATTERN.test(h?.date) || Number.isNaN(Date.parse(h.date)));
+    if (invalid) {
+      return `Invalid holiday date "${invalid?.date}". Use YYYY-MM-DD`;
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import Comment, { COMMENT_REMOVED_PLACEHOLDER } from '../models/Comment.model.js';
+import { notifyUser } from './notification.service.js';
+import { getIO } from '../utils/socket.js';
+import logger from '../utils/logger.js';
+
+const MAX_COMMENT_LENGTH = 10000;
+const MAX_DISTINCT_REACTIONS = 20;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Replies included with each thread of a page; the rest come from the replies endpoint
+const INLINE_REPLIES = 20;
+
+// A single emoji (with skin tones, ZWJ sequences, flags, keycaps) or a :shortcode:
+const EMOJI = /^(?:[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}#*0-9]|\u200d|\ufe0f|\u20e3){1,16}$/u;
+const PICTOGRAPH = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+const SHORTCODE = /^:[a-z0-9_+-]{1,32}:$/;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const validateCommentContent = (content) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return 'Comment content is required';
+  }
+  if (content.length > MAX_COMMENT_LENGTH) {
+    return `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+export const validateEmoji = (emoji) => {
+  const isEmoji = typeof emoji === 'string' && EMOJI.test(emoji) && PICTOGRAPH.test(emoji);
+  if (!isEmoji && !(typeof emoji === 'string' && SHORTCODE.test(emoji))) {
+    return 'emoji must be a single emoji or a :shortcode:';
+  }
+  return null;
+};
+
+/**
+ * Replies hang off top-level comments only: a reply to a reply joins the
+ * thread of the comment it answers. Returns the id of the thread's root.
+ */
+export const resolveThreadRoot = async (task, parentCommentId) => {
+  const parent = mongoose.Types.ObjectId.isValid(parentCommentId)
+    ? await Comment.findOne({ _id: parentCommentId, taskId: task._id }).select('parentCommentId')
+    : null;
+  if (!parent) {
+    throw httpError(404, 'Parent comment not found');
+  }
+  return parent.parentCommentId || parent._id;
+};
+
+/**
+ * Add or remove the user's reaction. Returns false when nothing changed.
+ */
+export const toggleReaction = (comment, { emoji, userId, add }) => {
+  const existing = comment.reactions.find(r => r.emoji === emoji && r.userId?.toString() === userId.toString());
+
+  if (add) {
+    if (existing) return false;
+    const distinct = new Set(comment.reactions.map(r => r.emoji));
+    if (!distinct.has(emoji) && distinct.size >= MAX_DISTINCT_REACTIONS) {
+      throw httpError(400, `A comment can have at most ${MAX_DISTINCT_REACTIONS} different reactions`);
+    }
+    comment.reactions.push({ emoji, userId, createdAt: new Date() });
+    return true;
+  }
+
+  if (!existing) return false;
+  comment.reactions.pull(existing._id);
+  return true;
+};
+
+// Reactions grouped by emoji, in the order each emoji was first used
+const groupReactions = (reactions = [], currentUserId) => {
+  const groups = new Map();
+  reactions.forEach(reaction => {
+    const userId = reaction.userId?._id || reaction.userId;
+    if (!groups.has(reaction.emoji)) {
+      groups.set(reaction.emoji, { emoji: reaction.emoji, count: 0, userIds: [], reactedByMe: false });
+    }
+    const group = groups.get(reaction.emoji);
+    group.count += 1;
+    group.userIds.push(userId);
+    if (currentUserId && userId?.toString() === currentUserId.toString()) group.reactedByMe = true;
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Public shape of a comment, used by the API and the task:comment:* socket
+ * events. Removed comments keep their place in the thread as a placeholder.
+ */
+export const serializeComment = (comment, { currentUserId } = {}) => {
+  const deleted = Boolean(comment.deletedAt);
+  const editCount = comment.editHistory?.length || 0;
+
+  return {
+    _id: comment._id,
+    parentCommentId: comment.parentCommentId || null,
+    author: comment.userId,
+    content: deleted ? COMMENT_REMOVED_PLACEHOLDER : comment.content,
+    mentions: deleted ? [] : (comment.mentions || []),
+    reactions: deleted ? [] : groupReactions(comment.reactions, currentUserId),
+    edited: editCount > 0,
+    editCount,
+    deleted,
+    deletedAt: comment.deletedAt || null,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt
+  };
+};
+
+// Opaque cursor: position of the last comment of the previous page
+const encodeCursor = (comment) =>
+  Buffer.from(JSON.stringify({ t: comment.createdAt.getTime(), id: comment._id.toString() })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) throw new Error('bad cursor');
+    return { createdAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw httpError(400, 'Invalid cursor');
+  }
+};
+
+const pageSize = (limit, fallback = DEFAULT_PAGE_SIZE) =>
+  Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || fallback));
+
+/**
+ * One page of comments with the same parent (null for top-level comments), in
+ * posting order. Returns { comments, nextCursor } with nextCursor null on the
+ * last page.
+ */
+const findPage = async ({ taskId, parentCommentId = null, cursor, limit }) => {
+  const query = { taskId, parentCommentId };
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    query.$or = [
+      { createdAt: { $gt: after.createdAt } },
+      { createdAt: after.createdAt, _id: { $gt: after._id } }
+    ];
+  }
+
+  const comments = await Comment.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .populate('userId', 'firstName lastName email')
+    .populate('mentions', 'firstName lastName email');
+
+  const hasMore = comments.length > limit;
+  const page = hasMore ? comments.slice(0, limit) : comments;
+  return { comments: page, nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null };
+};
+
+/**
+ * A page of a task's threads: top-level comments in posting order, each with
+ * its first replies, `replyCount` and `repliesCursor` when it has more.
+ */
+export const getCommentThreads = async (task, { cursor, limit, currentUserId } = {}) => {
+  const { comments: roots, nextCursor } = await findPage({ taskId: task._id, cursor, limit: pageSize(limit) });
+
+  const replyCounts = await Comment.aggregate([
+    { $match: { taskId: task._id, parentCommentId: { $in: roots.map(root => root._id) } } },
+    { $group: { _id: '$parentCommentId', count: { $sum: 1 } } }
+  ]);
+  const replyCountOf = new Map(replyCounts.map(c => [c._id.toString(), c.count]));
+
+  const threads = await Promise.all(roots.map(async (root) => {
+    const replies = await findPage({ taskId: task._id, parentCommentId: root._id, limit: INLINE_REPLIES });
+    return {
+      ...serializeComment(root, { currentUserId }),
+      replyCount: replyCountOf.get(root._id.toString()) || 0,
+      replies: replies.comments.map(reply => serializeComment(reply, { currentUserId })),
+      repliesCursor: replies.nextCursor
+    };
+  }));
+
+  return { threads, nextCursor };
+};
+
+/**
+ * A page of the replies in one thread, in posting order.
+ */
+export const getCommentReplies = async (task, rootId, { cursor, limit, currentUserId } = {}) => {
+  const { comments, nextCursor } = await findPage({
+    taskId: task._id,
+    parentCommentId: rootId,
+    cursor,
+    limit: pageSize(limit)
+  });
+  return { replies: comments.map(reply => serializeComment(reply, { currentUserId })), nextCursor };
+};
+
+/**
+ * Comments (replies included, removed ones left out) per task id.
+ */
+export const countComments = async (taskIds) => {
+  if (!taskIds.length) return new Map();
+  const counts = await Comment.aggregate([
+    { $match: { taskId: { $in: taskIds }, deletedAt: null } },
+    { $group: { _id: '$taskId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+/**
+ * Broadcast a comment change to the task room: task:comment:added,
+ * task:comment:updated, task:comment:deleted or task:comment:reaction.
+ * `author` (firstName, lastName, email) replaces the bare author id.
+ */
+export const emitCommentEvent = (event, task, comment, author = null) => {
+  try {
+    getIO().to(`task:${task._id}`).emit(`task:comment:${event}`, {
+      taskId: task._id.toString(),
+      projectId: task.projectId?._id?.toString() || task.projectId?.toString(),
+      comment: { ...serializeComment(comment), author: author || comment.userId },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error(`Error emitting task:comment:${event}:`, error);
+  }
+};
+
+/**
+ * Tell the task's assignee and reporter about a new comment. The author and
+ * the users it mentions (who got COMMENT_MENTION instead) are left out.
+ */
+export const notifyCommentAdded = async ({ task, comment, author, mentioned = [] }) => {
+  const skip = new Set([comment.userId, ...mentioned.map(u => u._id)].map(id => id.toString()));
+  const recipients = [...new Set([task.assigneeId, task.reporterId].filter(Boolean).map(id => id.toString()))]
+    .filter(id => !skip.has(id));
+  const authorName = author ? `${author.firstName} ${author.lastName}` : 'Someone';
+
+  for (const userId of recipients) {
+    try {
+      await notifyUser({
+        tenantId: task.tenantId,
+        userId,
+        type: 'TASK_COMMENT',
+        title: comment.parentCommentId ? 'New Reply' : 'New Comment',
+        message: `${authorName} commented on "${task.title}"`,
+        taskId: task._id.toString(),
+        projectId: task.projectId.toString(),
+        commentId: comment._id.toString(),
+        commentedBy: {
+          id: comment.userId.toString(),
+          name: authorName
+        }
+      });
+    } catch (error) {
+      logger.error('Error sending comment notification:', error);
+    }
+  }
+};
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.model.js';
+import Tenant from '../models/Tenant.model.js';
+import User from '../models/User.model.js';
+import TimeEntry from '../models/TimeEntry.model.js';
+import { notifyUser } from './notification.service.js';
+import logger from '../utils/logger.js';
+
+export const DEFAULT_BUDGET_ALERT_THRESHOLDS = [75, 90, 100];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Hourly cost of a user's time on a project. First match wins:
+ * project override for the user > project override for their role >
+ * the user's own rate > the tenant's rate for their role > 0.
+ */
+export const resolveHourlyRate = ({ project, user, tenant }) => {
+  const rates = project?.settings?.rates || [];
+  const userRate = rates.find(r => r.userId && r.userId.toString() === user._id.toString());
+  if (userRate) return userRate.hourlyRate;
+
+  const roleRate = rates.find(r => !r.userId && r.role === user.role);
+  if (roleRate) return roleRate.hourlyRate;
+
+  if (user.hourlyRate != null) return user.hourlyRate;
+
+  return tenant?.settings?.roleRates?.[user.role] || 0;
+};
+
+/**
+ * Current hourly rate of a user on a project.
+ */
+export const getHourlyRate = async (project, userId) => {
+  const [user, tenant] = await Promise.all([
+    User.findById(userId).select('role hourlyRate'),
+    Tenant.findById(project.tenantId).select('settings.roleRates')
+  ]);
+  return user ? resolveHourlyRate({ project, user, tenant }) : 0;
+};
+
+export const getBudgetAlertThresholds = (project, tenant) => {
+  if (project.settings?.budgetAlertThresholds?.length) return [...project.settings.budgetAlertThresholds];
+  if (tenant?.settings?.budgetAlertThresholds?.length) return [...tenant.settings.budgetAlertThresholds];
+  return DEFAULT_BUDGET_ALERT_THRESHOLDS;
+};
+
+// Project managers and owner, plus the tenant's admins
+const getBudgetRecipients = async (project) => {
+  const admins = await User.find({ tenantId: project.tenantId, role: 'ORG_ADMIN', isActive: true }).select('_id');
+  const ids = [
+    project.managerId,
+    project.ownerId,
+    ...admins.map(a => a._id)
+  ].filter(Boolean).map(id => id.toString());
+  return [...new Set(ids)];
+};
+
+/**
+ * Alert once per threshold crossed; thresholds the project falls back under
+ * (e.g. time entries deleted) are re-armed.
+ */
+export const checkBudgetThresholds = async (project) => {
+  if (!project.budget) return [];
+
+  const tenant = await Tenant.findById(project.tenantId).select('settings.budgetAlertThresholds');
+  const thresholds = getBudgetAlertThresholds(project, tenant).sort((a, b) => a - b);
+  const usage = (project.spent / project.budget) * 100;
+
+  const alerted = new Set((project.budgetAlerts || []).map(a => a.threshold));
+  const crossed = thresholds.filter(t => usage >= t && !alerted.has(t));
+  const kept = (project.budgetAlerts || []).filter(a => usage >= a.threshold);
+
+  if (!crossed.length && kept.length === (project.budgetAlerts || []).length) return [];
+
+  project.budgetAlerts = [
+    ...kept,
+    ...crossed.map(threshold => ({ threshold, spent: project.spent, triggeredAt: new Date() }))
+  ];
+  await Project.updateOne({ _id: project._id }, { $set: { budgetAlerts: project.budgetAlerts } });
+
+  if (crossed.length) {
+    const threshold = crossed[crossed.length - 1];
+    try {
+      const recipients = await getBudgetRecipients(project);
+      for (const userId of recipients) {
+        await notifyUser({
+          tenantId: project.tenantId,
+          userId,
+          type: 'BUDGET_THRESHOLD',
+          title: threshold >= 100 ? 'Budget Overrun' : 'Budget Alert',
+          message: `Project "${project.name}" has used ${round(usage)}% of its budget (${project.spent} of ${project.budget})`,
+          projectId: project._id.toString(),
+          threshold,
+          spent: project.spent,
+          budget: project.budget
+        });
+      }
+    } catch (error) {
+      logger.error('Error sending budget alert:', error);
+    }
+  }
+
+  return crossed;
+};
+
+/**
+ * Project.spent is the cost of all finished time entries on the project.
+ */
+export const recalculateProjectSpent = async (projectId) => {
+  const [totals] = await TimeEntry.aggregate([
+    { $match: { projectId: new mongoose.Types.ObjectId(projectId.toString()), isRunning: false } },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]);
+
+  const spent = round(totals?.cost || 0);
+  const project = await Project.findByIdAndUpdate(projectId, { $set: { spent } }, { new: true });
+  if (project) await checkBudgetThresholds(project);
+  return spent;
+};
+
+/**
+ * Re-price every finished entry of the project with the current rates
+ * (after rates were changed) and roll the cost up again.
+ */
+export const repriceProject = async (project) => {
+  const entries = await TimeEntry.find({ projectId: project._id });
+  const rates = new Map();
+  for (const entry of entries) {
+    const userId = entry.userId.toString();
+    if (!rates.has(userId)) rates.set(userId, await getHourlyRate(project, userId));
+    if (entry.hourlyRate !== rates.get(userId)) {
+      entry.hourlyRate = rates.get(userId);
+      await entry.save();
+    }
+  }
+  return recalculateProjectSpent(project._id);
+};
+
+/**
+ * Validate a project's rate overrides ({ userId | role, hourlyRate }) and
+ * alert thresholds. Returns an error message, or null when they are valid.
+ */
+export const validateProjectRates = (rates, thresholds) => {
+  if (rates !== undefined) {
+    if (!Array.isArray(rates)) {
+      return 'rates must be an array of { userId | role, hourlyRate }';
+    }
+
+    const seen = new Set();
+    for (const rate of rates) {
+      const { userId, role, hourlyRate } = rate || {};
+      if (!userId === !role) {
+        return 'Each rate needs either a userId or a role';
+      }
+      if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        return `Invalid userId "${userId}"`;
+      }
+      if (role && !['ORG_ADMIN', 'PROJECT_MANAGER', 'EMPLOYEE'].includes(role)) {
+        return `Invalid role "${role}". Valid roles: ORG_ADMIN, PROJECT_MANAGER, EMPLOYEE`;
+      }
+      if (typeof hourlyRate !== 'number' || hourlyRate < 0) {
+        return `hourlyRate for ${userId || role} must be a number of at least 0`;
+      }
+
+      const key = (userId || role).toString();
+      if (seen.has(key)) {
+        return `Duplicate rate for ${key}`;
+      }
+      seen.add(key);
+    }
+  }
+
+  if (thresholds !== undefined) {
+    if (!Array.isArray(thresholds) || thresholds.some(t => typeof t !== 'number' || t <= 0)) {
+      return 'budgetAlertThresholds must be an array of positive percentages';
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.model.js';
+import { notifyUser } from './notification.service.js';
+import logger from '../utils/logger.js';
+
+export const DEPENDENCY_TYPES = ['BLOCKS', 'BLOCKED_BY', 'RELATED'];
+export const DEPENDENCY_ENFORCEMENT = ['BLOCK', 'WARN', 'OFF'];
+
+const OPEN_CATEGORIES = ['TODO', 'IN_PROGRESS'];
+const CLOSED_CATEGORIES = ['DONE', 'CANCELLED'];
+// Categories a task cannot enter while something still blocks it
+const GUARDED_CATEGORIES = ['IN_PROGRESS', 'DONE'];
+// Upper bound on tasks visited while looking for a cycle
+const MAX_GRAPH_SIZE = 5000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * "A BLOCKED_BY B" and "B BLOCKS A" both mean A waits for B. Returns the ids
+ * the given task waits for according to its own dependency list.
+ */
+const blockerIdsOf = (dependencies = []) =>
+  dependencies.filter(d => d.type === 'BLOCKED_BY').map(d => d.taskId.toString());
+
+const blockedIdsOf = (dependencies = []) =>
+  dependencies.filter(d => d.type === 'BLOCKS').map(d => d.taskId.toString());
+
+/**
+ * Whether giving `taskId` the proposed dependency list would make a task wait
+ * on itself. Walks the "waits for" graph from the task, reading both sides of
+ * each link, with the task's stored list replaced by the proposed one.
+ */
+const createsCycle = async (tenantId, taskId, dependencies) => {
+  const self = taskId.toString();
+  const proposedBlocked = new Set(blockedIdsOf(dependencies));
+  const visited = new Set([self]);
+  let frontier = [self];
+
+  while (frontier.length) {
+    const waitsFor = new Map(frontier.map(id => [id, new Set()]));
+
+    // The task's own links come from the proposed list
+    if (waitsFor.has(self)) {
+      blockerIdsOf(dependencies).forEach(id => waitsFor.get(self).add(id));
+    }
+    frontier.filter(id => proposedBlocked.has(id)).forEach(id => waitsFor.get(id).add(self));
+
+    const ids = frontier.filter(id => id !== self);
+    const [nodes, blockers] = await Promise.all([
+      Task.find({ tenantId, _id: { $in: ids } }).select('dependencies'),
+      Task.find({
+        tenantId,
+        _id: { $ne: taskId },
+        dependencies: { $elemMatch: { taskId: { $in: frontier }, type: 'BLOCKS' } }
+      }).select('dependencies')
+    ]);
+
+    nodes.forEach(node => {
+      blockerIdsOf(node.dependencies).forEach(id => waitsFor.get(node._id.toString()).add(id));
+    });
+    blockers.forEach(blocker => {
+      blockedIdsOf(blocker.dependencies)
+        .filter(id => waitsFor.has(id))
+        .forEach(id => waitsFor.get(id).add(blocker._id.toString()));
+    });
+
+    const next = [];
+    for (const targets of waitsFor.values()) {
+      for (const id of targets) {
+        if (id === self) return true;
+        if (!visited.has(id)) {
+          visited.add(id);
+          next.push(id);
+        }
+      }
+    }
+    if (visited.size > MAX_GRAPH_SIZE) {
+      throw httpError(400, 'Dependency graph is too large to validate');
+    }
+    frontier = next;
+  }
+
+  return false;
+};
+
+/**
+ * Validate a dependency list for a task (`taskId` is null for a new task):
+ * known types, no self links or duplicates, every task in the same tenant,
+ * and no cycles. Returns the normalized list; throws 400 otherwise.
+ */
+export const validateDependencies = async ({ tenantId, taskId = null, dependencies }) => {
+  if (!Array.isArray(dependencies)) {
+    throw httpError(400, 'dependencies must be an array of { taskId, type }');
+  }
+
+  const normalized = dependencies.map(d => ({
+    taskId: d?.taskId?.toString(),
+    type: d?.type || 'BLOCKED_BY'
+  }));
+
+  const seen = new Set();
+  for (const dependency of normalized) {
+    if (!dependency.taskId || !mongoose.Types.ObjectId.isValid(dependency.taskId)) {
+      throw httpError(400, `Invalid dependency task id "${dependency.taskId}"`);
+    }
+    if (!DEPENDENCY_TYPES.includes(dependency.type)) {
+      throw httpError(400, `Invalid dependency type "${dependency.type}". Valid types: ${DEPENDENCY_TYPES.join(', ')}`);
+    }
+    if (taskId && dependency.taskId === taskId.toString()) {
+      throw httpError(400, 'A task cannot depend on itself');
+    }
+    if (seen.has(dependency.taskId)) {
+      throw httpError(400, `Task ${dependency.taskId} is listed as a dependency more than once`);
+    }
+    seen.add(dependency.taskId);
+  }
+
+  // Ids from other tenants are reported exactly like ids that don't exist
+  const found = await Task.countDocuments({ tenantId, _id: { $in: [...seen] } });
+  if (found !== seen.size) {
+    throw httpError(400, 'One or more dependency tasks were not found');
+  }
+
+  if (taskId && await createsCycle(tenantId, taskId, normalized)) {
+    throw httpError(400, 'These dependencies would create a cycle: a task would end up waiting for itself');
+  }
+
+  return normalized;
+};
+
+/**
+ * Open tasks the task waits for, from either side of the link.
+ */
+export const getOpenBlockers = async (task) => {
+  const blockerIds = blockerIdsOf(task.dependencies);
+  return Task.find({
+    tenantId: task.tenantId,
+    statusCategory: { $in: OPEN_CATEGORIES },
+    $or: [
+      { _id: { $in: blockerIds } },
+      { dependencies: { $elemMatch: { taskId: task._id, type: 'BLOCKS' } } }
+    ]
+  }).select('title status statusCategory assigneeId');
+};
+
+/**
+ * Check a status change against the task's open blockers and the project's
+ * `settings.dependencyEnforcement` (BLOCK by default). Returns
+ * { allowed, statusCode?, message?, warning?, blockedBy? }.
+ */
+export const checkDependencies = async ({ task, toStatus, project }) => {
+  const mode = project?.settings?.dependencyEnforcement || 'BLOCK';
+  const category = project?.getTaskStatuses?.().find(s => s.key === toStatus)?.category;
+
+  if (mode === 'OFF' || !GUARDED_CATEGORIES.includes(category) || category === task.statusCategory) {
+    return { allowed: true };
+  }
+
+  const blockers = await getOpenBlockers(task);
+  if (!blockers.length) {
+    return { allowed: true };
+  }
+
+  const blockedBy = blockers.map(b => ({ _id: b._id, title: b.title, status: b.status }));
+  const message = `Task is blocked by ${blockers.length} open task(s): ${blockers.map(b => `"${b.title}"`).join(', ')}`;
+
+  if (mode === 'WARN') {
+    return { allowed: true, warning: message, blockedBy };
+  }
+  return { allowed: false, statusCode: 409, message, blockedBy };
+};
+
+/**
+ * After `task` was closed, tell the assignees of the tasks that were waiting
+ * for it and are no longer waiting for anything.
+ */
+export const notifyUnblockedTasks = async (task, previousCategory) => {
+  if (!CLOSED_CATEGORIES.includes(task.statusCategory) || CLOSED_CATEGORIES.includes(previousCategory)) {
+    return [];
+  }
+
+  const waiting = await Task.find({
+    tenantId: task.tenantId,
+    statusCategory: { $in: OPEN_CATEGORIES },
+    $or: [
+      { _id: { $in: blockedIdsOf(task.dependencies) } },
+      { dependencies: { $elemMatch: { taskId: task._id, type: 'BLOCKED_BY' } } }
+    ]
+  });
+
+  const unblocked = [];
+  for (const dependent of waiting) {
+    const remaining = await getOpenBlockers(dependent);
+    if (!remaining.length) unblocked.push(dependent);
+  }
+
+  try {
+    for (const t of unblocked.filter(t => t.assigneeId)) {
+      await notifyUser({
+        tenantId: t.tenantId,
+        userId: t.assigneeId,
+        type: 'TASK_UNBLOCKED',
+        title: 'Task Unblocked',
+        message: `"${t.title}" is no longer blocked: "${task.title}" was ${task.statusCategory === 'DONE' ? 'completed' : 'cancelled'}`,
+        taskId: t._id.toString(),
+        projectId: t.projectId.toString(),
+        unblockedBy: {
+          taskId: task._id.toString(),
+          title: task.title
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('Error sending task unblocked notifications:', error);
+  }
+
+  return unblocked;
+};
+
+/**
+ * Drop links pointing at a deleted task.
+ */
+export const removeDependencyLinks = (task) =>
+  Task.updateMany(
+    { tenantId: task.tenantId, 'dependencies.taskId': task._id },
+    { $pull: { dependencies: { taskId: task._id } } }
+  );
@@ -0,0 +1,110 @@
+import Notification from '../models/Notification.model.js';
+import NotificationPreference from '../models/NotificationPreference.model.js';
+import User from '../models/User.model.js';
+import Tenant from '../models/Tenant.model.js';
+import { resolveCalendar, toLocal, fromLocal, shiftDateKey } from './calendar.service.js';
+import { notificationPath } from './notification.service.js';
+import { sendDigestEmail } from './email.service.js';
+import logger from '../utils/logger.js';
+
+// Digests go out at this local hour of the tenant's timezone, weekly ones on Mondays
+const DIGEST_HOUR = 8;
+const WEEKLY_DIGEST_DAY = 1;
+// Notifications listed in one digest; the email says how many more there are
+const DIGEST_ITEMS = 50;
+
+const weekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Start of the digest period `now` falls in: the last DIGEST_HOUR local time
+ * that has passed (on a Monday for WEEKLY).
+ */
+export const getDigestPeriodStart = (frequency, timezone, now = new Date()) => {
+  const { dateKey, minutes } = toLocal(now, timezone);
+  let day = minutes >= DIGEST_HOUR * 60 ? dateKey : shiftDateKey(dateKey, -1);
+  if (frequency === 'WEEKLY') {
+    day = shiftDateKey(day, -((weekday(day) - WEEKLY_DIGEST_DAY + 7) % 7));
+  }
+  return fromLocal(day, DIGEST_HOUR * 60, timezone);
+};
+
+/**
+ * Unread notifications of a user created in [since, until), newest first.
+ * Ones already emailed on their own are left out. Returns { items, total }.
+ */
+export const buildDigest = async ({ tenantId, userId, since, until = new Date() }) => {
+  const query = {
+    tenantId,
+    userId,
+    readAt: null,
+    emailedAt: null,
+    createdAt: { $gte: since, $lt: until }
+  };
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query).sort({ createdAt: -1 }).limit(DIGEST_ITEMS),
+    Notification.countDocuments(query)
+  ]);
+
+  return {
+    items: notifications.map(notification => ({
+      title: notification.title,
+      message: notification.message,
+      path: notificationPath(notification.data),
+      createdAt: notification.createdAt
+    })),
+    total
+  };
+};
+
+/**
+ * Email the digest to every user whose daily or weekly digest is due in their
+ * tenant's timezone. Users with nothing unread get no email, but their period
+ * still counts as done. Returns { checked, sent, failed }.
+ */
+export const sendNotificationDigests = async ({ now = new Date() } = {}) => {
+  const preferences = await NotificationPreference.find({
+    'digest.frequency': { $in: ['DAILY', 'WEEKLY'] }
+  });
+
+  const [users, tenants] = await Promise.all([
+    User.find({ _id: { $in: preferences.map(p => p.userId) }, isActive: true })
+      .select('tenantId email firstName lastName locale'),
+    Tenant.find({ _id: { $in: preferences.map(p => p.tenantId) } }).select('settings.timezone')
+  ]);
+  const userById = new Map(users.map(u => [u._id.toString(), u]));
+  const tenantById = new Map(tenants.map(t => [t._id.toString(), t]));
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const preference of preferences) {
+    const user = userById.get(preference.userId.toString());
+    if (!user?.email) continue;
+
+    const { frequency, lastSentAt } = preference.digest;
+    const { timezone } = resolveCalendar(tenantById.get(preference.tenantId.toString()));
+    const periodStart = getDigestPeriodStart(frequency, timezone, now);
+    if (lastSentAt && lastSentAt >= periodStart) continue;
+
+    // First digest: what came in during the previous period
+    const since = lastSentAt || getDigestPeriodStart(frequency, timezone, new Date(periodStart.getTime() - 1));
+
+    try {
+      const { items, total } = await buildDigest({ tenantId: preference.tenantId, userId: user._id, since, until: now });
+      if (total) {
+        await sendDigestEmail(user.email, `${user.firstName} ${user.lastName}`, { frequency, items, total }, {
+          tenantId: preference.tenantId,
+          locale: user.locale
+        });
+        sent++;
+      }
+      await NotificationPreference.updateOne({ _id: preference._id }, { $set: { 'digest.lastSentAt': now } });
+    } catch (error) {
+      failed++;
+      logger.error(`Notification digest to ${user.email} failed:`, error);
+    }
+  }
+
+  return { checked: preferences.length, sent, failed };
+};
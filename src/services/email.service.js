@@ -1,27 +1,17 @@
-import nodemailer from "nodemailer";
+import { enqueueEmail } from "./emailQueue.service.js";
+import { getMailTransport, isMailTransportConfigured } from "./mailTransport.service.js";
 import logger from "../utils/logger.js";
 
-/* -------------------- Create Transporter -------------------- */
-const createTransporter = () => {
-  if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
-    logger.warn("SMTP credentials missing. Email service disabled.");
-    return null;
-  }
+// Matches the reset token lifetime set by authController.forgotPassword
+const RESET_TOKEN_TTL_MINUTES = 15;
 
-  return nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-      user: process.env.EMAIL_USERNAME,
-      pass: process.env.EMAIL_PASSWORD,
-    },
-  });
-};
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
 
 /* -------------------- Test Connection -------------------- */
 export const testEmailConnection = async () => {
   console.log("Testing email connection...");
 
-  const transporter = createTransporter();
+  const transporter = getMailTransport();
   if (!transporter) return false;
 
   try {
@@ -36,95 +26,160 @@ export const testEmailConnection = async () => {
   }
 };
 
-/* -------------------- Send Password Reset Email -------------------- */
-export const sendPasswordResetEmail = async (email, resetToken, userName) => {
-  const transporter = createTransporter();
-  if (!transporter) {
+/* -------------------- Send Templated Email -------------------- */
+// Queues `template` (see templates/email) for the email worker, which renders
+// it with the tenant's branding, in `locale` or else the tenant's default
+// locale, and retries failed sends. Returns the queued message.
+export const sendTemplatedEmail = async ({ to, template, variables, secrets, expiresAt, tenantId, locale }) => {
+  if (!isEmailConfigured()) {
     throw new Error("Email service not configured");
   }
 
-  const resetUrl = `${
-    process.env.FRONTEND_URL || "http://localhost:5173"
-  }/reset-password?token=${resetToken}`;
+  return enqueueEmail({ to, template, variables, secrets, expiresAt, tenantId, locale });
+};
 
-  const mailOptions = {
-    from: process.env.SMTP_FROM || process.env.EMAIL_USERNAME,
-    to: email,
-    subject: "Password Reset Request - EWPM Platform",
-    html: `
-      <h2>Password Reset</h2>
-      <p>Hello ${userName},</p>
-      <p>You requested to reset your password.</p>
-      <p>
-        <a href="${resetUrl}" 
-           style="padding:10px 20px;background:#667eea;color:#fff;text-decoration:none;border-radius:5px;">
-          Reset Password
-        </a>
-      </p>
-      <p>This link will expire in <b>15 minutes</b>.</p>
-      <p>If you didn't request this, ignore this email.</p>
-    `,
-    text: `
-Password Reset - EWPM Platform
-
-Hello ${userName},
-
-Reset your password using the link below:
-${resetUrl}
-
-This link expires in 15 minutes.
-`,
-  };
+// The senders below take the recipient's { tenantId, locale } last, for branding and language
 
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`Password reset email sent: ${info.messageId}`);
-    return { success: true, messageId: info.messageId };
-  } catch (error) {
-    logger.error("Failed to send password reset email:", error);
-    throw new Error("Failed to send password reset email");
-  }
-};
+/* -------------------- Send Password Reset Email -------------------- */
+export const sendPasswordResetEmail = async (email, resetToken, userName, { tenantId, locale } = {}) =>
+  sendTemplatedEmail({
+    to: email,
+    template: "password-reset",
+    tenantId,
+    locale,
+    variables: {
+      userName,
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    },
+    // The link is a credential: stored encrypted, and useless once the token expires
+    secrets: {
+      resetUrl: `${frontendUrl()}/reset-password?token=${resetToken}`,
+    },
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+  });
 
 /* -------------------- Send Welcome Email -------------------- */
-export const sendWelcomeEmail = async (email, userName) => {
-  const transporter = createTransporter();
-  if (!transporter) {
-    throw new Error("Email service not configured");
-  }
+export const sendWelcomeEmail = async (email, userName, { tenantId, locale } = {}) =>
+  sendTemplatedEmail({
+    to: email,
+    template: "welcome",
+    tenantId,
+    locale,
+    variables: {
+      userName,
+      loginUrl: `${frontendUrl()}/login`,
+    },
+  });
 
-  const loginUrl = `${
-    process.env.FRONTEND_URL || "http://localhost:5173"
-  }/login`;
+/* -------------------- Send Timesheet Reminder Email -------------------- */
+export const sendTimesheetReminderEmail = async (email, userName, weekStart, { tenantId, locale } = {}) =>
+  sendTemplatedEmail({
+    to: email,
+    template: "timesheet-reminder",
+    tenantId,
+    locale,
+    variables: {
+      userName,
+      weekStart,
+      timesheetUrl: `${frontendUrl()}/timesheets?week=${weekStart}`,
+    },
+  });
 
-  const mailOptions = {
-    from: process.env.SMTP_FROM || process.env.EMAIL_USERNAME,
+/* -------------------- Send SLA Breach Email -------------------- */
+export const sendSlaBreachEmail = async (
+  email,
+  userName,
+  { taskId, taskTitle, projectName, targetCompletionDate },
+  { tenantId, locale } = {}
+) =>
+  sendTemplatedEmail({
     to: email,
-    subject: "Welcome to EWPM Platform",
-    html: `
-      <h2>Welcome ${userName} 👋</h2>
-      <p>Your account has been created successfully.</p>
-      <p>
-        <a href="${loginUrl}"
-           style="padding:10px 20px;background:#667eea;color:#fff;text-decoration:none;border-radius:5px;">
-          Login
-        </a>
-      </p>
-    `,
-  };
+    template: "sla-breach",
+    tenantId,
+    locale,
+    variables: {
+      userName,
+      taskTitle,
+      projectName,
+      targetDate: new Date(targetCompletionDate).toISOString().slice(0, 10),
+      taskUrl: `${frontendUrl()}/tasks/${taskId}`,
+    },
+  });
 
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`Welcome email sent: ${info.messageId}`);
-    return { success: true, messageId: info.messageId };
-  } catch (error) {
-    logger.error("Failed to send welcome email:", error);
-    throw new Error("Failed to send welcome email");
-  }
-};
+/* -------------------- Send Mention Email -------------------- */
+export const sendMentionEmail = async (
+  email,
+  userName,
+  { taskId, taskTitle, projectName, authorName, excerpt },
+  { tenantId, locale } = {}
+) =>
+  sendTemplatedEmail({
+    to: email,
+    template: "mention",
+    tenantId,
+    locale,
+    variables: {
+      userName,
+      authorName,
+      taskTitle,
+      projectName,
+      excerpt,
+      taskUrl: `${frontendUrl()}/tasks/${taskId}`,
+    },
+  });
+
+/* -------------------- Send Notification Email -------------------- */
+export const sendNotificationEmail = async (
+  email,
+  userName,
+  { title, message, path = "/notifications" },
+  { tenantId, locale } = {}
+) =>
+  sendTemplatedEmail({
+    to: email,
+    template: "notification",
+    tenantId,
+    locale,
+    variables: {
+      userName,
+      title,
+      message,
+      url: `${frontendUrl()}${path}`,
+    },
+  });
+
+/* -------------------- Send Digest Email -------------------- */
+// items: [{ title, message, path }], newest first; total may exceed items
+export const sendDigestEmail = async (email, userName, { frequency, items, total }, { tenantId, locale } = {}) =>
+  sendTemplatedEmail({
+    to: email,
+    template: "digest",
+    tenantId,
+    locale,
+    variables: {
+      userName,
+      weekly: frequency === "WEEKLY",
+      items: items.map((item) => ({
+        title: item.title,
+        message: item.message,
+        url: `${frontendUrl()}${item.path}`,
+      })),
+      total,
+      more: Math.max(0, total - items.length),
+      notificationsUrl: `${frontendUrl()}/notifications`,
+    },
+  });
+
+export const isEmailConfigured = () => isMailTransportConfigured();
 
 export default {
   testEmailConnection,
+  sendTemplatedEmail,
   sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendTimesheetReminderEmail,
+  sendSlaBreachEmail,
+  sendMentionEmail,
+  sendNotificationEmail,
+  sendDigestEmail,
 };
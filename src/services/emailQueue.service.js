@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import EmailMessage from '../models/EmailMessage.model.js';
+import { getTemplate, getTenantEmailSettings, renderEmail } from './emailTemplate.service.js';
+import { getMailTransport } from './mailTransport.service.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A message left in SENDING this long (the worker died mid-send) is picked up again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const maxAttempts = () => parseInt(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+
+/**
+ * Wait before the next try after `attempts` failed ones: the base delay
+ * (EMAIL_RETRY_BASE_MS, default 1 minute) doubled per failure, at most an hour.
+ */
+export const getRetryDelay = (attempts) => {
+  const base = parseInt(process.env.EMAIL_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+  return Math.min(MAX_RETRY_DELAY_MS, base * 2 ** Math.max(0, attempts - 1));
+};
+
+// SMTP_FROM may be "Name <address>"; a tenant's fromName replaces the name
+const fromAddress = (fromName) => {
+  const from = process.env.SMTP_FROM || process.env.EMAIL_USERNAME;
+  if (!fromName) return from;
+  const address = from?.match(/<([^>]+)>/)?.[1] || from;
+  return { name: fromName, address };
+};
+
+// AES-256-GCM with a key from EMAIL_SECRET_KEY (or JWT_SECRET): "iv.tag.data", base64
+const secretKey = () => crypto.createHash('sha256')
+  .update(process.env.EMAIL_SECRET_KEY || `${process.env.JWT_SECRET}:emails`)
+  .digest();
+
+const encryptSecrets = (secrets) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecrets = (encrypted) => {
+  const [iv, tag, data] = encrypted.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+};
+
+/**
+ * Queue a templated email for the email worker. Returns the queued message.
+ * `secrets` are variables that are credentials (reset links): they are stored
+ * encrypted and dropped once the email is sent or goes DEAD. An email with an
+ * `expiresAt` goes DEAD instead of being sent after that time.
+ */
+export const enqueueEmail = async ({
+  to,
+  template,
+  variables = {},
+  secrets = null,
+  expiresAt = null,
+  tenantId = null,
+  locale = null
+}) => {
+  if (!getTemplate(template)) {
+    throw httpError(404, `Unknown email template: ${template}`);
+  }
+
+  const message = await EmailMessage.create({
+    tenantId,
+    to,
+    template,
+    locale,
+    variables,
+    ...(secrets && { secrets: encryptSecrets(secrets), hasSecrets: true }),
+    expiresAt,
+    maxAttempts: maxAttempts()
+  });
+
+  logger.info(`Queued ${template} email: ${message._id}`);
+  return message;
+};
+
+/**
+ * Render a message with its tenant's branding and hand it to the transport.
+ * Render errors carry a statusCode; transport errors don't.
+ */
+const deliver = async (message) => {
+  const transport = getMailTransport();
+  if (!transport) {
+    throw new Error('Email service not configured');
+  }
+
+  const settings = await getTenantEmailSettings(message.tenantId);
+  const { subject, html, text, locale } = renderEmail(message.template, {
+    variables: {
+      ...message.variables,
+      ...(message.secrets && decryptSecrets(message.secrets))
+    },
+    locale: message.locale || settings.locale,
+    branding: settings.branding
+  });
+
+  const info = await transport.sendMail({
+    from: fromAddress(settings.branding.fromName),
+    to: message.to,
+    subject,
+    html,
+    text
+  });
+
+  return { subject, locale, messageId: info.messageId };
+};
+
+const claimNextEmail = (now) => EmailMessage.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'QUEUED', nextAttemptAt: { $lte: now } },
+      { status: 'SENDING', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+    ]
+  },
+  { status: 'SENDING', lockedAt: now },
+  { sort: { nextAttemptAt: 1 }, new: true }
+).select('+variables +secrets');
+
+/**
+ * Claim and send the next due email. A failed send is retried with
+ * exponential backoff until it runs out of attempts and goes DEAD; an email
+ * that cannot be rendered or has expired goes DEAD straight away, as
+ * retrying won't help.
+ * Returns the updated message, or null when nothing is due.
+ */
+export const processNextEmail = async ({ now = new Date() } = {}) => {
+  const message = await claimNextEmail(now);
+  if (!message) return null;
+
+  message.lockedAt = undefined;
+
+  if (message.expiresAt && message.expiresAt <= now) {
+    message.set({ status: 'DEAD', deadAt: now, lastError: 'Expired before it could be sent' });
+    message.secrets = undefined;
+    await message.save();
+    logger.warn(`${message.template} email ${message._id} expired before it could be sent`);
+    return message;
+  }
+
+  message.attempts += 1;
+
+  try {
+    const { subject, locale, messageId } = await deliver(message);
+    message.set({ status: 'SENT', subject, locale, messageId, sentAt: now, lastError: undefined });
+    message.variables = undefined;
+    message.secrets = undefined;
+    logger.info(`${message.template} email ${message._id} sent: ${messageId}`);
+  } catch (error) {
+    message.lastError = error.message;
+
+    if (error.statusCode || message.attempts >= message.maxAttempts) {
+      message.set({ status: 'DEAD', deadAt: now });
+      message.secrets = undefined;
+      logger.error(`${message.template} email ${message._id} failed for good after ${message.attempts} attempt(s):`, error);
+    } else {
+      message.set({ status: 'QUEUED', nextAttemptAt: new Date(now.getTime() + getRetryDelay(message.attempts)) });
+      logger.warn(`${message.template} email ${message._id} failed (attempt ${message.attempts}), retrying at ${message.nextAttemptAt.toISOString()}: ${error.message}`);
+    }
+  }
+
+  await message.save();
+  return message;
+};
+
+/**
+ * Put a DEAD message back on the queue with a fresh set of attempts.
+ */
+export const requeueEmail = async (message) => {
+  if (message.status !== 'DEAD') {
+    throw httpError(409, `Only dead emails can be retried (this one is ${message.status})`);
+  }
+  if (message.hasSecrets) {
+    throw httpError(409, 'This email carried a secret link that was discarded when it went dead, so it cannot be retried');
+  }
+
+  message.set({
+    status: 'QUEUED',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    deadAt: undefined
+  });
+  await message.save();
+  return message;
+};
+
+/**
+ * Delivery log view of a message (never includes its variables)
+ */
+export const serializeEmailMessage = (message) => ({
+  id: message._id,
+  to: message.to,
+  template: message.template,
+  locale: message.locale,
+  subject: message.subject,
+  status: message.status,
+  attempts: message.attempts,
+  maxAttempts: message.maxAttempts,
+  nextAttemptAt: message.status === 'QUEUED' ? message.nextAttemptAt : null,
+  lastError: message.lastError,
+  messageId: message.messageId,
+  sentAt: message.sentAt,
+  deadAt: message.deadAt,
+  createdAt: message.createdAt
+});
@@ -0,0 +1,145 @@
+import Handlebars from 'handlebars';
+import Tenant from '../models/Tenant.model.js';
+import { templates, layouts, partials } from '../templates/email/index.js';
+import logger from '../utils/logger.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const DEFAULT_BRANDING = {
+  name: 'EWPM Platform',
+  logoUrl: null,
+  primaryColor: '#667eea',
+  fromName: null
+};
+
+const handlebars = Handlebars.create();
+const registry = new Map();
+const compiled = new Map();
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// {{plural count "item" "items"}}
+handlebars.registerHelper('plural', (count, singular, plural) => (Number(count) === 1 ? singular : plural));
+
+Object.entries(partials).forEach(([name, source]) => handlebars.registerPartial(name, source));
+
+/**
+ * Add a template: { name, description, variables, sample, layout?,
+ * locales: { en: { subject, html, text }, ... } }.
+ */
+export const registerTemplate = (template) => {
+  if (!template.locales?.[DEFAULT_LOCALE]) {
+    throw new Error(`Email template "${template.name}" needs a "${DEFAULT_LOCALE}" variant`);
+  }
+  registry.set(template.name, { layout: 'default', variables: [], sample: {}, ...template });
+  [...compiled.keys()].filter(key => key.startsWith(`${template.name}:`)).forEach(key => compiled.delete(key));
+};
+
+templates.forEach(registerTemplate);
+
+export const getTemplate = (name) => registry.get(name) || null;
+
+export const listTemplates = () => [...registry.values()].map(template => ({
+  name: template.name,
+  description: template.description,
+  variables: template.variables,
+  locales: Object.keys(template.locales),
+  sample: template.sample
+}));
+
+/**
+ * Best match among the available locales: 'es-MX' falls back to 'es', then to
+ * the default locale.
+ */
+export const resolveLocale = (available, requested) => {
+  const candidates = [requested, requested?.split('-')[0]]
+    .filter(Boolean)
+    .map(locale => locale.toLowerCase());
+  return candidates.find(locale => available.includes(locale)) || DEFAULT_LOCALE;
+};
+
+/**
+ * Branding for a tenant's emails: the tenant's `settings.branding` over the
+ * defaults, named after the tenant unless it set a name of its own.
+ */
+export const resolveBranding = (tenant) => {
+  const branding = tenant?.settings?.branding || {};
+  return {
+    name: branding.name || tenant?.name || DEFAULT_BRANDING.name,
+    logoUrl: branding.logoUrl || DEFAULT_BRANDING.logoUrl,
+    primaryColor: branding.primaryColor || DEFAULT_BRANDING.primaryColor,
+    fromName: branding.fromName || DEFAULT_BRANDING.fromName
+  };
+};
+
+/**
+ * Branding and default locale of a tenant, for rendering its emails.
+ */
+export const getTenantEmailSettings = async (tenantId) => {
+  const tenant = tenantId
+    ? await Tenant.findById(tenantId).select('name settings.branding settings.locale')
+    : null;
+  return {
+    branding: resolveBranding(tenant),
+    locale: tenant?.settings?.locale || null
+  };
+};
+
+// Missing variables throw in tests (NODE_ENV=test) or with EMAIL_TEMPLATES_STRICT=true
+const isStrict = () => process.env.NODE_ENV === 'test' || process.env.EMAIL_TEMPLATES_STRICT === 'true';
+
+const compile = (key, source, { text, strict }) => {
+  const cacheKey = `${key}:${text ? 'text' : 'html'}:${strict ? 'strict' : 'lenient'}`;
+  if (!compiled.has(cacheKey)) {
+    compiled.set(cacheKey, handlebars.compile(source, { strict, noEscape: text }));
+  }
+  return compiled.get(cacheKey);
+};
+
+/**
+ * Render a registered template in the best matching locale, inside its layout.
+ * Returns { subject, html, text, locale }.
+ *
+ * Declared variables that are missing (undefined or null), and any other
+ * field the template uses but the data lacks, throw a 400 in strict mode;
+ * otherwise they are logged and render empty.
+ */
+export const renderEmail = (name, { variables = {}, locale, branding = DEFAULT_BRANDING, strict = isStrict() } = {}) => {
+  const template = getTemplate(name);
+  if (!template) {
+    throw httpError(404, `Unknown email template: ${name}`);
+  }
+
+  const missing = template.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+  if (missing.length) {
+    const message = `Missing variables for email template "${name}": ${missing.join(', ')}`;
+    if (strict) throw httpError(400, message);
+    logger.warn(message);
+  }
+
+  const resolvedLocale = resolveLocale(Object.keys(template.locales), locale);
+  const variant = template.locales[resolvedLocale];
+  const layoutVariants = layouts[template.layout];
+  const layout = layoutVariants[resolveLocale(Object.keys(layoutVariants), resolvedLocale)];
+  const context = { ...variables, brand: { ...DEFAULT_BRANDING, ...branding }, locale: resolvedLocale };
+  const key = `${name}:${resolvedLocale}`;
+
+  try {
+    const subject = compile(`${key}:subject`, variant.subject, { text: true, strict })(context).trim();
+    const htmlBody = compile(`${key}:html`, variant.html, { strict })(context);
+    const textBody = compile(`${key}:text`, variant.text, { text: true, strict })(context);
+
+    return {
+      subject,
+      html: compile(`layout:${template.layout}:${resolvedLocale}:html`, layout.html, { strict })({ ...context, subject, body: htmlBody }),
+      text: compile(`layout:${template.layout}:${resolvedLocale}:text`, layout.text, { text: true, strict })({ ...context, body: textBody }),
+      locale: resolvedLocale
+    };
+  } catch (error) {
+    throw httpError(400, `Email template "${name}" (${resolvedLocale}) could not be rendered: ${error.message}`);
+  }
+};
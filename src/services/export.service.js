@@ -0,0 +1,160 @@
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { PassThrough } from 'stream';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const formatCell = (value, format) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  switch (format) {
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+    }
+    case 'number':
+    case 'percent': {
+      const number = Number(value);
+      return Number.isFinite(number) ? Math.round(number * 100) / 100 : '';
+    }
+    case 'duration': {
+      // Aggregations return durations in milliseconds, exports show hours
+      const number = Number(value);
+      return Number.isFinite(number) ? Math.round((number / 3600000) * 100) / 100 : '';
+    }
+    default:
+      return String(value);
+  }
+};
+
+const toRows = (columns, data) =>
+  data.map(item => columns.map(column => formatCell(item[column.key], column.format)));
+
+const escapeCsv = (value) => {
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const writeCsv = (stream, { columns, data }) => {
+  // BOM so Excel opens UTF-8 CSVs correctly
+  stream.write('\uFEFF');
+  stream.write(`${columns.map(c => escapeCsv(c.header)).join(',')}\r\n`);
+  for (const row of toRows(columns, data)) {
+    stream.write(`${row.map(escapeCsv).join(',')}\r\n`);
+  }
+  stream.end();
+};
+
+const writeXlsx = async (stream, { title, columns, data }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'EWPM Platform';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2)
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of toRows(columns, data)) {
+    sheet.addRow(row);
+  }
+
+  await workbook.xlsx.write(stream);
+  stream.end();
+};
+
+const writePdf = (stream, { title, columns, data, generatedAt }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  doc.pipe(stream);
+
+  doc.fontSize(16).text(title);
+  doc.fontSize(9).fillColor('#666666').text(`Generated ${generatedAt.toISOString()}`);
+  doc.moveDown();
+
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columnWidth = tableWidth / columns.length;
+  const rowHeight = 18;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('#000000');
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), doc.page.margins.left + index * columnWidth, y, {
+        width: columnWidth - 4,
+        height: rowHeight,
+        ellipsis: true,
+        lineBreak: false
+      });
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(c => c.header), { bold: true });
+  for (const row of toRows(columns, data)) {
+    drawRow(row);
+  }
+
+  if (data.length === 0) {
+    doc.moveDown().font('Helvetica').fontSize(10).text('No data for the selected filters.');
+  }
+
+  return new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.end();
+  });
+};
+
+/**
+ * Render a report (title, column definitions and rows) into the given
+ * writable stream. The stream is ended when rendering completes.
+ */
+export const writeReport = async (format, stream, report) => {
+  const payload = { generatedAt: new Date(), ...report };
+
+  switch (format) {
+    case 'csv':
+      return writeCsv(stream, payload);
+    case 'xlsx':
+      return writeXlsx(stream, payload);
+    case 'pdf':
+      return writePdf(stream, payload);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
+
+export const buildExportFilename = (type, format, date = new Date()) =>
+  `${type}-report-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+/**
+ * Render a report into memory, for exports that are stored and downloaded later
+ */
+export const renderReportToBuffer = async (format, report) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+
+  await writeReport(format, stream, report);
+  await ended;
+
+  return Buffer.concat(chunks);
+};
@@ -0,0 +1,305 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getRedisClient } from '../config/redis.js';
+import ExportJob from '../models/ExportJob.model.js';
+import Tenant from '../models/Tenant.model.js';
+import { getStorage } from './storage.service.js';
+import { REPORT_TYPES } from './report.service.js';
+import { EXPORT_FORMATS, renderReportToBuffer, buildExportFilename } from './export.service.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_RETENTION_HOURS = 24;
+// Longer than any export should take: a job still PROCESSING after this lost its worker
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+const QUEUE_KEY = 'export:queue';
+const PROCESSING_KEY = 'export:processing';
+const ARTIFACTS_KEY = 'export:artifacts';
+const jobKey = (jobId) => `export:job:${jobId}`;
+const lockKey = (jobId) => `export:lock:${jobId}`;
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+const isFinished = (job) => job.status === 'COMPLETED' || job.status === 'FAILED';
+
+/**
+ * Redis-backed store: job metadata are plain keys that expire with the
+ * retention window, pending job ids sit in a list. A claimed id moves to the
+ * processing list and holds a lock key that expires after LOCK_TIMEOUT_MS,
+ * so a job whose worker died is picked up again.
+ */
+const redisStore = {
+  name: 'redis',
+
+  async create(job) {
+    const client = getRedisClient();
+    await client.set(jobKey(job.jobId), JSON.stringify(job), {
+      EX: job.retentionHours * 60 * 60
+    });
+    await client.lPush(QUEUE_KEY, job.jobId);
+    return job;
+  },
+
+  async get(jobId) {
+    const raw = await getRedisClient().get(jobKey(jobId));
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  async lock(jobId) {
+    const result = await getRedisClient().set(lockKey(jobId), '1', { NX: true, PX: LOCK_TIMEOUT_MS });
+    return result === 'OK';
+  },
+
+  async claimNext() {
+    const client = getRedisClient();
+    const now = new Date();
+
+    // Jobs whose lock expired while still PROCESSING go first
+    for (const jobId of await client.lRange(PROCESSING_KEY, 0, -1)) {
+      const job = await this.get(jobId);
+      if (!job || isFinished(job)) {
+        await client.lRem(PROCESSING_KEY, 0, jobId);
+      } else if (job.status === 'PROCESSING' && await this.lock(jobId)) {
+        logger.warn(`Export job ${jobId} was abandoned by its worker, running it again`);
+        return this.update(job, { startedAt: now });
+      }
+    }
+
+    // Skip ids whose job already expired
+    for (;;) {
+      const jobId = await client.lMove(QUEUE_KEY, PROCESSING_KEY, 'RIGHT', 'LEFT');
+      if (!jobId) return null;
+
+      const job = await this.get(jobId);
+      if (job && await this.lock(jobId)) {
+        return this.update(job, { status: 'PROCESSING', startedAt: now });
+      }
+      await client.lRem(PROCESSING_KEY, 0, jobId);
+    }
+  },
+
+  async update(job, changes) {
+    const updated = { ...job, ...changes };
+    const ttl = Math.max(1, Math.ceil((new Date(updated.expiresAt) - Date.now()) / 1000));
+    await getRedisClient().set(jobKey(job.jobId), JSON.stringify(updated), { EX: ttl });
+    return updated;
+  },
+
+  async finish(job, changes) {
+    const client = getRedisClient();
+    const updated = await this.update(job, changes);
+    if (updated.artifactKey) {
+      await client.zAdd(ARTIFACTS_KEY, { score: new Date(updated.expiresAt).getTime(), value: updated.artifactKey });
+    }
+    await client.lRem(PROCESSING_KEY, 0, job.jobId);
+    await client.del(lockKey(job.jobId));
+    return updated;
+  },
+
+  async getExpiredArtifactKeys(now) {
+    return getRedisClient().zRangeByScore(ARTIFACTS_KEY, 0, now.getTime(), { LIMIT: { offset: 0, count: 100 } });
+  },
+
+  async forgetArtifact(artifactKey) {
+    await getRedisClient().zRem(ARTIFACTS_KEY, artifactKey);
+  }
+};
+
+/**
+ * Mongo-backed store used when Redis is not configured. Expired jobs are
+ * removed by the TTL index on ExportJob.expiresAt.
+ */
+const mongoStore = {
+  name: 'mongo',
+
+  async create(job) {
+    const created = await ExportJob.create(job);
+    return created.toObject();
+  },
+
+  async get(jobId) {
+    return ExportJob.findOne({ jobId, expiresAt: { $gt: new Date() } }).lean();
+  },
+
+  async claimNext() {
+    const now = new Date();
+    return ExportJob.findOneAndUpdate(
+      {
+        expiresAt: { $gt: now },
+        $or: [
+          { status: 'QUEUED' },
+          // Abandoned by a worker that stopped mid-export
+          { status: 'PROCESSING', startedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { status: 'PROCESSING', startedAt: now },
+      { sort: { createdAt: 1 }, new: true }
+    ).lean();
+  },
+
+  async update(job, changes) {
+    return ExportJob.findOneAndUpdate({ jobId: job.jobId }, changes, { new: true }).lean();
+  },
+
+  async finish(job, changes) {
+    return this.update(job, changes);
+  },
+
+  async getExpiredArtifactKeys(now) {
+    const jobs = await ExportJob.find({ expiresAt: { $lte: now }, artifactKey: { $exists: true } })
+      .select('artifactKey')
+      .limit(100)
+      .lean();
+    return jobs.map(job => job.artifactKey);
+  },
+
+  async forgetArtifact(artifactKey) {
+    await ExportJob.updateOne({ artifactKey }, { $unset: { artifactKey: 1 } });
+  }
+};
+
+let store = null;
+
+// Decided once: Redis when it connected at startup, Mongo otherwise
+const getStore = () => {
+  if (!store) {
+    store = getRedisClient() ? redisStore : mongoStore;
+    logger.info(`Report export jobs use the ${store.name} store`);
+  }
+  return store;
+};
+
+const getRetentionHours = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.exportRetentionHours');
+  return tenant?.settings?.exportRetentionHours || DEFAULT_RETENTION_HOURS;
+};
+
+/**
+ * Public view of a job (never includes the artifact itself)
+ */
+export const serializeExportJob = (job) => ({
+  jobId: job.jobId,
+  reportType: job.reportType,
+  format: job.format,
+  filters: job.filters,
+  status: job.status,
+  error: job.error,
+  filename: job.filename,
+  size: job.size,
+  rowCount: job.rowCount,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt
+});
+
+export const enqueueExportJob = async ({ tenantId, user, reportType, format, filters = {} }) => {
+  const retentionHours = await getRetentionHours(tenantId);
+  const now = new Date();
+
+  const job = await getStore().create({
+    jobId: uuidv4(),
+    tenantId: tenantId.toString(),
+    userId: user.id.toString(),
+    userRole: user.role,
+    reportType,
+    format,
+    filters,
+    status: 'QUEUED',
+    retentionHours,
+    createdAt: now,
+    expiresAt: hoursFromNow(retentionHours)
+  });
+
+  logger.info(`Queued ${format} export of ${reportType} report: ${job.jobId}`);
+  return job;
+};
+
+/**
+ * Look up a job for the given tenant. Returns null when it does not exist,
+ * belongs to another tenant or has expired.
+ */
+export const getExportJob = async (tenantId, jobId) => {
+  const job = await getStore().get(jobId);
+  if (!job || job.tenantId.toString() !== tenantId.toString()) {
+    return null;
+  }
+  return job;
+};
+
+// Finished files live in the storage driver, not in Redis or Mongo
+const buildArtifactKey = (job) => `exports/${job.tenantId}/${job.jobId}.${job.format}`;
+
+/**
+ * Delete the files of expired exports from storage. The job records expire
+ * on their own; this is run by the export worker and the exports cron.
+ */
+export const removeExpiredExportArtifacts = async (now = new Date()) => {
+  const activeStore = getStore();
+  const keys = await activeStore.getExpiredArtifactKeys(now);
+  if (!keys.length) return 0;
+
+  const storage = await getStorage();
+  for (const key of keys) {
+    await storage.remove(key);
+    await activeStore.forgetArtifact(key);
+  }
+
+  logger.info(`Removed ${keys.length} expired export file(s)`);
+  return keys.length;
+};
+
+/**
+ * Claim and run the oldest queued job. Returns the finished job, or null when
+ * the queue is empty.
+ */
+export const processNextExportJob = async () => {
+  const activeStore = getStore();
+  const job = await activeStore.claimNext();
+  if (!job) return null;
+
+  try {
+    const definition = REPORT_TYPES[job.reportType];
+    if (!definition || !EXPORT_FORMATS[job.format]) {
+      throw new Error(`Unsupported export ${job.reportType}/${job.format}`);
+    }
+
+    // Run the report as the user who requested it so role scoping still applies
+    const { data } = await definition.build({
+      tenantId: job.tenantId,
+      user: { id: job.userId.toString(), role: job.userRole },
+      query: job.filters || {}
+    });
+
+    const artifact = await renderReportToBuffer(job.format, {
+      title: definition.title,
+      columns: definition.columns,
+      data
+    });
+
+    const { contentType } = EXPORT_FORMATS[job.format];
+    const artifactKey = buildArtifactKey(job);
+    const storage = await getStorage();
+    await storage.put(artifactKey, artifact, { contentType });
+
+    const completedAt = new Date();
+    const finished = await activeStore.finish(job, {
+      status: 'COMPLETED',
+      filename: buildExportFilename(job.reportType, job.format, completedAt),
+      contentType,
+      artifactKey,
+      size: artifact.length,
+      rowCount: data.length,
+      completedAt,
+      // The retention window starts when the file is ready
+      expiresAt: hoursFromNow(job.retentionHours)
+    });
+
+    logger.info(`Export job ${job.jobId} completed (${artifact.length} bytes)`);
+    return finished;
+  } catch (error) {
+    logger.error(`Export job ${job.jobId} failed:`, error);
+    return activeStore.finish(job, {
+      status: 'FAILED',
+      error: error.statusCode ? error.message : 'Export failed',
+      completedAt: new Date()
+    });
+  }
+};
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.model.js';
+
+// Type a task's parent must have; EPICs are always top level, STORYs may be
+export const PARENT_TYPES = {
+  EPIC: null,
+  STORY: 'EPIC',
+  SUBTASK: 'STORY'
+};
+
+const TYPE_ORDER = ['EPIC', 'STORY', 'SUBTASK'];
+// Three levels, plus headroom for legacy data that broke the nesting rules
+const MAX_DEPTH = 10;
+
+const HIERARCHY_FIELDS = 'title type status statusCategory assigneeId parentTaskId estimatedHours actualHours dueDate rank createdAt';
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Check where a task may sit in the epic → story → subtask tree: EPICs have no
+ * parent, a STORY's parent (if any) is an EPIC, a SUBTASK's parent is a STORY
+ * of the same project. For an existing task (`taskId`), its children must
+ * still fit under the new type and project. Throws 400 otherwise.
+ */
+export const validateHierarchy = async ({ tenantId, taskId = null, type = 'STORY', parentTaskId = null, projectId }) => {
+  const parentType = PARENT_TYPES[type];
+  if (parentType === undefined) {
+    throw httpError(400, `Invalid task type "${type}". Valid types: ${TYPE_ORDER.join(', ')}`);
+  }
+
+  if (parentTaskId) {
+    if (!parentType) {
+      throw httpError(400, `${type} tasks cannot have a parent task`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(parentTaskId)) {
+      throw httpError(400, `Invalid parent task id "${parentTaskId}"`);
+    }
+    if (taskId && parentTaskId.toString() === taskId.toString()) {
+      throw httpError(400, 'A task cannot be its own parent');
+    }
+
+    const parent = await Task.findOne({ _id: parentTaskId, tenantId }).select('type projectId');
+    if (!parent) {
+      throw httpError(400, 'Parent task not found');
+    }
+    if (parent.projectId.toString() !== projectId.toString()) {
+      throw httpError(400, 'Parent task must belong to the same project');
+    }
+    if (parent.type !== parentType) {
+      throw httpError(400, `The parent of a ${type} must be of type ${parentType} (got ${parent.type})`);
+    }
+  } else if (type === 'SUBTASK') {
+    throw httpError(400, 'A SUBTASK needs a parent STORY (parentTaskId)');
+  }
+
+  if (taskId) {
+    const children = await Task.find({ tenantId, parentTaskId: taskId }).select('type projectId');
+    const misfit = children.find(child => PARENT_TYPES[child.type] !== type);
+    if (misfit) {
+      throw httpError(400, `Task has ${misfit.type} children, so its type cannot be changed to ${type}`);
+    }
+    if (children.some(child => child.projectId.toString() !== projectId.toString())) {
+      throw httpError(400, 'Task has children in its current project; move or detach them first');
+    }
+  }
+};
+
+/**
+ * All tasks below the given task, nearest first.
+ */
+export const getDescendants = async (task, select = HIERARCHY_FIELDS) => {
+  const descendants = [];
+  const seen = new Set([task._id.toString()]);
+  let frontier = [task._id];
+
+  for (let depth = 0; frontier.length && depth < MAX_DEPTH; depth++) {
+    const children = await Task.find({ tenantId: task.tenantId, parentTaskId: { $in: frontier } }).select(select);
+    const fresh = children.filter(child => !seen.has(child._id.toString()));
+    fresh.forEach(child => seen.add(child._id.toString()));
+    descendants.push(...fresh);
+    frontier = fresh.map(child => child._id);
+  }
+
+  return descendants;
+};
+
+const compareNodes = (a, b) =>
+  TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) ||
+  (a.rank || '').localeCompare(b.rank || '') ||
+  new Date(a.createdAt) - new Date(b.createdAt);
+
+/**
+ * Roll-ups for a node from its children:
+ * - estimatedHours: sum of the children's estimates, or the task's own
+ *   estimate when none of its children are estimated
+ * - actualHours: time logged on the task plus everything logged below it
+ * - progress: share of leaf tasks done, cancelled leaves left out; a task
+ *   without (non-cancelled) children counts as a leaf itself
+ */
+const rollUp = (node) => {
+  node.children.forEach(rollUp);
+
+  const sum = (key) => node.children.reduce((total, child) => total + child.rollup[key], 0);
+  const childEstimate = sum('estimatedHours');
+  let totalTasks = sum('totalTasks');
+  let completedTasks = sum('completedTasks');
+  if (!totalTasks) {
+    totalTasks = node.statusCategory === 'CANCELLED' ? 0 : 1;
+    completedTasks = node.statusCategory === 'DONE' ? 1 : 0;
+  }
+
+  node.rollup = {
+    estimatedHours: round(childEstimate > 0 ? childEstimate : node.estimatedHours),
+    actualHours: round(node.actualHours + sum('actualHours')),
+    totalTasks,
+    completedTasks,
+    progress: totalTasks ? round((completedTasks / totalTasks) * 100) : 0
+  };
+  return node;
+};
+
+const toNode = (task) => ({
+  _id: task._id,
+  title: task.title,
+  type: task.type,
+  status: task.status,
+  statusCategory: task.statusCategory,
+  assignee: task.assigneeId || null,
+  parentTaskId: task.parentTaskId || null,
+  dueDate: task.dueDate || null,
+  estimatedHours: task.estimatedHours || 0,
+  actualHours: task.actualHours || 0,
+  rank: task.rank,
+  createdAt: task.createdAt,
+  children: []
+});
+
+// Nest the tasks under their parents; tasks whose parent is not in the list are roots
+const buildTree = (tasks) => {
+  const nodes = new Map(tasks.map(task => [task._id.toString(), toNode(task)]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentTaskId && nodes.get(node.parentTaskId.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  nodes.forEach(node => node.children.sort(compareNodes));
+  return roots.sort(compareNodes).map(rollUp);
+};
+
+const summarize = (roots) => {
+  const sum = (key) => roots.reduce((total, root) => total + root.rollup[key], 0);
+  const totalTasks = sum('totalTasks');
+  const completedTasks = sum('completedTasks');
+  return {
+    estimatedHours: round(sum('estimatedHours')),
+    actualHours: round(sum('actualHours')),
+    totalTasks,
+    completedTasks,
+    progress: totalTasks ? round((completedTasks / totalTasks) * 100) : 0
+  };
+};
+
+/**
+ * The project's epic → story → subtask tree with roll-ups on every node.
+ */
+export const buildProjectHierarchy = async (project) => {
+  const tasks = await Task.find({ tenantId: project.tenantId, projectId: project._id })
+    .select(HIERARCHY_FIELDS)
+    .populate('assigneeId', 'firstName lastName email');
+
+  const roots = buildTree(tasks);
+  return {
+    projectId: project._id,
+    summary: summarize(roots),
+    tree: roots
+  };
+};
+
+/**
+ * One task's subtree with roll-ups, and the chain of parents above it.
+ */
+export const buildTaskHierarchy = async (task) => {
+  const descendants = await getDescendants(task);
+  await Task.populate(descendants, { path: 'assigneeId', select: 'firstName lastName email' });
+  await task.populate('assigneeId', 'firstName lastName email');
+
+  const ancestors = [];
+  const seen = new Set([task._id.toString()]);
+  let parentId = task.parentTaskId;
+  while (parentId && !seen.has(parentId.toString()) && ancestors.length < MAX_DEPTH) {
+    seen.add(parentId.toString());
+    const parent = await Task.findOne({ _id: parentId, tenantId: task.tenantId }).select('title type status parentTaskId');
+    if (!parent) break;
+    ancestors.unshift({ _id: parent._id, title: parent.title, type: parent.type, status: parent.status });
+    parentId = parent.parentTaskId;
+  }
+
+  // The task itself is the only root: its parent is not part of the list
+  const [root] = buildTree([task, ...descendants]).filter(node => node._id.toString() === task._id.toString());
+  return { ancestors, task: root };
+};
@@ -0,0 +1,88 @@
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+/**
+ * SMTP through the configured Gmail account. Null when the credentials are
+ * missing.
+ */
+const createSmtpTransport = () => {
+  if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
+    logger.warn('SMTP credentials missing. Email service disabled.');
+    return null;
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USERNAME,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  });
+};
+
+const sentEmails = [];
+const pendingFailures = [];
+
+/**
+ * Keeps emails in memory instead of sending them, for tests and local
+ * development. See getSentEmails() and failNextEmails().
+ */
+const createMemoryTransport = () => nodemailer.createTransport({
+  name: 'memory',
+  version: '1.0.0',
+
+  send(mail, callback) {
+    const failure = pendingFailures.shift();
+    if (failure) return callback(failure);
+
+    const messageId = `<${Date.now()}.${sentEmails.length}@memory.transport>`;
+    const { from, to, subject, html, text } = mail.data;
+    sentEmails.push({ messageId, from, to, subject, html, text });
+    callback(null, { messageId, envelope: mail.message.getEnvelope() });
+  },
+
+  verify(callback) {
+    callback(null, true);
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  memory: createMemoryTransport
+};
+
+const transportName = () => (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+
+const transports = {};
+
+// From EMAIL_TRANSPORT (smtp by default), created once and reused for every
+// message; null when it isn't configured
+export const getMailTransport = () => {
+  const name = transportName();
+  const create = TRANSPORTS[name];
+  if (!create) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Supported transports: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  if (!transports[name]) {
+    transports[name] = create();
+  }
+  return transports[name];
+};
+
+export const isMailTransportConfigured = () =>
+  transportName() === 'memory' || Boolean(process.env.EMAIL_USERNAME && process.env.EMAIL_PASSWORD);
+
+/* -------------------- Memory transport helpers -------------------- */
+
+// Emails "sent" through the memory transport, oldest first
+export const getSentEmails = () => [...sentEmails];
+
+// Make the next `count` sends through the memory transport fail with `error`
+export const failNextEmails = (count = 1, error = new Error('Simulated SMTP failure')) => {
+  for (let i = 0; i < count; i++) pendingFailures.push(error);
+};
+
+export const resetMemoryTransport = () => {
+  sentEmails.length = 0;
+  pendingFailures.length = 0;
+};
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import User from '../models/User.model.js';
+import Project from '../models/Project.model.js';
+import { sendMentionEmail } from './email.service.js';
+import { notifyUser } from './notification.service.js';
+import logger from '../utils/logger.js';
+
+// @[Jane Doe](<userId>) as inserted by the editor's user picker
+const ID_MENTION = /@\[[^\]]*\]\(([a-f\d]{24})\)/gi;
+// @jane@example.com
+const EMAIL_MENTION = /(?:^|[^\w@.])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+// @jane.doe (first and last name)
+const NAME_MENTION = /(?:^|[^\w@.])@([a-z][\w'-]*)\.([a-z][\w'-]*)(?![\w@])/gi;
+
+const MAX_MENTIONS = 50;
+const EXCERPT_LENGTH = 140;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mention tokens in a comment: { ids, emails, names: [{ firstName, lastName }] }.
+ */
+export const parseMentions = (content = '') => {
+  const text = String(content);
+  const ids = new Set([...text.matchAll(ID_MENTION)].map(m => m[1].toLowerCase()));
+  // Picker tokens are not parsed a second time as email or name mentions
+  const rest = text.replace(ID_MENTION, ' ');
+  const emails = new Set([...rest.matchAll(EMAIL_MENTION)].map(m => m[1].toLowerCase().replace(/\.$/, '')));
+  const withoutEmails = rest.replace(EMAIL_MENTION, ' ');
+  const names = [...withoutEmails.matchAll(NAME_MENTION)]
+    .map(m => ({ firstName: m[1], lastName: m[2] }));
+
+  return { ids: [...ids], emails: [...emails], names };
+};
+
+/**
+ * Active users of the tenant mentioned in a comment, without the author.
+ * Name mentions only count when exactly one user has that name.
+ */
+export const resolveMentions = async ({ tenantId, content, authorId }) => {
+  const { ids, emails, names } = parseMentions(content);
+  if (!ids.length && !emails.length && !names.length) return [];
+
+  const or = [];
+  if (ids.length) or.push({ _id: { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) } });
+  if (emails.length) or.push({ email: { $in: emails } });
+  names.slice(0, MAX_MENTIONS).forEach(({ firstName, lastName }) => {
+    or.push({
+      firstName: new RegExp(`^${escapeRegex(firstName)}$`, 'i'),
+      lastName: new RegExp(`^${escapeRegex(lastName)}$`, 'i')
+    });
+  });
+
+  const users = await User.find({ tenantId, isActive: true, $or: or })
+    .select('firstName lastName email')
+    .limit(MAX_MENTIONS * 2);
+
+  const key = (first, last) => `${first} ${last}`.toLowerCase();
+  const nameCounts = new Map();
+  users.forEach(u => nameCounts.set(key(u.firstName, u.lastName), (nameCounts.get(key(u.firstName, u.lastName)) || 0) + 1));
+  const mentionedNames = new Set(names.map(n => key(n.firstName, n.lastName)));
+
+  return users
+    .filter(u =>
+      ids.includes(u._id.toString()) ||
+      emails.includes(u.email) ||
+      (mentionedNames.has(key(u.firstName, u.lastName)) && nameCounts.get(key(u.firstName, u.lastName)) === 1)
+    )
+    .filter(u => u._id.toString() !== authorId?.toString())
+    .slice(0, MAX_MENTIONS);
+};
+
+const excerpt = (content) => {
+  const text = String(content || '').replace(ID_MENTION, (match) => match.slice(1, match.indexOf(']')).replace('[', '@'));
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Tell mentioned users over their `user:<id>` socket room, and by email unless
+ * their notification preferences say otherwise.
+ */
+export const notifyMentions = async ({ task, comment, users, author }) => {
+  if (!users.length) return;
+
+  const authorName = author ? `${author.firstName} ${author.lastName}` : 'Someone';
+  const project = await Project.findById(task.projectId).select('name');
+
+  for (const user of users) {
+    try {
+      await notifyUser({
+        tenantId: task.tenantId,
+        userId: user._id,
+        type: 'COMMENT_MENTION',
+        title: 'You were mentioned',
+        message: `${authorName} mentioned you in a comment on "${task.title}"`,
+        taskId: task._id.toString(),
+        projectId: task.projectId.toString(),
+        projectName: project?.name,
+        commentId: comment._id.toString(),
+        excerpt: excerpt(comment.content),
+        mentionedBy: {
+          id: author?._id?.toString(),
+          name: authorName
+        }
+      }, {
+        sendEmail: (recipient) => sendMentionEmail(recipient.email, `${recipient.firstName} ${recipient.lastName}`, {
+          taskId: task._id.toString(),
+          taskTitle: task.title,
+          projectName: project?.name || 'Unknown',
+          authorName,
+          excerpt: excerpt(comment.content)
+        }, { tenantId: recipient.tenantId, locale: recipient.locale })
+      });
+    } catch (error) {
+      logger.error(`Error sending mention notification to ${user._id}:`, error);
+    }
+  }
+};
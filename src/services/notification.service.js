@@ -0,0 +1,115 @@
+import Notification from '../models/Notification.model.js';
+import User from '../models/User.model.js';
+import { getPreference, resolveChannel } from './notificationPreference.service.js';
+import { sendNotificationEmail, isEmailConfigured } from './email.service.js';
+import { getIO } from '../utils/socket.js';
+import logger from '../utils/logger.js';
+
+// Undelivered notifications sent to a socket when it connects
+const REPLAY_LIMIT = 100;
+
+// Socket payload: the event details at the top level, as clients always received them
+const toPayload = (notification) => ({
+  ...notification.data,
+  notificationId: notification._id.toString(),
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  read: Boolean(notification.readAt),
+  timestamp: notification.createdAt
+});
+
+const getSocketServer = () => {
+  try {
+    return getIO();
+  } catch {
+    // Scripts and jobs run without a socket server; the notification is kept for later
+    return null;
+  }
+};
+
+const isOnline = (io, userId) => (io.sockets.adapter.rooms.get(`user:${userId}`)?.size || 0) > 0;
+
+/**
+ * Where a notification leads in the web app, for emails.
+ */
+export const notificationPath = (data = {}) => {
+  if (data.taskId) return `/tasks/${data.taskId}`;
+  if (data.timesheetId) return '/timesheets';
+  if (data.projectId) return `/projects/${data.projectId}`;
+  return '/notifications';
+};
+
+/**
+ * Store a notification for a user and emit it to their `user:<id>` room.
+ * Anything besides type, title and message is kept as the notification's
+ * `data`. Users without a connected socket get it when they reconnect.
+ *
+ * The user's preference for the type decides the rest: NONE drops it (returns
+ * null), EMAIL also emails them now, with `sendEmail(recipient)` when the
+ * type has its own email and a generic one otherwise.
+ */
+export const notifyUser = async ({ tenantId, userId, type, title, message, ...data }, { sendEmail } = {}) => {
+  const channel = resolveChannel(await getPreference(userId), type);
+  if (channel === 'NONE') return null;
+
+  const io = getSocketServer();
+  const notification = await Notification.create({
+    tenantId,
+    userId,
+    type,
+    title,
+    message,
+    data,
+    deliveredAt: io && isOnline(io, userId) ? new Date() : null
+  });
+
+  io?.to(`user:${userId}`).emit('notification', toPayload(notification));
+
+  if (channel === 'EMAIL' && isEmailConfigured()) {
+    try {
+      const recipient = await User.findById(userId).select('tenantId email firstName lastName locale isActive');
+      if (recipient?.email && recipient.isActive !== false) {
+        if (sendEmail) {
+          await sendEmail(recipient);
+        } else {
+          await sendNotificationEmail(recipient.email, `${recipient.firstName} ${recipient.lastName}`, {
+            title,
+            message,
+            path: notificationPath(data)
+          }, { tenantId: recipient.tenantId, locale: recipient.locale });
+        }
+        notification.emailedAt = new Date();
+        await notification.save();
+      }
+    } catch (error) {
+      logger.error(`${type} email to user ${userId} failed:`, error);
+    }
+  }
+
+  return notification;
+};
+
+/**
+ * Send a freshly connected socket the notifications its user missed, oldest
+ * first, and mark them delivered. Returns how many were sent.
+ */
+export const replayNotifications = async (socket, userId) => {
+  const pending = await Notification.find({ userId, deliveredAt: null })
+    .sort({ createdAt: 1 })
+    .limit(REPLAY_LIMIT);
+
+  if (!pending.length) return 0;
+
+  pending.forEach(notification => {
+    socket.emit('notification', { ...toPayload(notification), replayed: true });
+  });
+  await Notification.updateMany(
+    { _id: { $in: pending.map(n => n._id) } },
+    { $set: { deliveredAt: new Date() } }
+  );
+  return pending.length;
+};
+
+export const getUnreadCount = (userId, tenantId) =>
+  Notification.countDocuments({ userId, tenantId, readAt: null });
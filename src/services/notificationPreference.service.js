@@ -0,0 +1,83 @@
+import NotificationPreference, {
+  NOTIFICATION_CHANNELS,
+  DIGEST_FREQUENCIES
+} from '../models/NotificationPreference.model.js';
+
+// Every notification type users can configure, with its default channel.
+// Mentions and SLA breaches were always emailed; the rest stay in the app.
+export const NOTIFICATION_TYPE_DEFAULTS = {
+  TASK_ASSIGNED: 'IN_APP',
+  TASK_STATUS_CHANGED: 'IN_APP',
+  TASK_COMMENT: 'IN_APP',
+  COMMENT_MENTION: 'EMAIL',
+  TASK_UNBLOCKED: 'IN_APP',
+  SLA_BREACHED: 'EMAIL',
+  BUDGET_THRESHOLD: 'IN_APP',
+  PROJECT_MEMBER_ADDED: 'IN_APP',
+  TIMESHEET_APPROVED: 'IN_APP',
+  TIMESHEET_REJECTED: 'IN_APP'
+};
+
+/**
+ * The channel a user gets a notification type on: IN_APP, EMAIL (in the app
+ * and by email right away) or NONE.
+ */
+export const resolveChannel = (preference, type) =>
+  preference?.channels?.get(type) || NOTIFICATION_TYPE_DEFAULTS[type] || 'IN_APP';
+
+export const getPreference = (userId) => NotificationPreference.findOne({ userId });
+
+/**
+ * Public shape: the channel of every type (defaults filled in) and the digest.
+ */
+export const serializePreference = (preference) => ({
+  channels: Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPE_DEFAULTS).map(type => [type, resolveChannel(preference, type)])
+  ),
+  digest: {
+    frequency: preference?.digest?.frequency || 'OFF',
+    lastSentAt: preference?.digest?.lastSentAt || null
+  }
+});
+
+// Validate an update: { channels?: { <type>: <channel> }, digest?: { frequency } }
+export const validatePreferenceUpdate = ({ channels, digest } = {}) => {
+  if (channels !== undefined) {
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      return 'channels must be an object of notification type to channel';
+    }
+    for (const [type, channel] of Object.entries(channels)) {
+      if (!NOTIFICATION_TYPE_DEFAULTS[type]) {
+        return `Unknown notification type: ${type}. Valid types: ${Object.keys(NOTIFICATION_TYPE_DEFAULTS).join(', ')}`;
+      }
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return `Channel for ${type} must be one of ${NOTIFICATION_CHANNELS.join(', ')}`;
+      }
+    }
+  }
+
+  if (digest !== undefined) {
+    if (!digest || typeof digest !== 'object' || !DIGEST_FREQUENCIES.includes(digest.frequency)) {
+      return `digest.frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Apply a validated update to the user's preferences, creating them on first use.
+ */
+export const updatePreference = async ({ tenantId, userId, channels, digest }) => {
+  const preference = await getPreference(userId) || new NotificationPreference({ tenantId, userId });
+
+  Object.entries(channels || {}).forEach(([type, channel]) => {
+    preference.channels.set(type, channel);
+  });
+  if (digest) {
+    preference.digest.frequency = digest.frequency;
+  }
+
+  await preference.save();
+  return preference;
+};
@@ -0,0 +1,143 @@
+import Project from '../models/Project.model.js';
+import Task from '../models/Task.model.js';
+import { notifyUnblockedTasks } from './dependency.service.js';
+
+export const CLOSED_PROJECT_STATUSES = ['COMPLETED', 'CANCELLED'];
+export const FORCE_CLOSE_MODES = ['CANCEL', 'MOVE'];
+
+const OPEN_CATEGORIES = ['TODO', 'IN_PROGRESS'];
+const MAX_REOPEN_REASON_LENGTH = 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const managesProject = (project, user) =>
+  user.role === 'ORG_ADMIN' ||
+  project.managerId?.toString() === user.id ||
+  project.ownerId?.toString() === user.id ||
+  project.members?.some(m => m.userId?.toString() === user.id && m.role === 'LEAD');
+
+/**
+ * Validate a status change for a project. Completing a project with open tasks
+ * needs `forceClose`; leaving COMPLETED or CANCELLED needs a reason.
+ * Returns { completing, reopening, reason } or throws 400/409.
+ */
+export const checkProjectStatusChange = async (project, { status, forceClose, reopenReason }) => {
+  const changing = Boolean(status) && status !== project.status;
+  const completing = changing && status === 'COMPLETED';
+  const reopening = changing &&
+    CLOSED_PROJECT_STATUSES.includes(project.status) &&
+    !CLOSED_PROJECT_STATUSES.includes(status);
+
+  if (forceClose && !completing) {
+    throw httpError(400, 'forceClose only applies when changing the project status to COMPLETED');
+  }
+
+  if (completing && !forceClose && !(await project.canClose())) {
+    throw httpError(
+      409,
+      'Project has open tasks. Complete or cancel them first, or pass forceClose: { mode: "CANCEL" } or { mode: "MOVE", targetProjectId }'
+    );
+  }
+
+  let reason = null;
+  if (reopening) {
+    reason = typeof reopenReason === 'string' ? reopenReason.trim() : '';
+    if (!reason) {
+      throw httpError(400, `A reopenReason is required to reopen a ${project.status.toLowerCase()} project`);
+    }
+    if (reason.length > MAX_REOPEN_REASON_LENGTH) {
+      throw httpError(400, `reopenReason cannot be longer than ${MAX_REOPEN_REASON_LENGTH} characters`);
+    }
+  }
+
+  return { completing, reopening, reason };
+};
+
+// Status for a moved task: same key, else the first column of the same category, else the first to-do column
+const mapStatus = (task, statuses) =>
+  statuses.find(s => s.key === task.status) ||
+  statuses.find(s => s.category === task.statusCategory) ||
+  statuses.find(s => s.category === 'TODO');
+
+/**
+ * Close a project's open tasks so the project can be completed: CANCEL moves
+ * them to the project's cancelled column, MOVE hands them to another open
+ * project of the tenant. Workflow rules are bypassed; every task goes through
+ * save() so progress, completion dates and unblock notifications stay right.
+ * Logged time stays with the project it was logged on.
+ *
+ * Everything is validated before the first task changes. Returns
+ * { mode, targetProjectId, tasks: [{ taskId, title, before, after }] }.
+ */
+export const forceCloseOpenTasks = async ({ project, forceClose, user }) => {
+  const mode = forceClose?.mode;
+  if (!FORCE_CLOSE_MODES.includes(mode)) {
+    throw httpError(400, `Invalid forceClose mode "${mode}". Valid modes: ${FORCE_CLOSE_MODES.join(', ')}`);
+  }
+
+  let targetProject = null;
+  let cancelledStatus = null;
+  if (mode === 'CANCEL') {
+    cancelledStatus = project.getTaskStatuses().find(s => s.category === 'CANCELLED');
+    if (!cancelledStatus) {
+      throw httpError(400, 'Project has no status in the CANCELLED category; move the open tasks instead');
+    }
+  } else {
+    if (!forceClose.targetProjectId) {
+      throw httpError(400, 'forceClose.targetProjectId is required to move open tasks');
+    }
+    if (forceClose.targetProjectId.toString() === project._id.toString()) {
+      throw httpError(400, 'Open tasks cannot be moved to the project being closed');
+    }
+    targetProject = await Project.findOne({ _id: forceClose.targetProjectId, tenantId: project.tenantId });
+    if (!targetProject) {
+      throw httpError(404, 'Target project not found');
+    }
+    if (CLOSED_PROJECT_STATUSES.includes(targetProject.status)) {
+      throw httpError(400, `Open tasks cannot be moved to a ${targetProject.status.toLowerCase()} project`);
+    }
+    if (!managesProject(targetProject, user)) {
+      throw httpError(403, 'You can only move tasks to projects you own or manage');
+    }
+  }
+
+  const openTasks = await Task.find({
+    projectId: project._id,
+    statusCategory: { $in: OPEN_CATEGORIES }
+  });
+  const openIds = new Set(openTasks.map(t => t._id.toString()));
+  const targetStatuses = targetProject?.getTaskStatuses();
+
+  const tasks = [];
+  for (const task of openTasks) {
+    const before = { projectId: task.projectId, status: task.status, statusCategory: task.statusCategory };
+
+    if (cancelledStatus) {
+      task.status = cancelledStatus.key;
+    } else {
+      task.projectId = targetProject._id;
+      task.status = mapStatus(task, targetStatuses).key;
+      // Sprints belong to the old project; parents that stay behind are unlinked
+      task.sprintId = null;
+      if (task.parentTaskId && !openIds.has(task.parentTaskId.toString())) {
+        task.parentTaskId = null;
+      }
+    }
+
+    await task.save();
+    await notifyUnblockedTasks(task, before.statusCategory);
+
+    tasks.push({
+      taskId: task._id,
+      title: task.title,
+      before,
+      after: { projectId: task.projectId, status: task.status, statusCategory: task.statusCategory }
+    });
+  }
+
+  return { mode, targetProjectId: targetProject?._id || null, tasks };
+};
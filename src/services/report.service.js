@@ -0,0 +1,1065 @@
+import mongoose from 'mongoose';
+import Task, { STATUS_CATEGORIES } from '../models/Task.model.js';
+import Project from '../models/Project.model.js';
+import TimeEntry from '../models/TimeEntry.model.js';
+import Tenant from '../models/Tenant.model.js';
+import { buildBurnSeries, BURN_UNITS } from './burndown.service.js';
+import { getBudgetAlertThresholds } from './cost.service.js';
+import { getCalendar, workingHoursBetween, hoursPerDay } from './calendar.service.js';
+
+// Aggregation pipelines are not cast by mongoose, so ids coming from the
+// request (strings) have to be converted before they are used in $match.
+const toObjectId = (id) => {
+  if (id instanceof mongoose.Types.ObjectId) return id;
+  return mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : id;
+};
+
+const createdAtRange = (startDate, endDate) => {
+  if (!startDate && !endDate) return null;
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) range.$lte = new Date(endDate);
+  return range;
+};
+
+/**
+ * Projects a PROJECT_MANAGER manages, owns or is a member of
+ */
+const getManagedProjectIds = async (tenantId, userId) => {
+  const managedProjects = await Project.find({
+    tenantId,
+    $or: [
+      { managerId: userId },
+      { ownerId: userId },
+      { 'members.userId': userId }
+    ]
+  }).select('_id');
+
+  return managedProjects.map(p => p._id);
+};
+
+const isProjectManager = (user) => user && user.role === 'PROJECT_MANAGER';
+
+export const buildProductivityReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate, userId } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    matchQuery.projectId = { $in: await getManagedProjectIds(tenantId, user.id) };
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  if (userId) matchQuery.assigneeId = toObjectId(userId);
+
+  const data = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$assigneeId',
+        totalTasks: { $sum: 1 },
+        completedTasks: {
+          $sum: { $cond: [{ $eq: ['$statusCategory', 'DONE'] }, 1, 0] }
+        },
+        totalEstimatedHours: { $sum: '$estimatedHours' },
+        totalActualHours: { $sum: '$actualHours' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        userId: '$_id',
+        userName: { $concat: ['$user.firstName', ' ', '$user.lastName'] },
+        totalTasks: 1,
+        completedTasks: 1,
+        completionRate: {
+          $cond: [
+            { $gt: ['$totalTasks', 0] },
+            { $multiply: [{ $divide: ['$completedTasks', '$totalTasks'] }, 100] },
+            0
+          ]
+        },
+        totalEstimatedHours: 1,
+        totalActualHours: 1
+      }
+    }
+  ]);
+
+  return { data };
+};
+
+export const buildProjectCompletionReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    const userId = toObjectId(user.id);
+    matchQuery.$or = [
+      { managerId: userId },
+      { ownerId: userId },
+      { members: { $elemMatch: { userId, role: 'LEAD' } } }
+    ];
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  // Task counts and progress are stored on the project as its tasks change
+  const data = await Project.aggregate([
+    { $match: matchQuery },
+    {
+      $project: {
+        name: 1,
+        status: 1,
+        startDate: 1,
+        endDate: 1,
+        actualEndDate: 1,
+        totalTasks: { $ifNull: ['$progressStats.totalTasks', 0] },
+        completedTasks: { $ifNull: ['$progressStats.completedTasks', 0] },
+        cancelledTasks: { $ifNull: ['$progressStats.cancelledTasks', 0] },
+        completionRate: {
+          $cond: [
+            { $gt: ['$progressStats.totalTasks', 0] },
+            { $multiply: [{ $divide: ['$progressStats.completedTasks', '$progressStats.totalTasks'] }, 100] },
+            0
+          ]
+        },
+        progress: { $ifNull: ['$progress', 0] },
+        progressWeightBy: { $ifNull: ['$settings.progress.weightBy', 'COUNT'] }
+      }
+    }
+  ]);
+
+  return { data };
+};
+
+/**
+ * Logged time from TimeEntry, per project and user (and per day with groupBy=day).
+ * Dates filter on when the work happened; running timers are not counted.
+ */
+export const buildTimeTrackingReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate, projectId, userId, groupBy } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId), isRunning: false };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    const projectIds = await getManagedProjectIds(tenantId, user.id);
+
+    // If specific project requested, verify it's managed
+    if (projectId) {
+      if (!projectIds.some(id => id.toString() === projectId)) {
+        const error = new Error('You can only view reports for projects you manage');
+        error.statusCode = 403;
+        throw error;
+      }
+      matchQuery.projectId = toObjectId(projectId);
+    } else {
+      matchQuery.projectId = { $in: projectIds };
+    }
+  } else if (projectId) {
+    matchQuery.projectId = toObjectId(projectId);
+  }
+
+  const startedAt = createdAtRange(startDate, endDate);
+  if (startedAt) matchQuery.startedAt = startedAt;
+
+  if (userId) matchQuery.userId = toObjectId(userId);
+
+  const groupId = { projectId: '$projectId', userId: '$userId' };
+  if (groupBy === 'day') {
+    groupId.date = { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } };
+  }
+
+  const data = await TimeEntry.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: groupId,
+        totalMinutes: { $sum: '$durationMinutes' },
+        billableMinutes: {
+          $sum: { $cond: ['$billable', '$durationMinutes', 0] }
+        },
+        entryCount: { $sum: 1 },
+        taskIds: { $addToSet: '$taskId' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'projects',
+        localField: '_id.projectId',
+        foreignField: '_id',
+        as: 'project'
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id.userId',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id.date',
+        projectId: '$_id.projectId',
+        projectName: { $arrayElemAt: ['$project.name', 0] },
+        userId: '$_id.userId',
+        userName: {
+          $concat: [
+            { $arrayElemAt: ['$user.firstName', 0] },
+            ' ',
+            { $arrayElemAt: ['$user.lastName', 0] }
+          ]
+        },
+        totalHours: { $round: [{ $divide: ['$totalMinutes', 60] }, 2] },
+        billableHours: { $round: [{ $divide: ['$billableMinutes', 60] }, 2] },
+        entryCount: 1,
+        taskCount: { $size: '$taskIds' }
+      }
+    },
+    { $sort: { date: 1, projectName: 1, userName: 1 } }
+  ]);
+
+  return { data };
+};
+
+export const buildUserActivityReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    matchQuery.projectId = { $in: await getManagedProjectIds(tenantId, user.id) };
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  const data = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$assigneeId',
+        totalTasks: { $sum: 1 },
+        completedTasks: { $sum: { $cond: [{ $eq: ['$statusCategory', 'DONE'] }, 1, 0] } },
+        inProgressTasks: { $sum: { $cond: [{ $eq: ['$statusCategory', 'IN_PROGRESS'] }, 1, 0] } },
+        blockedTasks: { $sum: { $cond: [{ $eq: ['$status', 'BLOCKED'] }, 1, 0] } },
+        totalEstimatedHours: { $sum: '$estimatedHours' },
+        totalActualHours: { $sum: '$actualHours' },
+        avgTaskCompletionTime: {
+          $avg: {
+            $cond: [
+              { $eq: ['$statusCategory', 'DONE'] },
+              { $subtract: ['$updatedAt', '$createdAt'] },
+              null
+            ]
+          }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        userId: '$_id',
+        userName: { $concat: ['$user.firstName', ' ', '$user.lastName'] },
+        userEmail: '$user.email',
+        userRole: '$user.role',
+        totalTasks: 1,
+        completedTasks: 1,
+        inProgressTasks: 1,
+        blockedTasks: 1,
+        completionRate: {
+          $cond: [
+            { $gt: ['$totalTasks', 0] },
+            { $multiply: [{ $divide: ['$completedTasks', '$totalTasks'] }, 100] },
+            0
+          ]
+        },
+        totalEstimatedHours: 1,
+        totalActualHours: 1,
+        efficiency: {
+          $cond: [
+            { $gt: ['$totalEstimatedHours', 0] },
+            { $multiply: [{ $divide: ['$totalEstimatedHours', { $ifNull: ['$totalActualHours', 1] }] }, 100] },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { totalTasks: -1 } }
+  ]);
+
+  return { data };
+};
+
+export const buildTaskStatusReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    matchQuery.projectId = { $in: await getManagedProjectIds(tenantId, user.id) };
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  const report = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: { status: '$status', category: '$statusCategory' },
+        count: { $sum: 1 },
+        totalEstimatedHours: { $sum: '$estimatedHours' },
+        totalActualHours: { $sum: '$actualHours' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        status: '$_id.status',
+        category: '$_id.category',
+        count: 1,
+        totalEstimatedHours: 1,
+        totalActualHours: 1
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const total = report.reduce((sum, item) => sum + item.count, 0);
+
+  // Custom statuses differ per project; categories are comparable across all of them
+  const byCategory = STATUS_CATEGORIES.map(category => {
+    const count = report
+      .filter(item => item.category === category)
+      .reduce((sum, item) => sum + item.count, 0);
+    return {
+      category,
+      count,
+      percentage: total > 0 ? ((count / total) * 100).toFixed(1) : 0
+    };
+  });
+
+  return {
+    data: report.map(item => ({
+      ...item,
+      percentage: total > 0 ? ((item.count / total) * 100).toFixed(1) : 0
+    })),
+    byCategory,
+    total
+  };
+};
+
+export const buildBudgetReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    const userId = toObjectId(user.id);
+    matchQuery.$or = [
+      { managerId: userId },
+      { ownerId: userId },
+      { 'members.userId': userId }
+    ];
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  const projects = await Project.aggregate([
+    { $match: matchQuery },
+    {
+      $lookup: {
+        from: 'tasks',
+        localField: '_id',
+        foreignField: 'projectId',
+        as: 'tasks'
+      }
+    },
+    {
+      $project: {
+        name: 1,
+        status: 1,
+        budget: 1,
+        spent: 1,
+        startDate: 1,
+        endDate: 1,
+        actualEndDate: 1,
+        createdAt: 1,
+        settings: { budgetAlertThresholds: 1 },
+        budgetAlerts: 1,
+        totalTasks: { $size: '$tasks' },
+        completedTasks: {
+          $size: {
+            $filter: {
+              input: '$tasks',
+              as: 'task',
+              cond: { $eq: ['$$task.statusCategory', 'DONE'] }
+            }
+          }
+        },
+        totalEstimatedHours: { $sum: '$tasks.estimatedHours' },
+        totalActualHours: { $sum: '$tasks.actualHours' }
+      }
+    },
+    {
+      $project: {
+        name: 1,
+        status: 1,
+        budget: 1,
+        spent: 1,
+        startDate: 1,
+        endDate: 1,
+        totalTasks: 1,
+        completedTasks: 1,
+        totalEstimatedHours: 1,
+        totalActualHours: 1,
+        actualEndDate: 1,
+        createdAt: 1,
+        settings: 1,
+        budgetAlerts: 1,
+        budgetUtilization: {
+          $cond: [
+            { $gt: ['$budget', 0] },
+            { $multiply: [{ $divide: [{ $ifNull: ['$spent', 0] }, '$budget'] }, 100] },
+            0
+          ]
+        },
+        budgetRemaining: {
+          $subtract: [
+            { $ifNull: ['$budget', 0] },
+            { $ifNull: ['$spent', 0] }
+          ]
+        },
+        variance: {
+          $subtract: [
+            { $ifNull: ['$totalActualHours', 0] },
+            { $ifNull: ['$totalEstimatedHours', 0] }
+          ]
+        }
+      }
+    },
+    { $sort: { budgetUtilization: -1 } }
+  ]);
+
+  const tenant = await Tenant.findById(tenantId).select('settings.budgetAlertThresholds');
+  const data = projects.map(({ settings, createdAt, budgetAlerts, ...project }) => ({
+    ...project,
+    ...forecastBudget({ ...project, createdAt }),
+    budgetAlertThresholds: getBudgetAlertThresholds({ settings }, tenant),
+    alertLevel: budgetAlerts?.length ? Math.max(...budgetAlerts.map(a => a.threshold)) : null
+  }));
+
+  return { data };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Burn rate (spend per elapsed day since the project started) and the spend it
+ * projects at the planned end date. Closed projects are forecast at what they spent.
+ */
+const forecastBudget = (project, now = new Date()) => {
+  const spent = project.spent || 0;
+  const budget = project.budget || 0;
+  const closed = ['COMPLETED', 'CANCELLED'].includes(project.status);
+  const start = new Date(project.startDate || project.createdAt);
+  const until = closed ? new Date(project.actualEndDate || project.endDate || now) : now;
+
+  const elapsedDays = Math.max(1, Math.ceil((until - start) / DAY_MS));
+  const burnRate = round2(spent / elapsedDays);
+
+  let remainingDays = null;
+  let forecastAtCompletion = null;
+  if (closed) {
+    remainingDays = 0;
+    forecastAtCompletion = spent;
+  } else if (project.endDate) {
+    remainingDays = Math.max(0, Math.ceil((new Date(project.endDate) - now) / DAY_MS));
+    forecastAtCompletion = round2(spent + burnRate * remainingDays);
+  }
+
+  return {
+    elapsedDays,
+    remainingDays,
+    burnRate,
+    forecastAtCompletion,
+    forecastVariance: forecastAtCompletion !== null && budget > 0 ? round2(forecastAtCompletion - budget) : null,
+    overBudget: budget > 0 && spent > budget,
+    forecastOverBudget: budget > 0 && forecastAtCompletion !== null && forecastAtCompletion > budget
+  };
+};
+
+export const buildTaskTrendsReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate, groupBy = 'day' } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    matchQuery.projectId = { $in: await getManagedProjectIds(tenantId, user.id) };
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  let dateFormat;
+  if (groupBy === 'day') {
+    dateFormat = { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } };
+  } else if (groupBy === 'week') {
+    dateFormat = { $dateToString: { format: '%Y-W%V', date: '$createdAt' } };
+  } else {
+    dateFormat = { $dateToString: { format: '%Y-%m', date: '$createdAt' } };
+  }
+
+  const data = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: dateFormat,
+        created: { $sum: 1 },
+        completed: {
+          $sum: { $cond: [{ $eq: ['$statusCategory', 'DONE'] }, 1, 0] }
+        },
+        inProgress: {
+          $sum: { $cond: [{ $eq: ['$statusCategory', 'IN_PROGRESS'] }, 1, 0] }
+        }
+      }
+    },
+    {
+      $project: {
+        date: '$_id',
+        created: 1,
+        completed: 1,
+        inProgress: 1
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
+
+  return { data };
+};
+
+export const buildPriorityReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    matchQuery.projectId = { $in: await getManagedProjectIds(tenantId, user.id) };
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  const report = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$priority',
+        count: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$statusCategory', 'DONE'] }, 1, 0] } },
+        avgCompletionTime: {
+          $avg: {
+            $cond: [
+              { $eq: ['$statusCategory', 'DONE'] },
+              { $subtract: ['$updatedAt', '$createdAt'] },
+              null
+            ]
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        priority: '$_id',
+        count: 1,
+        completed: 1,
+        completionRate: {
+          $cond: [
+            { $gt: ['$count', 0] },
+            { $multiply: [{ $divide: ['$completed', '$count'] }, 100] },
+            0
+          ]
+        },
+        avgCompletionTime: 1
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const total = report.reduce((sum, item) => sum + item.count, 0);
+
+  // Custom statuses differ per project; categories are comparable across all of them
+  const byCategory = STATUS_CATEGORIES.map(category => {
+    const count = report
+      .filter(item => item.category === category)
+      .reduce((sum, item) => sum + item.count, 0);
+    return {
+      category,
+      count,
+      percentage: total > 0 ? ((count / total) * 100).toFixed(1) : 0
+    };
+  });
+
+  return {
+    data: report.map(item => ({
+      ...item,
+      percentage: total > 0 ? ((item.count / total) * 100).toFixed(1) : 0
+    })),
+    byCategory,
+    total
+  };
+};
+
+export const buildTeamUtilizationReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate } = query;
+  const matchQuery = { tenantId: toObjectId(tenantId) };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    matchQuery.projectId = { $in: await getManagedProjectIds(tenantId, user.id) };
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  const data = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$assigneeId',
+        activeTasks: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $in: ['$statusCategory', ['TODO', 'IN_PROGRESS']] },
+                  { $ne: ['$status', 'BLOCKED'] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        },
+        totalTasks: { $sum: 1 },
+        totalEstimatedHours: { $sum: '$estimatedHours' },
+        totalActualHours: { $sum: '$actualHours' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        userId: '$_id',
+        userName: { $concat: ['$user.firstName', ' ', '$user.lastName'] },
+        userEmail: '$user.email',
+        activeTasks: 1,
+        totalTasks: 1,
+        totalEstimatedHours: 1,
+        totalActualHours: 1,
+        utilizationRate: {
+          $cond: [
+            { $gt: ['$totalEstimatedHours', 0] },
+            { $multiply: [{ $divide: [{ $ifNull: ['$totalActualHours', 0] }, '$totalEstimatedHours'] }, 100] },
+            0
+          ]
+        },
+        workload: {
+          $cond: [
+            { $gt: ['$activeTasks', 0] },
+            { $divide: ['$totalEstimatedHours', '$activeTasks'] },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { activeTasks: -1 } }
+  ]);
+
+  // Capacity: working hours of the tenant's business calendar in the period
+  // (the last 30 days unless a range is given), against the time logged in it
+  const calendar = await getCalendar(tenantId);
+  const periodEnd = endDate ? new Date(endDate) : new Date();
+  const periodStart = startDate ? new Date(startDate) : new Date(periodEnd.getTime() - 29 * 24 * 60 * 60 * 1000);
+  const capacityHours = workingHoursBetween(calendar, periodStart, periodEnd);
+
+  const loggedMatch = {
+    tenantId: toObjectId(tenantId),
+    isRunning: false,
+    startedAt: { $gte: periodStart, $lte: periodEnd }
+  };
+  if (matchQuery.projectId) loggedMatch.projectId = matchQuery.projectId;
+
+  const logged = await TimeEntry.aggregate([
+    { $match: loggedMatch },
+    { $group: { _id: '$userId', minutes: { $sum: '$durationMinutes' } } }
+  ]);
+  const loggedByUser = new Map(logged.map(l => [l._id?.toString(), Math.round((l.minutes / 60) * 100) / 100]));
+
+  return {
+    data: data.map(row => {
+      const loggedHours = loggedByUser.get(row.userId?.toString()) || 0;
+      return {
+        ...row,
+        capacityHours,
+        loggedHours,
+        capacityUtilization: capacityHours > 0 ? (loggedHours / capacityHours) * 100 : 0
+      };
+    }),
+    capacity: {
+      startDate: periodStart,
+      endDate: periodEnd,
+      hoursPerDay: hoursPerDay(calendar),
+      capacityHours,
+      timezone: calendar.timezone
+    }
+  };
+};
+
+const MAX_BURN_DAYS = 366;
+
+/**
+ * Daily burndown/burnup for one project (or every project the user can see),
+ * rebuilt from the task audit trail. `unit` is hours (estimatedHours, default),
+ * points (storyPoints) or count (number of tasks).
+ */
+export const buildBurndownReport = async ({ tenantId, user, query = {} }) => {
+  const { projectId, startDate, endDate, unit = 'hours' } = query;
+
+  if (!BURN_UNITS.includes(unit)) {
+    const error = new Error(`Invalid unit "${unit}". Valid units: ${BURN_UNITS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let projectIds;
+  if (isProjectManager(user)) {
+    projectIds = await getManagedProjectIds(tenantId, user.id);
+    if (projectId && !projectIds.some(id => id.toString() === projectId)) {
+      const error = new Error('You can only view reports for projects you manage');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+  if (projectId) projectIds = [toObjectId(projectId)];
+
+  const end = endDate ? new Date(endDate) : new Date();
+  let start = startDate ? new Date(startDate) : null;
+  if (!start && projectId) {
+    const project = await Project.findOne({ _id: projectId, tenantId }).select('startDate');
+    start = project?.startDate;
+  }
+  if (!start) start = new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    const error = new Error('startDate and endDate must be valid dates, with startDate first');
+    error.statusCode = 400;
+    throw error;
+  }
+  if ((end - start) / (24 * 60 * 60 * 1000) > MAX_BURN_DAYS) {
+    const error = new Error(`Date range is limited to ${MAX_BURN_DAYS} days`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const data = await buildBurnSeries({
+    tenantId: toObjectId(tenantId),
+    taskQuery: projectIds ? { projectId: { $in: projectIds } } : {},
+    deletedFilter: projectIds
+      ? {
+          $or: [
+            { 'changes.before.projectId': { $in: projectIds } },
+            { 'changes.before.projectId._id': { $in: projectIds } }
+          ]
+        }
+      : {},
+    startDate: start,
+    endDate: end,
+    unit
+  });
+
+  return { data, unit, startDate: start, endDate: end };
+};
+
+/**
+ * Exportable reports, keyed by the :type used in /api/reports/export/:type.
+ * Columns drive the CSV/XLSX/PDF layout; `format` controls how a cell is rendered.
+ */
+/**
+ * SLA compliance per project for tasks with an SLA target. A task met its SLA
+ * when it was completed by the target; it breached when it was completed late
+ * or is still open past the target. Tasks still open before their target are pending.
+ */
+export const buildSlaComplianceReport = async ({ tenantId, user, query = {} }) => {
+  const { startDate, endDate, projectId } = query;
+  const now = new Date();
+  const matchQuery = {
+    tenantId: toObjectId(tenantId),
+    'sla.targetCompletionDate': { $ne: null },
+    statusCategory: { $ne: 'CANCELLED' }
+  };
+
+  // PROJECT_MANAGER can only see reports for their projects
+  if (isProjectManager(user)) {
+    matchQuery.projectId = { $in: await getManagedProjectIds(tenantId, user.id) };
+  }
+  if (projectId) {
+    matchQuery.projectId = matchQuery.projectId
+      ? { $in: matchQuery.projectId.$in.filter(id => id.toString() === projectId) }
+      : toObjectId(projectId);
+  }
+
+  const createdAt = createdAtRange(startDate, endDate);
+  if (createdAt) matchQuery.createdAt = createdAt;
+
+  const isDone = { $eq: ['$statusCategory', 'DONE'] };
+  const metTarget = { $and: [isDone, { $lte: ['$completedAt', '$sla.targetCompletionDate'] }] };
+  const pastTarget = { $lt: ['$sla.targetCompletionDate', now] };
+
+  const data = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $project: {
+        projectId: 1,
+        outcome: {
+          $switch: {
+            branches: [
+              { case: metTarget, then: 'MET' },
+              { case: { $or: ['$sla.breached', isDone, pastTarget] }, then: 'BREACHED' }
+            ],
+            default: 'PENDING'
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$projectId',
+        totalTasks: { $sum: 1 },
+        met: { $sum: { $cond: [{ $eq: ['$outcome', 'MET'] }, 1, 0] } },
+        breached: { $sum: { $cond: [{ $eq: ['$outcome', 'BREACHED'] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$outcome', 'PENDING'] }, 1, 0] } }
+      }
+    },
+    {
+      $lookup: {
+        from: 'projects',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'project'
+      }
+    },
+    { $unwind: { path: '$project', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        projectId: '$_id',
+        projectName: '$project.name',
+        targetCompletionDays: '$project.settings.sla.targetCompletionDays',
+        totalTasks: 1,
+        met: 1,
+        breached: 1,
+        pending: 1,
+        complianceRate: {
+          $cond: [
+            { $gt: [{ $add: ['$met', '$breached'] }, 0] },
+            { $multiply: [{ $divide: ['$met', { $add: ['$met', '$breached'] }] }, 100] },
+            null
+          ]
+        }
+      }
+    },
+    { $sort: { complianceRate: 1 } }
+  ]);
+
+  return { data };
+};
+
+export const REPORT_TYPES = {
+  productivity: {
+    title: 'Productivity Report',
+    build: buildProductivityReport,
+    columns: [
+      { key: 'userName', header: 'User' },
+      { key: 'totalTasks', header: 'Total Tasks', format: 'number' },
+      { key: 'completedTasks', header: 'Completed Tasks', format: 'number' },
+      { key: 'completionRate', header: 'Completion Rate (%)', format: 'percent' },
+      { key: 'totalEstimatedHours', header: 'Estimated Hours', format: 'number' },
+      { key: 'totalActualHours', header: 'Actual Hours', format: 'number' }
+    ]
+  },
+  'project-completion': {
+    title: 'Project Completion Report',
+    build: buildProjectCompletionReport,
+    columns: [
+      { key: 'name', header: 'Project' },
+      { key: 'status', header: 'Status' },
+      { key: 'startDate', header: 'Start Date', format: 'date' },
+      { key: 'endDate', header: 'End Date', format: 'date' },
+      { key: 'actualEndDate', header: 'Actual End Date', format: 'date' },
+      { key: 'totalTasks', header: 'Total Tasks', format: 'number' },
+      { key: 'completedTasks', header: 'Completed Tasks', format: 'number' },
+      { key: 'completionRate', header: 'Completion Rate (%)', format: 'percent' },
+      { key: 'progress', header: 'Progress (%)', format: 'percent' }
+    ]
+  },
+  'time-tracking': {
+    title: 'Time Tracking Report',
+    build: buildTimeTrackingReport,
+    columns: [
+      { key: 'date', header: 'Date', format: 'date' },
+      { key: 'projectName', header: 'Project' },
+      { key: 'userName', header: 'User' },
+      { key: 'taskCount', header: 'Tasks', format: 'number' },
+      { key: 'entryCount', header: 'Entries', format: 'number' },
+      { key: 'totalHours', header: 'Hours', format: 'number' },
+      { key: 'billableHours', header: 'Billable Hours', format: 'number' }
+    ]
+  },
+  'user-activity': {
+    title: 'User Activity Report',
+    build: buildUserActivityReport,
+    columns: [
+      { key: 'userName', header: 'User' },
+      { key: 'userEmail', header: 'Email' },
+      { key: 'userRole', header: 'Role' },
+      { key: 'totalTasks', header: 'Total Tasks', format: 'number' },
+      { key: 'completedTasks', header: 'Completed', format: 'number' },
+      { key: 'inProgressTasks', header: 'In Progress', format: 'number' },
+      { key: 'blockedTasks', header: 'Blocked', format: 'number' },
+      { key: 'completionRate', header: 'Completion Rate (%)', format: 'percent' },
+      { key: 'totalEstimatedHours', header: 'Estimated Hours', format: 'number' },
+      { key: 'totalActualHours', header: 'Actual Hours', format: 'number' },
+      { key: 'efficiency', header: 'Efficiency (%)', format: 'percent' }
+    ]
+  },
+  burndown: {
+    title: 'Burndown / Burnup Report',
+    build: buildBurndownReport,
+    columns: [
+      { key: 'date', header: 'Date', format: 'date' },
+      { key: 'totalScope', header: 'Total Scope', format: 'number' },
+      { key: 'completed', header: 'Completed', format: 'number' },
+      { key: 'remaining', header: 'Remaining', format: 'number' },
+      { key: 'ideal', header: 'Ideal Remaining', format: 'number' },
+      { key: 'scopeAdded', header: 'Scope Added', format: 'number' },
+      { key: 'scopeRemoved', header: 'Scope Removed', format: 'number' }
+    ]
+  },
+  'sla-compliance': {
+    title: 'SLA Compliance Report',
+    build: buildSlaComplianceReport,
+    columns: [
+      { key: 'projectName', header: 'Project' },
+      { key: 'targetCompletionDays', header: 'SLA (business days)', format: 'number' },
+      { key: 'totalTasks', header: 'Tasks', format: 'number' },
+      { key: 'met', header: 'Met', format: 'number' },
+      { key: 'breached', header: 'Breached', format: 'number' },
+      { key: 'pending', header: 'Pending', format: 'number' },
+      { key: 'complianceRate', header: 'Compliance (%)', format: 'percent' }
+    ]
+  },
+  'task-status': {
+    title: 'Task Status Report',
+    build: buildTaskStatusReport,
+    columns: [
+      { key: 'status', header: 'Status' },
+      { key: 'category', header: 'Category' },
+      { key: 'count', header: 'Tasks', format: 'number' },
+      { key: 'percentage', header: 'Share (%)', format: 'percent' },
+      { key: 'totalEstimatedHours', header: 'Estimated Hours', format: 'number' },
+      { key: 'totalActualHours', header: 'Actual Hours', format: 'number' }
+    ]
+  },
+  budget: {
+    title: 'Budget Report',
+    build: buildBudgetReport,
+    columns: [
+      { key: 'name', header: 'Project' },
+      { key: 'status', header: 'Status' },
+      { key: 'budget', header: 'Budget', format: 'number' },
+      { key: 'spent', header: 'Spent', format: 'number' },
+      { key: 'budgetRemaining', header: 'Remaining', format: 'number' },
+      { key: 'budgetUtilization', header: 'Utilization (%)', format: 'percent' },
+      { key: 'burnRate', header: 'Burn Rate (per day)', format: 'number' },
+      { key: 'forecastAtCompletion', header: 'Forecast at Completion', format: 'number' },
+      { key: 'forecastVariance', header: 'Forecast Variance', format: 'number' },
+      { key: 'alertLevel', header: 'Alert Level (%)', format: 'number' },
+      { key: 'totalTasks', header: 'Total Tasks', format: 'number' },
+      { key: 'completedTasks', header: 'Completed Tasks', format: 'number' },
+      { key: 'totalEstimatedHours', header: 'Estimated Hours', format: 'number' },
+      { key: 'totalActualHours', header: 'Actual Hours', format: 'number' },
+      { key: 'variance', header: 'Variance (h)', format: 'number' }
+    ]
+  },
+  'task-trends': {
+    title: 'Task Trends Report',
+    build: buildTaskTrendsReport,
+    columns: [
+      { key: 'date', header: 'Period' },
+      { key: 'created', header: 'Created', format: 'number' },
+      { key: 'completed', header: 'Completed', format: 'number' },
+      { key: 'inProgress', header: 'In Progress', format: 'number' }
+    ]
+  },
+  priority: {
+    title: 'Priority Report',
+    build: buildPriorityReport,
+    columns: [
+      { key: 'priority', header: 'Priority' },
+      { key: 'count', header: 'Tasks', format: 'number' },
+      { key: 'percentage', header: 'Share (%)', format: 'percent' },
+      { key: 'completed', header: 'Completed', format: 'number' },
+      { key: 'completionRate', header: 'Completion Rate (%)', format: 'percent' },
+      { key: 'avgCompletionTime', header: 'Avg Completion Time (h)', format: 'duration' }
+    ]
+  },
+  'team-utilization': {
+    title: 'Team Utilization Report',
+    build: buildTeamUtilizationReport,
+    columns: [
+      { key: 'userName', header: 'User' },
+      { key: 'userEmail', header: 'Email' },
+      { key: 'activeTasks', header: 'Active Tasks', format: 'number' },
+      { key: 'totalTasks', header: 'Total Tasks', format: 'number' },
+      { key: 'totalEstimatedHours', header: 'Estimated Hours', format: 'number' },
+      { key: 'totalActualHours', header: 'Actual Hours', format: 'number' },
+      { key: 'utilizationRate', header: 'Utilization (%)', format: 'percent' },
+      { key: 'workload', header: 'Workload (h/task)', format: 'number' },
+      { key: 'capacityHours', header: 'Capacity (h)', format: 'number' },
+      { key: 'loggedHours', header: 'Logged Hours', format: 'number' },
+      { key: 'capacityUtilization', header: 'Capacity Used (%)', format: 'percent' }
+    ]
+  }
+};
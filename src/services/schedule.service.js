@@ -0,0 +1,187 @@
+import Task from '../models/Task.model.js';
+import {
+  getCalendar,
+  hoursPerDay,
+  workingDaysBetween,
+  addWorkingDays,
+  fromLocal
+} from './calendar.service.js';
+
+// Work assumed for a task without an estimate, in working days
+const DEFAULT_DURATION_DAYS = 1;
+const EPSILON = 1e-6;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Tasks each task waits for, limited to tasks of the same schedule. Both
+ * "A BLOCKED_BY B" on A and "B BLOCKS A" on B make B a predecessor of A.
+ */
+const buildPredecessors = (tasks) => {
+  const ids = new Set(tasks.map(t => t._id.toString()));
+  const predecessors = new Map(tasks.map(t => [t._id.toString(), new Set()]));
+
+  tasks.forEach(task => {
+    const id = task._id.toString();
+    (task.dependencies || []).forEach(({ taskId, type }) => {
+      const other = taskId?.toString();
+      if (!other || !ids.has(other) || other === id) return;
+      if (type === 'BLOCKED_BY') predecessors.get(id).add(other);
+      if (type === 'BLOCKS') predecessors.get(other).add(id);
+    });
+  });
+
+  return predecessors;
+};
+
+// Kahn's algorithm; tasks left in a (legacy) cycle are appended as they come
+const topologicalOrder = (tasks, predecessors) => {
+  const remaining = new Map([...predecessors].map(([id, preds]) => [id, new Set(preds)]));
+  const order = [];
+  let ready = tasks.map(t => t._id.toString()).filter(id => !remaining.get(id).size);
+
+  while (ready.length) {
+    const id = ready.shift();
+    order.push(id);
+    remaining.delete(id);
+    for (const [other, preds] of remaining) {
+      if (preds.delete(id) && !preds.size && !ready.includes(other)) ready.push(other);
+    }
+  }
+
+  return [...order, ...remaining.keys()];
+};
+
+/**
+ * Critical path schedule of a project's tasks, in the project's business calendar.
+ *
+ * Durations come from estimatedHours (the remaining estimate for tasks in
+ * progress). Open work cannot be scheduled before now, so a task that slips
+ * pushes everything that waits for it. Completed tasks are pinned to their
+ * completion date. Latest dates are bounded by the projected finish and by
+ * each task's dueDate; slack is the gap between latest and earliest start, and
+ * open tasks without slack form the critical path.
+ */
+export const buildProjectSchedule = async (project, { now = new Date() } = {}) => {
+  const calendar = await getCalendar(project.tenantId, project);
+  const dayHours = hoursPerDay(calendar) || 8;
+
+  const tasks = await Task.find({
+    projectId: project._id,
+    statusCategory: { $ne: 'CANCELLED' }
+  })
+    .select('title type status statusCategory assigneeId parentTaskId estimatedHours actualHours dueDate completedAt dependencies updatedAt')
+    .populate('assigneeId', 'firstName lastName email');
+
+  // Offsets are working days from the start of the project
+  const origin = addWorkingDays(calendar, project.startDate || project.createdAt, 0);
+  const offsetOf = (date) => workingDaysBetween(calendar, origin, date);
+  const nowOffset = Math.max(0, offsetOf(now));
+  const dueOffset = (dueDate) => offsetOf(
+    fromLocal(new Date(dueDate).toISOString().slice(0, 10), calendar.endMinutes, calendar.timezone)
+  );
+
+  const predecessors = buildPredecessors(tasks);
+  const successors = new Map(tasks.map(t => [t._id.toString(), []]));
+  predecessors.forEach((preds, id) => preds.forEach(pred => successors.get(pred).push(id)));
+
+  const order = topologicalOrder(tasks, predecessors);
+  const byId = new Map(tasks.map(t => [t._id.toString(), t]));
+  const nodes = new Map();
+
+  // Forward pass: earliest start and finish
+  for (const id of order) {
+    const task = byId.get(id);
+    const done = task.statusCategory === 'DONE';
+    const estimated = task.estimatedHours > 0;
+    const totalDays = estimated ? task.estimatedHours / dayHours : DEFAULT_DURATION_DAYS;
+
+    let duration;
+    let earliestStart;
+    let earliestFinish;
+    if (done) {
+      duration = totalDays;
+      earliestFinish = offsetOf(task.completedAt || task.updatedAt || now);
+      earliestStart = Math.max(0, earliestFinish - duration);
+    } else {
+      const remainingHours = estimated ? Math.max(0, task.estimatedHours - (task.actualHours || 0)) : null;
+      duration = remainingHours === null ? DEFAULT_DURATION_DAYS : remainingHours / dayHours;
+      const ready = Math.max(0, ...[...predecessors.get(id)].map(pred => nodes.get(pred)?.earliestFinish || 0));
+      earliestStart = Math.max(ready, nowOffset);
+      earliestFinish = earliestStart + duration;
+    }
+
+    nodes.set(id, { task, done, estimated, duration, earliestStart, earliestFinish });
+  }
+
+  const projectedFinish = Math.max(nowOffset, ...[...nodes.values()].map(n => n.earliestFinish));
+
+  // Backward pass: latest finish and start
+  for (const id of [...order].reverse()) {
+    const node = nodes.get(id);
+    if (node.done) {
+      node.latestFinish = node.earliestFinish;
+      node.latestStart = node.earliestStart;
+      continue;
+    }
+
+    const successorStarts = successors.get(id)
+      .map(next => nodes.get(next))
+      .filter(next => !next.done && next.latestStart !== undefined)
+      .map(next => next.latestStart);
+    let latestFinish = Math.min(projectedFinish, ...successorStarts);
+    if (node.task.dueDate) latestFinish = Math.min(latestFinish, dueOffset(node.task.dueDate));
+
+    node.latestFinish = latestFinish;
+    node.latestStart = latestFinish - node.duration;
+  }
+
+  const toDate = (offset, options) => addWorkingDays(calendar, origin, Math.max(0, offset), options);
+  const toStartDate = (offset) => toDate(offset, { dayStart: true });
+
+  const scheduled = order.map(id => {
+    const node = nodes.get(id);
+    const { task } = node;
+    const slack = node.latestStart - node.earliestStart;
+    const critical = !node.done && slack <= EPSILON;
+
+    return {
+      taskId: task._id,
+      title: task.title,
+      type: task.type,
+      status: task.status,
+      statusCategory: task.statusCategory,
+      assignee: task.assigneeId,
+      parentTaskId: task.parentTaskId || null,
+      dependsOn: [...predecessors.get(id)],
+      estimatedHours: task.estimatedHours || 0,
+      estimated: node.estimated,
+      durationDays: round(node.duration),
+      earliestStart: toStartDate(node.earliestStart),
+      earliestFinish: toDate(node.earliestFinish),
+      latestStart: toStartDate(node.latestStart),
+      latestFinish: toDate(node.latestFinish),
+      slackDays: node.done ? 0 : round(slack),
+      slackHours: node.done ? 0 : round(slack * dayHours),
+      critical,
+      dueDate: task.dueDate || null,
+      late: !node.done && Boolean(task.dueDate) && node.earliestFinish > dueOffset(task.dueDate) + EPSILON,
+      completedAt: task.completedAt || null
+    };
+  });
+
+  return {
+    projectId: project._id,
+    timezone: calendar.timezone,
+    hoursPerDay: dayHours,
+    startDate: origin,
+    projectedFinish: toDate(projectedFinish),
+    deadline: project.endDate || null,
+    overDeadline: Boolean(project.endDate) && toDate(projectedFinish) > new Date(project.endDate),
+    criticalPath: scheduled.filter(t => t.critical).map(t => t.taskId),
+    tasks: scheduled
+  };
+};
@@ -0,0 +1,110 @@
+import Task from '../models/Task.model.js';
+import { getCalendar, addBusinessDays } from './calendar.service.js';
+import { sendSlaBreachEmail } from './email.service.js';
+import { notifyUser } from './notification.service.js';
+import logger from '../utils/logger.js';
+
+const BATCH_SIZE = 200;
+
+export const isSlaEnabled = (project) =>
+  Boolean(project?.settings?.sla?.enabled && project.settings.sla.targetCompletionDays > 0);
+
+/**
+ * SLA target for a task created at `from` in the project, or null when the
+ * project has no SLA. Counts working days of the project's business calendar.
+ */
+export const getSlaTargetDate = async (project, from = new Date()) => {
+  if (!isSlaEnabled(project)) return null;
+  const calendar = await getCalendar(project.tenantId, project);
+  return addBusinessDays(calendar, from, project.settings.sla.targetCompletionDays);
+};
+
+/**
+ * Give a new task its SLA target. SLA fields are managed here and by the
+ * checker, never taken from the request.
+ */
+export const applyTaskSla = async (taskData, project, from = new Date()) => {
+  const data = { ...taskData };
+  delete data.sla;
+
+  const targetCompletionDate = await getSlaTargetDate(project, from);
+  if (targetCompletionDate) {
+    data.sla = { targetCompletionDate, breached: false };
+  }
+  return data;
+};
+
+const notifySlaBreach = async (task) => {
+  const project = task.projectId;
+  const recipients = [task.assigneeId, project?.managerId]
+    .filter(Boolean)
+    .filter((user, index, all) => all.findIndex(u => u._id.toString() === user._id.toString()) === index);
+
+  const late = task.completedAt ? 'was completed after' : 'has passed';
+  const message = `Task "${task.title}" in project "${project?.name || 'Unknown'}" ${late} its SLA target`;
+
+  for (const user of recipients) {
+    try {
+      await notifyUser({
+        tenantId: task.tenantId,
+        userId: user._id,
+        type: 'SLA_BREACHED',
+        title: 'SLA Breached',
+        message,
+        taskId: task._id.toString(),
+        projectId: project?._id?.toString(),
+        targetCompletionDate: task.sla.targetCompletionDate
+      }, {
+        sendEmail: (recipient) => sendSlaBreachEmail(recipient.email, `${recipient.firstName} ${recipient.lastName}`, {
+          taskId: task._id.toString(),
+          taskTitle: task.title,
+          projectName: project?.name || 'Unknown',
+          targetCompletionDate: task.sla.targetCompletionDate
+        }, { tenantId: recipient.tenantId, locale: recipient.locale })
+      });
+    } catch (error) {
+      logger.error('Error sending SLA breach notification:', error);
+    }
+  }
+};
+
+/**
+ * Mark tasks whose SLA target has passed as breached: open tasks past their
+ * target, and tasks completed after it. Each task is claimed with a
+ * conditional update so it is only reported once.
+ */
+export const checkSlaBreaches = async ({ now = new Date() } = {}) => {
+  const candidates = await Task.find({
+    'sla.breached': { $ne: true },
+    'sla.targetCompletionDate': { $lt: now },
+    statusCategory: { $ne: 'CANCELLED' },
+    $or: [
+      { statusCategory: { $in: ['TODO', 'IN_PROGRESS'] } },
+      { $expr: { $gt: ['$completedAt', '$sla.targetCompletionDate'] } }
+    ]
+  })
+    .select('sla.targetCompletionDate')
+    .limit(BATCH_SIZE);
+
+  let breached = 0;
+  for (const candidate of candidates) {
+    // The breach happened when the target passed, not when it was noticed
+    const task = await Task.findOneAndUpdate(
+      { _id: candidate._id, 'sla.breached': { $ne: true } },
+      { $set: { 'sla.breached': true, 'sla.breachDate': candidate.sla.targetCompletionDate } },
+      { new: true }
+    )
+      .populate('assigneeId', 'firstName lastName email')
+      .populate({
+        path: 'projectId',
+        select: 'name managerId',
+        populate: { path: 'managerId', select: 'firstName lastName email' }
+      });
+    if (!task) continue;
+
+    breached++;
+    await notifySlaBreach(task);
+  }
+
+  return { checked: candidates.length, breached };
+};
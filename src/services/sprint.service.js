@@ -0,0 +1,193 @@
+import Sprint from '../models/Sprint.model.js';
+import Task from '../models/Task.model.js';
+import { buildBurnSeries } from './burndown.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const sumTasks = (tasks) => ({
+  tasks: tasks.length,
+  storyPoints: tasks.reduce((sum, t) => sum + (t.storyPoints || 0), 0),
+  estimatedHours: tasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0)
+});
+
+/**
+ * Story points when the sprint's tasks are pointed, estimated hours otherwise.
+ * An explicit `unit` (points|hours) from the request wins.
+ */
+export const resolveUnit = (tasks, unit) => {
+  if (unit === 'points' || unit === 'hours') return unit;
+  return tasks.some(t => t.storyPoints > 0) ? 'points' : 'hours';
+};
+
+export const taskWeight = (task, unit) =>
+  (unit === 'points' ? task.storyPoints : task.estimatedHours) || 0;
+
+export const startSprint = async (sprint) => {
+  if (sprint.status !== 'PLANNED') {
+    throw httpError(400, `Only planned sprints can be started (sprint is ${sprint.status})`);
+  }
+
+  const active = await Sprint.exists({ projectId: sprint.projectId, status: 'ACTIVE' });
+  if (active) {
+    throw httpError(409, 'The project already has an active sprint. Complete it first');
+  }
+
+  const tasks = await Task.find({ sprintId: sprint._id }).select('storyPoints estimatedHours');
+
+  sprint.status = 'ACTIVE';
+  sprint.startedAt = new Date();
+  sprint.committedTaskIds = tasks.map(t => t._id);
+  sprint.committed = sumTasks(tasks);
+  await sprint.save();
+
+  return sprint;
+};
+
+// Where unfinished tasks go: `BACKLOG`, `NEXT` (next planned sprint, backlog if there is none) or a sprint id
+const resolveRolloverTarget = async (sprint, rolloverTo = 'NEXT') => {
+  if (rolloverTo === 'BACKLOG') return null;
+
+  if (rolloverTo === 'NEXT') {
+    return Sprint.findOne({
+      projectId: sprint.projectId,
+      status: 'PLANNED',
+      _id: { $ne: sprint._id }
+    }).sort({ startDate: 1 });
+  }
+
+  const target = await Sprint.findOne({
+    _id: rolloverTo,
+    projectId: sprint.projectId,
+    status: 'PLANNED'
+  });
+  if (!target) {
+    throw httpError(400, 'rolloverTo must be BACKLOG, NEXT or a planned sprint of the same project');
+  }
+  return target;
+};
+
+/**
+ * Close the sprint: record what got done and move unfinished tasks to the
+ * rollover target. Cancelled tasks stay with the sprint.
+ */
+export const completeSprint = async (sprint, { rolloverTo } = {}) => {
+  if (sprint.status !== 'ACTIVE') {
+    throw httpError(400, `Only active sprints can be completed (sprint is ${sprint.status})`);
+  }
+
+  const target = await resolveRolloverTarget(sprint, rolloverTo);
+  const tasks = await Task.find({ sprintId: sprint._id })
+    .select('statusCategory storyPoints estimatedHours');
+
+  const done = tasks.filter(t => t.statusCategory === 'DONE');
+  const unfinished = tasks.filter(t => !['DONE', 'CANCELLED'].includes(t.statusCategory));
+
+  if (unfinished.length) {
+    await Task.updateMany(
+      { _id: { $in: unfinished.map(t => t._id) } },
+      { $set: { sprintId: target?._id || null } }
+    );
+  }
+
+  sprint.status = 'COMPLETED';
+  sprint.completedAt = new Date();
+  sprint.completed = sumTasks(done);
+  sprint.rolledOverTaskIds = unfinished.map(t => t._id);
+  sprint.rolledOverToSprintId = target?._id;
+  await sprint.save();
+
+  return { sprint, rolledOverTo: target, rolledOver: unfinished.length };
+};
+
+/**
+ * Daily remaining work for a sprint, with the ideal line. Scope is what was
+ * committed at start (the current plan for sprints not started yet); the
+ * series is replayed from the audit trail (see burndown.service).
+ */
+export const buildSprintBurndown = async (sprint, { unit } = {}) => {
+  const taskQuery = sprint.status === 'PLANNED'
+    ? { sprintId: sprint._id }
+    : { _id: { $in: sprint.committedTaskIds } };
+  const tasks = await Task.find(taskQuery).select('storyPoints estimatedHours');
+
+  const resolvedUnit = resolveUnit(tasks, unit);
+  const series = await buildBurnSeries({
+    tenantId: sprint.tenantId,
+    taskQuery,
+    startDate: sprint.startDate,
+    endDate: sprint.endDate,
+    unit: resolvedUnit
+  });
+
+  return {
+    sprintId: sprint._id,
+    unit: resolvedUnit,
+    total: tasks.reduce((sum, t) => sum + taskWeight(t, resolvedUnit), 0),
+    series
+  };
+};
+
+/**
+ * Committed vs completed work of the project's last `limit` completed sprints.
+ */
+export const buildVelocity = async (projectId, { unit, limit = 6 } = {}) => {
+  const sprints = await Sprint.find({ projectId, status: 'COMPLETED' })
+    .sort({ completedAt: -1 })
+    .limit(Number(limit))
+    .select('name startDate endDate committed completed completedAt');
+
+  const resolvedUnit = unit === 'points' || unit === 'hours'
+    ? unit
+    : sprints.some(s => s.committed?.storyPoints > 0) ? 'points' : 'hours';
+  const key = resolvedUnit === 'points' ? 'storyPoints' : 'estimatedHours';
+
+  const data = sprints.reverse().map(s => ({
+    sprintId: s._id,
+    name: s.name,
+    startDate: s.startDate,
+    endDate: s.endDate,
+    committed: s.committed?.[key] || 0,
+    completed: s.completed?.[key] || 0
+  }));
+
+  const averageVelocity = data.length
+    ? Math.round((data.reduce((sum, s) => sum + s.completed, 0) / data.length) * 100) / 100
+    : 0;
+
+  return { unit: resolvedUnit, averageVelocity, sprints: data };
+};
+
+/**
+ * Progress of a running sprint, for dashboards.
+ */
+export const summarizeActiveSprint = async (sprint) => {
+  const tasks = await Task.find({ sprintId: sprint._id })
+    .select('statusCategory storyPoints estimatedHours');
+  const unit = resolveUnit(tasks);
+  const total = tasks.reduce((sum, t) => sum + taskWeight(t, unit), 0);
+  const completed = tasks
+    .filter(t => t.statusCategory === 'DONE')
+    .reduce((sum, t) => sum + taskWeight(t, unit), 0);
+
+  return {
+    _id: sprint._id,
+    name: sprint.name,
+    goal: sprint.goal,
+    projectId: sprint.projectId?._id || sprint.projectId,
+    startDate: sprint.startDate,
+    endDate: sprint.endDate,
+    daysRemaining: Math.max(0, Math.ceil((new Date(sprint.endDate) - Date.now()) / DAY_MS)),
+    unit,
+    total,
+    completed,
+    tasks: tasks.length,
+    completedTasks: tasks.filter(t => t.statusCategory === 'DONE').length,
+    progress: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+};
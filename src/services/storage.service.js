@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+const DEFAULT_LOCAL_PATH = 'uploads';
+
+/**
+ * Files on local disk under STORAGE_LOCAL_PATH. Keys are relative paths made
+ * by the attachment service, never user input.
+ */
+const createLocalDriver = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_PATH || DEFAULT_LOCAL_PATH);
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+/**
+ * Any S3-compatible bucket (AWS, MinIO, R2...). The SDK is only loaded when
+ * this driver is selected.
+ */
+const createS3Driver = async () => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = await import('@aws-sdk/client-s3');
+  const { getSignedUrl } = await import('@aws-sdk/s3-request-presigner');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async getStream(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Lets downloads go straight to the bucket instead of through the API
+    async getSignedUrl(key, { expiresIn, filename, contentType }) {
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentType: contentType,
+        ResponseContentDisposition: `attachment; filename="${encodeURIComponent(filename)}"`
+      }), { expiresIn });
+    }
+  };
+};
+
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let driver = null;
+
+// Storage is misconfigured: the request cannot be served, but the rest of the API can
+const configError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 503;
+  return error;
+};
+
+/**
+ * Driver named by STORAGE_DRIVER, local by default. On Vercel (VERCEL is set)
+ * the local disk is read-only and not kept between requests, so a driver
+ * must be chosen explicitly there.
+ */
+const resolveStorageDriverName = () => {
+  if (!process.env.STORAGE_DRIVER && process.env.VERCEL) {
+    throw configError('File storage is not configured: set STORAGE_DRIVER (use s3) on Vercel, whose local disk is read-only and does not persist');
+  }
+  return (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+};
+
+// Decided once, on first use, from STORAGE_DRIVER (see resolveStorageDriverName)
+export const getStorage = async () => {
+  if (!driver) {
+    const name = resolveStorageDriverName();
+    const create = DRIVERS[name];
+    if (!create) {
+      throw configError(`Unknown STORAGE_DRIVER "${name}". Supported drivers: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    driver = await create();
+    logger.info(`Attachments and exports use the ${driver.name} storage driver`);
+  }
+  return driver;
+};
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import TimeEntry from '../models/TimeEntry.model.js';
+import Task from '../models/Task.model.js';
+import { recalculateProjectSpent } from './cost.service.js';
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const assertTimeTrackingEnabled = (project) => {
+  if (project?.settings?.enableTimeTracking === false) {
+    throw httpError(403, 'Time tracking is disabled for this project');
+  }
+};
+
+/**
+ * Task.actualHours is the sum of its finished time entries.
+ */
+export const recalculateActualHours = async (taskId) => {
+  const [totals] = await TimeEntry.aggregate([
+    { $match: { taskId: new mongoose.Types.ObjectId(taskId.toString()), isRunning: false } },
+    { $group: { _id: null, minutes: { $sum: '$durationMinutes' } } }
+  ]);
+
+  const actualHours = Math.round(((totals?.minutes || 0) / 60) * 100) / 100;
+  await Task.updateOne({ _id: taskId }, { $set: { actualHours } });
+  return actualHours;
+};
+
+/**
+ * Roll a changed entry up into its task's actualHours and its project's spent.
+ */
+export const syncTimeTotals = async (entry) => {
+  await recalculateActualHours(entry.taskId);
+  await recalculateProjectSpent(entry.projectId);
+};
+
+/**
+ * Whether the user may log time on / see time of this task:
+ * ORG_ADMIN any task, PROJECT_MANAGER tasks of projects they manage or belong to,
+ * EMPLOYEE tasks assigned to them.
+ */
+export const canTrackTask = (task, project, user) => {
+  if (user.role === 'ORG_ADMIN') return true;
+  if (user.role === 'EMPLOYEE') return task.assigneeId?.toString() === user.id;
+  if (user.role === 'PROJECT_MANAGER') {
+    return project.managerId?.toString() === user.id ||
+      project.ownerId?.toString() === user.id ||
+      project.members?.some(m => m.userId?.toString() === user.id);
+  }
+  return false;
+};
+
+/**
+ * Whether the user may change or delete an existing entry:
+ * their own entries, or any entry of a project they manage (ORG_ADMIN: all).
+ */
+export const canManageEntry = (entry, project, user) => {
+  if (user.role === 'ORG_ADMIN') return true;
+  if (entry.userId.toString() === user.id) return true;
+  if (user.role === 'PROJECT_MANAGER') {
+    return project.managerId?.toString() === user.id ||
+      project.ownerId?.toString() === user.id ||
+      project.members?.some(m => m.userId?.toString() === user.id && m.role === 'LEAD');
+  }
+  return false;
+};
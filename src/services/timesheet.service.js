@@ -0,0 +1,265 @@
+import Timesheet from '../models/Timesheet.model.js';
+import TimeEntry from '../models/TimeEntry.model.js';
+import User from '../models/User.model.js';
+import Tenant from '../models/Tenant.model.js';
+import { sendTimesheetReminderEmail } from './email.service.js';
+import { getCalendar, resolveCalendar, toLocal, fromLocal, shiftDateKey } from './calendar.service.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const daysBetween = (fromKey, toKey) =>
+  Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / DAY_MS);
+
+// Local day of `date`; a 'YYYY-MM-DD' string (?week=) already is one
+const toDateKey = (date, timezone) => {
+  if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) {
+    if (Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      throw httpError(400, 'Invalid week date');
+    }
+    return date;
+  }
+  const instant = new Date(date);
+  if (Number.isNaN(instant.getTime())) {
+    throw httpError(400, 'Invalid week date');
+  }
+  return toLocal(instant, timezone).dateKey;
+};
+
+/**
+ * Monday 00:00 in `timezone` (the tenant's) of the week containing `date`.
+ */
+export const getWeekStart = (date = new Date(), timezone = 'UTC') => {
+  const dateKey = toDateKey(date, timezone);
+  // getUTCDay of a date key: Sunday = 0
+  const offset = (new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return fromLocal(shiftDateKey(dateKey, -offset), 0, timezone);
+};
+
+// Start of the following week; not always 7 * 24h later across a DST change
+const getWeekEnd = (weekStart, timezone) =>
+  fromLocal(shiftDateKey(toLocal(weekStart, timezone).dateKey, 7), 0, timezone);
+
+export const formatWeek = (weekStart, timezone = 'UTC') => toLocal(weekStart, timezone).dateKey;
+
+// Weeks follow the tenant's timezone
+export const getTenantTimezone = async (tenantId) => (await getCalendar(tenantId)).timezone;
+
+/**
+ * Throw when `date` falls in a week whose timesheet is submitted or approved.
+ */
+export const assertWeekUnlocked = async (tenantId, userId, date) => {
+  const timezone = await getTenantTimezone(tenantId);
+  const timesheet = await Timesheet.findOne({ userId, weekStart: getWeekStart(date, timezone) }).select('status weekStart');
+  if (timesheet?.isLocked()) {
+    throw httpError(
+      409,
+      `The timesheet for the week of ${formatWeek(timesheet.weekStart, timezone)} is ${timesheet.status.toLowerCase()} and locked`
+    );
+  }
+};
+
+/**
+ * Rows of hours per task per local day, from the user's finished time entries of the week.
+ */
+export const buildWeekRows = async (tenantId, userId, weekStart, timezone = 'UTC') => {
+  const entries = await TimeEntry.find({
+    tenantId,
+    userId,
+    isRunning: false,
+    startedAt: { $gte: weekStart, $lt: getWeekEnd(weekStart, timezone) }
+  }).select('taskId projectId startedAt durationMinutes billable');
+  const mondayKey = formatWeek(weekStart, timezone);
+
+  const rows = new Map();
+  for (const entry of entries) {
+    const key = entry.taskId.toString();
+    if (!rows.has(key)) {
+      rows.set(key, {
+        taskId: entry.taskId,
+        projectId: entry.projectId,
+        dailyHours: [0, 0, 0, 0, 0, 0, 0],
+        totalHours: 0,
+        billableHours: 0
+      });
+    }
+
+    const row = rows.get(key);
+    const hours = entry.durationMinutes / 60;
+    const day = daysBetween(mondayKey, toLocal(entry.startedAt, timezone).dateKey);
+    row.dailyHours[day] += hours;
+    row.totalHours += hours;
+    if (entry.billable) row.billableHours += hours;
+  }
+
+  return [...rows.values()].map(row => ({
+    ...row,
+    dailyHours: row.dailyHours.map(round),
+    totalHours: round(row.totalHours),
+    billableHours: round(row.billableHours)
+  }));
+};
+
+const summarize = (rows) => ({
+  totalHours: round(rows.reduce((sum, row) => sum + row.totalHours, 0)),
+  billableHours: round(rows.reduce((sum, row) => sum + row.billableHours, 0)),
+  projectIds: [...new Set(rows.map(row => row.projectId.toString()))]
+});
+
+/**
+ * The user's timesheet for a week. Open weeks show live time entries,
+ * submitted/approved weeks show what was submitted.
+ */
+export const getTimesheetForWeek = async (tenantId, userId, date) => {
+  const timezone = await getTenantTimezone(tenantId);
+  const weekStart = getWeekStart(date, timezone);
+  const timesheet = await Timesheet.findOne({ userId, weekStart });
+
+  if (timesheet?.isLocked()) {
+    return timesheet.toObject();
+  }
+
+  const rows = await buildWeekRows(tenantId, userId, weekStart, timezone);
+  return {
+    ...(timesheet ? timesheet.toObject() : { tenantId, userId, weekStart, status: 'DRAFT' }),
+    rows,
+    ...summarize(rows)
+  };
+};
+
+export const submitTimesheet = async (tenantId, userId, date) => {
+  const timezone = await getTenantTimezone(tenantId);
+  const weekStart = getWeekStart(date, timezone);
+  if (weekStart > new Date()) {
+    throw httpError(400, 'Future weeks cannot be submitted');
+  }
+
+  const existing = await Timesheet.findOne({ userId, weekStart });
+  if (existing?.isLocked()) {
+    throw httpError(409, `This timesheet is already ${existing.status.toLowerCase()}`);
+  }
+
+  const running = await TimeEntry.exists({
+    userId,
+    isRunning: true,
+    startedAt: { $gte: weekStart, $lt: getWeekEnd(weekStart, timezone) }
+  });
+  if (running) {
+    throw httpError(400, 'Stop the running timer before submitting this week');
+  }
+
+  const rows = await buildWeekRows(tenantId, userId, weekStart, timezone);
+  if (!rows.length) {
+    throw httpError(400, 'There is no time logged in this week');
+  }
+
+  const timesheet = existing || new Timesheet({ tenantId, userId, weekStart });
+  timesheet.set({
+    ...summarize(rows),
+    rows,
+    status: 'SUBMITTED',
+    submittedAt: new Date(),
+    reviewedBy: undefined,
+    reviewedAt: undefined,
+    reviewComment: undefined
+  });
+  timesheet.history.push({ action: 'SUBMITTED', userId });
+  await timesheet.save();
+
+  return timesheet;
+};
+
+export const reviewTimesheet = async (timesheet, { reviewerId, approve, comment }) => {
+  if (timesheet.status !== 'SUBMITTED') {
+    throw httpError(400, `Only submitted timesheets can be reviewed (timesheet is ${timesheet.status})`);
+  }
+  if (!approve && !comment) {
+    throw httpError(400, 'A comment is required when rejecting a timesheet');
+  }
+
+  const status = approve ? 'APPROVED' : 'REJECTED';
+  timesheet.set({
+    status,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date(),
+    reviewComment: comment
+  });
+  timesheet.history.push({ action: status, userId: reviewerId, comment });
+  await timesheet.save();
+
+  return timesheet;
+};
+
+/**
+ * Email everyone in the tenant(s) who hasn't submitted the week yet. Each
+ * user is reminded once per week unless `force` is set. Weeks are taken in
+ * each tenant's timezone.
+ * Returns { week, reminded, failed }; `week` lists each distinct week when
+ * tenants are on different ones.
+ */
+export const sendTimesheetReminders = async ({ tenantId, date, force = false } = {}) => {
+  const tenants = await Tenant.find(tenantId ? { _id: tenantId } : { isActive: true })
+    .select('settings.timezone');
+
+  const weeks = new Set();
+  let reminded = 0;
+  let failed = 0;
+
+  for (const tenant of tenants) {
+    const { timezone } = resolveCalendar(tenant);
+    // Defaults to last week, which has just ended
+    const weekStart = getWeekStart(date || new Date(Date.now() - WEEK_MS), timezone);
+    const week = formatWeek(weekStart, timezone);
+    weeks.add(week);
+
+    const users = await User.find({
+      isActive: true,
+      role: { $in: ['EMPLOYEE', 'PROJECT_MANAGER'] },
+      tenantId: tenant._id
+    }).select('tenantId email firstName lastName locale');
+
+    const timesheets = await Timesheet.find({
+      weekStart,
+      userId: { $in: users.map(u => u._id) }
+    }).select('userId status reminderSentAt');
+    const byUser = new Map(timesheets.map(t => [t.userId.toString(), t]));
+
+    for (const user of users) {
+      const timesheet = byUser.get(user._id.toString());
+      if (timesheet?.isLocked()) continue;
+      if (timesheet?.reminderSentAt && !force) continue;
+
+      try {
+        await sendTimesheetReminderEmail(user.email, `${user.firstName} ${user.lastName}`, week, {
+          tenantId: user.tenantId,
+          locale: user.locale
+        });
+        await Timesheet.updateOne(
+          { userId: user._id, weekStart },
+          {
+            $set: { reminderSentAt: new Date() },
+            $setOnInsert: { tenantId: user.tenantId, status: 'DRAFT' }
+          },
+          { upsert: true }
+        );
+        reminded++;
+      } catch (error) {
+        failed++;
+        logger.error(`Timesheet reminder to ${user.email} failed:`, error);
+      }
+    }
+  }
+
+  return { week: [...weeks].sort().join(', '), reminded, failed };
+};
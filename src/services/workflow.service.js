@@ -0,0 +1,192 @@
+import {
+  DEFAULT_WORKFLOW_TRANSITIONS,
+  DEFAULT_TASK_STATUSES,
+  STATUS_CATEGORIES
+} from '../models/Task.model.js';
+import Tenant from '../models/Tenant.model.js';
+
+const USER_ROLES = ['ORG_ADMIN', 'PROJECT_MANAGER', 'EMPLOYEE'];
+const PROJECT_MEMBER_ROLES = ['MEMBER', 'LEAD', 'VIEWER'];
+
+const plainTransitions = (transitions = []) =>
+  transitions.map(t => ({
+    from: t.from,
+    to: t.to,
+    allowedRoles: [...(t.allowedRoles || [])]
+  }));
+
+/**
+ * Workflow that applies to a project's tasks:
+ * project workflow > tenant default workflow > built-in workflow.
+ * Projects with custom statuses only follow their own workflow; until they
+ * define one, any move between their statuses is allowed (source OPEN).
+ */
+export const resolveWorkflow = async (project) => {
+  if (project?.settings?.workflow?.transitions?.length) {
+    return { source: 'PROJECT', transitions: plainTransitions(project.settings.workflow.transitions) };
+  }
+
+  if (project?.usesCustomStatuses?.()) {
+    return { source: 'OPEN', transitions: [] };
+  }
+
+  const tenant = await Tenant.findById(project.tenantId).select('settings.defaultWorkflow');
+  if (tenant?.settings?.defaultWorkflow?.transitions?.length) {
+    return { source: 'TENANT', transitions: plainTransitions(tenant.settings.defaultWorkflow.transitions) };
+  }
+
+  return { source: 'DEFAULT', transitions: plainTransitions(DEFAULT_WORKFLOW_TRANSITIONS) };
+};
+
+/**
+ * Roles the user holds for this project: their account role, their project
+ * member role, and PROJECT_MANAGER when they manage or own the project.
+ */
+const getProjectRoles = (project, user) => {
+  const roles = new Set([user.role]);
+  const userId = user.id?.toString();
+
+  if (project.managerId?.toString() === userId || project.ownerId?.toString() === userId) {
+    roles.add('PROJECT_MANAGER');
+  }
+
+  const member = project.members?.find(m => m.userId?.toString() === userId);
+  if (member) roles.add(member.role);
+
+  return roles;
+};
+
+/**
+ * Check a status change against the project's workflow.
+ * Returns { allowed: true } or { allowed: false, statusCode, message, allowedStatuses }.
+ */
+export const checkStatusTransition = async ({ task, toStatus, project, user }) => {
+  if (task.status === toStatus) {
+    return { allowed: true };
+  }
+
+  // The task's project was deleted or never existed
+  if (!project?.getTaskStatuses) {
+    return {
+      allowed: false,
+      statusCode: 404,
+      message: 'Project not found',
+      allowedStatuses: []
+    };
+  }
+
+  const statuses = project.getTaskStatuses().map(s => s.key);
+  if (!statuses.includes(toStatus)) {
+    return {
+      allowed: false,
+      statusCode: 400,
+      message: `Unknown status "${toStatus}". Valid statuses: ${statuses.join(', ')}`,
+      allowedStatuses: statuses.filter(s => s !== task.status)
+    };
+  }
+
+  const workflow = await resolveWorkflow(project);
+  if (workflow.source === 'OPEN') {
+    return { allowed: true };
+  }
+
+  const roles = getProjectRoles(project, user);
+  const allowedStatuses = workflow.transitions
+    .filter(t => t.from === task.status)
+    .filter(t => !t.allowedRoles.length || t.allowedRoles.some(role => roles.has(role)))
+    .map(t => t.to);
+
+  if (!task.canTransitionTo(toStatus, workflow.transitions)) {
+    return {
+      allowed: false,
+      statusCode: 400,
+      message: `Invalid status transition from ${task.status} to ${toStatus}`,
+      allowedStatuses
+    };
+  }
+
+  const transition = workflow.transitions.find(t => t.from === task.status && t.to === toStatus);
+  if (transition.allowedRoles.length && !transition.allowedRoles.some(role => roles.has(role))) {
+    return {
+      allowed: false,
+      statusCode: 403,
+      message: `Only ${transition.allowedRoles.join('/')} can move a task from ${task.status} to ${toStatus}`,
+      allowedStatuses
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Validate a workflow definition sent by a client against the status keys it
+ * may reference (the built-in statuses unless a project's are given).
+ * Returns an error message, or null when the definition is valid.
+ */
+export const validateWorkflowTransitions = (
+  transitions,
+  statuses = DEFAULT_TASK_STATUSES.map(s => s.key)
+) => {
+  if (!Array.isArray(transitions)) {
+    return 'transitions must be an array of { from, to, allowedRoles }';
+  }
+
+  const roles = [...USER_ROLES, ...PROJECT_MEMBER_ROLES];
+  const seen = new Set();
+
+  for (const transition of transitions) {
+    const { from, to, allowedRoles = [] } = transition || {};
+
+    if (!statuses.includes(from) || !statuses.includes(to)) {
+      return `Unknown status in transition ${from} -> ${to}. Valid statuses: ${statuses.join(', ')}`;
+    }
+    if (from === to) {
+      return `Transition ${from} -> ${to} must change the status`;
+    }
+    if (!Array.isArray(allowedRoles) || allowedRoles.some(role => !roles.includes(role))) {
+      return `Invalid allowedRoles for ${from} -> ${to}. Valid roles: ${roles.join(', ')}`;
+    }
+
+    const key = `${from}->${to}`;
+    if (seen.has(key)) {
+      return `Duplicate transition ${from} -> ${to}`;
+    }
+    seen.add(key);
+  }
+
+  return null;
+};
+
+/**
+ * Validate a project's custom status list.
+ * Returns an error message, or null when the definition is valid.
+ */
+export const validateTaskStatuses = (statuses) => {
+  if (!Array.isArray(statuses)) {
+    return 'statuses must be an array of { key, name, category }';
+  }
+
+  const keys = new Set();
+  for (const status of statuses) {
+    const key = status?.key?.toString().trim().toUpperCase();
+    if (!key || !/^[A-Z0-9_]+$/.test(key)) {
+      return `Invalid status key "${status?.key}". Use letters, numbers and underscores`;
+    }
+    if (!status.name) {
+      return `Status ${key} needs a name`;
+    }
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      return `Invalid category for ${key}. Valid categories: ${STATUS_CATEGORIES.join(', ')}`;
+    }
+    if (keys.has(key)) {
+      return `Duplicate status key ${key}`;
+    }
+    keys.add(key);
+  }
+
+  if (statuses.length && !statuses.some(s => s.category === 'TODO')) {
+    return 'At least one status must be in the TODO category';
+  }
+
+  return null;
+};
@@ -1,3 +1,4 @@
+import { replayNotifications } from '../services/notification.service.js';
 import logger from '../utils/logger.js';
 
 const socketHandler = (socket, io) => {
@@ -10,6 +11,11 @@ const socketHandler = (socket, io) => {
     const roomName = `user:${userIdStr}`;
     socket.join(roomName);
     logger.info(`✅ Socket ${socket.id} auto-joined user room: ${roomName} (from auth)`);
+
+    // Notifications stored while the user had no socket connected
+    replayNotifications(socket, userIdStr)
+      .then(count => count && logger.info(`Replayed ${count} notification(s) to socket ${socket.id}`))
+      .catch(error => logger.error(`Error replaying notifications to socket ${socket.id}:`, error));
   }
 
   // Join user room for personal notifications (manual join)
@@ -62,16 +68,8 @@ const socketHandler = (socket, io) => {
     logger.info(`Task ${taskId} status updated to ${status}`);
   });
 
-  // Handle task comments
-  socket.on('task:comment:add', (data) => {
-    const { taskId, comment, tenantId } = data;
-    io.to(`task:${taskId}`).emit('task:comment:added', {
-      taskId,
-      comment,
-      timestamp: new Date()
-    });
-    logger.info(`Comment added to task ${taskId}`);
-  });
+  // Comment events (task:comment:added/updated/deleted/reaction) are emitted by
+  // the comments API after each change, see services/comment.service.js
 
   // Handle typing indicators
   socket.on('task:typing:start', (data) => {
@@ -0,0 +1,83 @@
+export default {
+  name: 'digest',
+  description: 'Daily or weekly digest of unread notifications',
+  // items: [{ title, message, url }], newest first; `more` are left out of the list
+  variables: ['userName', 'weekly', 'items', 'total', 'more', 'notificationsUrl'],
+  sample: {
+    userName: 'Jane Doe',
+    weekly: false,
+    items: [
+      {
+        title: 'New Task Assigned',
+        message: 'You have been assigned to task "Fix checkout timeout" in project "Web Shop"',
+        url: 'http://localhost:5173/tasks/000000000000000000000000'
+      },
+      {
+        title: 'Task Unblocked',
+        message: '"Release 2.4" is no longer blocked: "Fix checkout timeout" was completed',
+        url: 'http://localhost:5173/tasks/000000000000000000000001'
+      }
+    ],
+    total: 3,
+    more: 1,
+    notificationsUrl: 'http://localhost:5173/notifications'
+  },
+  locales: {
+    en: {
+      subject: 'Your {{#if weekly}}weekly{{else}}daily{{/if}} digest: {{total}} unread {{plural total "notification" "notifications"}} - {{brand.name}}',
+      html: `<h2>Your {{#if weekly}}weekly{{else}}daily{{/if}} digest</h2>
+<p>Hello {{userName}},</p>
+<p>You have <b>{{total}}</b> unread {{plural total "notification" "notifications"}}:</p>
+<ul>
+  {{#each items}}
+  <li><a href="{{url}}"><b>{{title}}</b></a> - {{message}}</li>
+  {{/each}}
+</ul>
+{{#if more}}<p>...and {{more}} more.</p>{{/if}}
+{{> button url=notificationsUrl label="Open Notifications"}}`,
+      text: `Your {{#if weekly}}weekly{{else}}daily{{/if}} digest - {{brand.name}}
+
+Hello {{userName}},
+
+You have {{total}} unread {{plural total "notification" "notifications"}}:
+
+{{#each items}}
+- {{title}}: {{message}}
+  {{url}}
+{{/each}}
+{{#if more}}
+...and {{more}} more.
+{{/if}}
+
+{{notificationsUrl}}`
+    },
+    es: {
+      subject: 'Tu resumen {{#if weekly}}semanal{{else}}diario{{/if}}: {{total}} {{plural total "notificación sin leer" "notificaciones sin leer"}} - {{brand.name}}',
+      html: `<h2>Tu resumen {{#if weekly}}semanal{{else}}diario{{/if}}</h2>
+<p>Hola {{userName}}:</p>
+<p>Tienes <b>{{total}}</b> {{plural total "notificación sin leer" "notificaciones sin leer"}}:</p>
+<ul>
+  {{#each items}}
+  <li><a href="{{url}}"><b>{{title}}</b></a> - {{message}}</li>
+  {{/each}}
+</ul>
+{{#if more}}<p>...y {{more}} más.</p>{{/if}}
+{{> button url=notificationsUrl label="Abrir notificaciones"}}`,
+      text: `Tu resumen {{#if weekly}}semanal{{else}}diario{{/if}} - {{brand.name}}
+
+Hola {{userName}}:
+
+Tienes {{total}} {{plural total "notificación sin leer" "notificaciones sin leer"}}:
+
+{{#each items}}
+- {{title}}: {{message}}
+  {{url}}
+{{/each}}
+{{#if more}}
+...y {{more}} más.
+{{/if}}
+
+{{notificationsUrl}}`
+    }
+  }
+};
@@ -0,0 +1,22 @@
+import passwordReset from './passwordReset.js';
+import welcome from './welcome.js';
+import timesheetReminder from './timesheetReminder.js';
+import slaBreach from './slaBreach.js';
+import mention from './mention.js';
+import notification from './notification.js';
+import digest from './digest.js';
+
+export { default as layouts } from './layouts.js';
+export { default as partials } from './partials.js';
+
+// Registered by services/emailTemplate.service.js. Each template has an `en`
+// variant (the fallback) and declares the variables it needs.
+export const templates = [
+  passwordReset,
+  welcome,
+  timesheetReminder,
+  slaBreach,
+  mention,
+  notification,
+  digest
+];
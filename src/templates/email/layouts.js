@@ -0,0 +1,39 @@
+// Frames every email is rendered into. `body` is the rendered template,
+// `brand` the tenant's branding (see services/emailTemplate.service.js).
+
+const htmlLayout = (footer) => `<!DOCTYPE html>
+<html lang="{{locale}}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>{{subject}}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#333;">
+  <div style="max-width:600px;margin:0 auto;padding:24px;">
+    {{> header}}
+    <div style="background:#fff;border-radius:8px;padding:24px;">
+      {{{body}}}
+    </div>
+    <p style="margin-top:16px;font-size:12px;color:#888;text-align:center;">${footer}</p>
+  </div>
+</body>
+</html>`;
+
+const textLayout = `{{{body}}}
+
+--
+{{brand.name}}
+`;
+
+export default {
+  default: {
+    en: {
+      html: htmlLayout('You are receiving this email because you have an account at {{brand.name}}.'),
+      text: textLayout
+    },
+    es: {
+      html: htmlLayout('Recibes este correo porque tienes una cuenta en {{brand.name}}.'),
+      text: textLayout
+    }
+  }
+};
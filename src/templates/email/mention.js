@@ -0,0 +1,49 @@
+export default {
+  name: 'mention',
+  description: 'Someone @mentioned the user in a comment',
+  variables: ['userName', 'authorName', 'taskTitle', 'projectName', 'excerpt', 'taskUrl'],
+  sample: {
+    userName: 'Jane Doe',
+    authorName: 'John Smith',
+    taskTitle: 'Fix checkout timeout',
+    projectName: 'Web Shop',
+    excerpt: '@jane.doe can you check the payment logs?',
+    taskUrl: 'http://localhost:5173/tasks/000000000000000000000000'
+  },
+  locales: {
+    en: {
+      subject: '{{authorName}} mentioned you on {{taskTitle}} - {{brand.name}}',
+      html: `<h2>You were mentioned</h2>
+<p>Hello {{userName}},</p>
+<p><b>{{authorName}}</b> mentioned you in a comment on <b>{{taskTitle}}</b> in project <b>{{projectName}}</b>:</p>
+{{> quote text=excerpt}}
+{{> button url=taskUrl label="View Comment"}}`,
+      text: `You were mentioned - {{brand.name}}
+
+Hello {{userName}},
+
+{{authorName}} mentioned you in a comment on "{{taskTitle}}" in project "{{projectName}}":
+
+"{{excerpt}}"
+
+{{taskUrl}}`
+    },
+    es: {
+      subject: '{{authorName}} te mencionó en {{taskTitle}} - {{brand.name}}',
+      html: `<h2>Te mencionaron</h2>
+<p>Hola {{userName}}:</p>
+<p><b>{{authorName}}</b> te mencionó en un comentario en <b>{{taskTitle}}</b> del proyecto <b>{{projectName}}</b>:</p>
+{{> quote text=excerpt}}
+{{> button url=taskUrl label="Ver comentario"}}`,
+      text: `Te mencionaron - {{brand.name}}
+
+Hola {{userName}}:
+
+{{authorName}} te mencionó en un comentario en "{{taskTitle}}" del proyecto "{{projectName}}":
+
+"{{excerpt}}"
+
+{{taskUrl}}`
+    }
+  }
+};
@@ -0,0 +1,42 @@
+// Generic email for notification types that have no template of their own
+export default {
+  name: 'notification',
+  description: 'A notification sent by email (EMAIL channel in notification preferences)',
+  variables: ['userName', 'title', 'message', 'url'],
+  sample: {
+    userName: 'Jane Doe',
+    title: 'New Task Assigned',
+    message: 'You have been assigned to task "Fix checkout timeout" in project "Web Shop"',
+    url: 'http://localhost:5173/tasks/000000000000000000000000'
+  },
+  locales: {
+    en: {
+      subject: '{{title}} - {{brand.name}}',
+      html: `<h2>{{title}}</h2>
+<p>Hello {{userName}},</p>
+<p>{{message}}</p>
+{{> button url=url label="View"}}`,
+      text: `{{title}} - {{brand.name}}
+
+Hello {{userName}},
+
+{{message}}
+
+{{url}}`
+    },
+    es: {
+      subject: '{{title}} - {{brand.name}}',
+      html: `<h2>{{title}}</h2>
+<p>Hola {{userName}}:</p>
+<p>{{message}}</p>
+{{> button url=url label="Ver"}}`,
+      text: `{{title}} - {{brand.name}}
+
+Hola {{userName}}:
+
+{{message}}
+
+{{url}}`
+    }
+  }
+};
@@ -0,0 +1,21 @@
+// Building blocks shared by the HTML templates: {{> name key=value}}
+export default {
+  header: `<div style="padding:0 0 16px;text-align:center;">
+  {{#if brand.logoUrl}}
+  <img src="{{brand.logoUrl}}" alt="{{brand.name}}" style="max-height:48px;">
+  {{else}}
+  <span style="font-size:20px;font-weight:bold;color:{{brand.primaryColor}};">{{brand.name}}</span>
+  {{/if}}
+</div>`,
+
+  // {{> button url=... label=...}}
+  button: `<p>
+  <a href="{{url}}"
+     style="display:inline-block;padding:10px 20px;background:{{@root.brand.primaryColor}};color:#fff;text-decoration:none;border-radius:5px;">
+    {{label}}
+  </a>
+</p>`,
+
+  // {{> quote text=...}}
+  quote: `<blockquote style="margin:0 0 16px;padding:8px 12px;border-left:3px solid {{@root.brand.primaryColor}};color:#555;">{{text}}</blockquote>`
+};
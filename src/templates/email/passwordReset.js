@@ -0,0 +1,46 @@
+export default {
+  name: 'password-reset',
+  description: 'Link to choose a new password',
+  variables: ['userName', 'resetUrl', 'expiresInMinutes'],
+  sample: {
+    userName: 'Jane Doe',
+    resetUrl: 'http://localhost:5173/reset-password?token=sample-token',
+    expiresInMinutes: 15
+  },
+  locales: {
+    en: {
+      subject: 'Password Reset Request - {{brand.name}}',
+      html: `<h2>Password Reset</h2>
+<p>Hello {{userName}},</p>
+<p>You requested to reset your password.</p>
+{{> button url=resetUrl label="Reset Password"}}
+<p>This link will expire in <b>{{expiresInMinutes}} minutes</b>.</p>
+<p>If you didn't request this, ignore this email.</p>`,
+      text: `Password Reset - {{brand.name}}
+
+Hello {{userName}},
+
+Reset your password using the link below:
+{{resetUrl}}
+
+This link expires in {{expiresInMinutes}} minutes.`
+    },
+    es: {
+      subject: 'Solicitud de restablecimiento de contraseña - {{brand.name}}',
+      html: `<h2>Restablecer contraseña</h2>
+<p>Hola {{userName}}:</p>
+<p>Solicitaste restablecer tu contraseña.</p>
+{{> button url=resetUrl label="Restablecer contraseña"}}
+<p>Este enlace caduca en <b>{{expiresInMinutes}} minutos</b>.</p>
+<p>Si no lo solicitaste, ignora este correo.</p>`,
+      text: `Restablecer contraseña - {{brand.name}}
+
+Hola {{userName}}:
+
+Restablece tu contraseña con el siguiente enlace:
+{{resetUrl}}
+
+Este enlace caduca en {{expiresInMinutes}} minutos.`
+    }
+  }
+};
@@ -0,0 +1,40 @@
+export default {
+  name: 'sla-breach',
+  description: 'A task missed its SLA target',
+  variables: ['userName', 'taskTitle', 'projectName', 'targetDate', 'taskUrl'],
+  sample: {
+    userName: 'Jane Doe',
+    taskTitle: 'Fix checkout timeout',
+    projectName: 'Web Shop',
+    targetDate: '2026-01-09',
+    taskUrl: 'http://localhost:5173/tasks/000000000000000000000000'
+  },
+  locales: {
+    en: {
+      subject: 'SLA breached: {{taskTitle}} - {{brand.name}}',
+      html: `<h2>SLA Breached</h2>
+<p>Hello {{userName}},</p>
+<p>The task <b>{{taskTitle}}</b> in project <b>{{projectName}}</b> missed its SLA target of <b>{{targetDate}}</b>.</p>
+{{> button url=taskUrl label="View Task"}}`,
+      text: `SLA Breached - {{brand.name}}
+
+Hello {{userName}},
+
+The task "{{taskTitle}}" in project "{{projectName}}" missed its SLA target of {{targetDate}}:
+{{taskUrl}}`
+    },
+    es: {
+      subject: 'SLA incumplido: {{taskTitle}} - {{brand.name}}',
+      html: `<h2>SLA incumplido</h2>
+<p>Hola {{userName}}:</p>
+<p>La tarea <b>{{taskTitle}}</b> del proyecto <b>{{projectName}}</b> no cumplió su objetivo de SLA del <b>{{targetDate}}</b>.</p>
+{{> button url=taskUrl label="Ver tarea"}}`,
+      text: `SLA incumplido - {{brand.name}}
+
+Hola {{userName}}:
+
+La tarea "{{taskTitle}}" del proyecto "{{projectName}}" no cumplió su objetivo de SLA del {{targetDate}}:
+{{taskUrl}}`
+    }
+  }
+};
@@ -0,0 +1,38 @@
+export default {
+  name: 'timesheet-reminder',
+  description: 'Reminder to submit last week\'s timesheet',
+  variables: ['userName', 'weekStart', 'timesheetUrl'],
+  sample: {
+    userName: 'Jane Doe',
+    weekStart: '2026-01-05',
+    timesheetUrl: 'http://localhost:5173/timesheets?week=2026-01-05'
+  },
+  locales: {
+    en: {
+      subject: 'Timesheet reminder: week of {{weekStart}} - {{brand.name}}',
+      html: `<h2>Timesheet Reminder</h2>
+<p>Hello {{userName}},</p>
+<p>Your timesheet for the week of <b>{{weekStart}}</b> hasn't been submitted yet.</p>
+{{> button url=timesheetUrl label="Review and Submit"}}`,
+      text: `Timesheet Reminder - {{brand.name}}
+
+Hello {{userName}},
+
+Your timesheet for the week of {{weekStart}} hasn't been submitted yet:
+{{timesheetUrl}}`
+    },
+    es: {
+      subject: 'Recordatorio de hoja de horas: semana del {{weekStart}} - {{brand.name}}',
+      html: `<h2>Recordatorio de hoja de horas</h2>
+<p>Hola {{userName}}:</p>
+<p>Tu hoja de horas de la semana del <b>{{weekStart}}</b> aún no se ha enviado.</p>
+{{> button url=timesheetUrl label="Revisar y enviar"}}`,
+      text: `Recordatorio de hoja de horas - {{brand.name}}
+
+Hola {{userName}}:
+
+Tu hoja de horas de la semana del {{weekStart}} aún no se ha enviado:
+{{timesheetUrl}}`
+    }
+  }
+};
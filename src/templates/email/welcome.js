@@ -0,0 +1,31 @@
+export default {
+  name: 'welcome',
+  description: 'Sent when an account is created',
+  variables: ['userName', 'loginUrl'],
+  sample: {
+    userName: 'Jane Doe',
+    loginUrl: 'http://localhost:5173/login'
+  },
+  locales: {
+    en: {
+      subject: 'Welcome to {{brand.name}}',
+      html: `<h2>Welcome {{userName}} 👋</h2>
+<p>Your account has been created successfully.</p>
+{{> button url=loginUrl label="Login"}}`,
+      text: `Welcome {{userName}},
+
+Your account has been created successfully. Log in here:
+{{loginUrl}}`
+    },
+    es: {
+      subject: 'Bienvenido a {{brand.name}}',
+      html: `<h2>Bienvenido, {{userName}} 👋</h2>
+<p>Tu cuenta se ha creado correctamente.</p>
+{{> button url=loginUrl label="Iniciar sesión"}}`,
+      text: `Bienvenido, {{userName}}:
+
+Tu cuenta se ha creado correctamente. Inicia sesión aquí:
+{{loginUrl}}`
+    }
+  }
+};
@@ -0,0 +1,64 @@
+// Lexicographic ranks for manually ordered lists (board columns).
+// A rank is a base-36 string; sorting ranks as strings gives the list order,
+// and a new rank can always be generated between two neighbours without
+// renumbering the rest of the list.
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+const APPEND_WIDTH = 4;
+
+const increment = (rank) => {
+  const digits = [...rank].map(d => DIGITS.indexOf(d));
+  for (let i = digits.length - 1; i >= 0; i--) {
+    if (digits[i] < BASE - 1) {
+      digits[i] += 1;
+      return digits.map(d => DIGITS[d]).join('');
+    }
+    digits[i] = 0;
+  }
+  // Every digit was the largest one: go one digit deeper instead
+  return rank + DIGITS[BASE / 2];
+};
+
+/**
+ * Rank that sorts strictly between `before` and `after`.
+ * Pass null for `before` to insert at the top, null for `after` to append.
+ */
+export const rankBetween = (before = null, after = null) => {
+  if (before && after && before >= after) {
+    throw new Error(`Cannot rank between "${before}" and "${after}"`);
+  }
+
+  // Appending is the common case (new tasks); step past `before` instead of
+  // halving the remaining space so ranks don't grow by a digit every few inserts
+  if (before && !after) {
+    return increment(before.padEnd(APPEND_WIDTH, '0'));
+  }
+
+  let rank = '';
+  let upper = after;
+  for (let i = 0; ; i++) {
+    const low = before && i < before.length ? DIGITS.indexOf(before[i]) : 0;
+    const high = upper && i < upper.length ? DIGITS.indexOf(upper[i]) : BASE;
+
+    if (high - low > 1) {
+      return rank + DIGITS[Math.floor((low + high) / 2)];
+    }
+
+    rank += DIGITS[low];
+    // Once the prefix is below `after`, only `before` limits the next digits
+    if (low < high) upper = null;
+  }
+};
+
+/**
+ * `count` evenly spaced ranks, used to (re)number a whole list at once.
+ */
+export const initialRanks = (count) => {
+  const width = Math.max(2, Math.ceil(Math.log(count + 2) / Math.log(BASE)) + 1);
+  const step = Math.floor(BASE ** width / (count + 1));
+
+  return Array.from({ length: count }, (_, i) =>
+    ((i + 1) * step).toString(BASE).padStart(width, '0')
+  );
+};
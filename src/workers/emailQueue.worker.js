@@ -0,0 +1,42 @@
+import { processNextEmail } from '../services/emailQueue.service.js';
+import { isEmailConfigured } from '../services/email.service.js';
+import logger from '../utils/logger.js';
+
+let timer = null;
+let running = false;
+
+// Send everything that is due, then wait for the next tick
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    while (await processNextEmail()) {
+      // keep going until nothing is due
+    }
+  } catch (error) {
+    logger.error('Email queue worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process worker that sends queued emails and retries failed ones
+ */
+export const startEmailQueueWorker = ({ intervalMs = 5000 } = {}) => {
+  if (timer) return;
+  if (!isEmailConfigured()) {
+    logger.warn('Email queue worker not started: email is not configured');
+    return;
+  }
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  logger.info(`Email queue worker started (polling every ${intervalMs}ms)`);
+};
+
+export const stopEmailQueueWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
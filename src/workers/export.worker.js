@@ -0,0 +1,38 @@
+import { processNextExportJob, removeExpiredExportArtifacts } from '../services/exportJob.service.js';
+import logger from '../utils/logger.js';
+
+let timer = null;
+let running = false;
+
+// Drain the queue and clear out expired files, then wait for the next tick
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    while (await processNextExportJob()) {
+      // keep going until the queue is empty
+    }
+    await removeExpiredExportArtifacts();
+  } catch (error) {
+    logger.error('Export worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process worker that renders queued report exports
+ */
+export const startExportWorker = ({ intervalMs = 5000 } = {}) => {
+  if (timer) return;
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  logger.info(`Export worker started (polling every ${intervalMs}ms)`);
+};
+
+export const stopExportWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,43 @@
+import { sendNotificationDigests } from '../services/digest.service.js';
+import { isEmailConfigured } from '../services/email.service.js';
+import logger from '../utils/logger.js';
+
+let timer = null;
+let running = false;
+
+// Send the daily/weekly digests that are due; each user gets one per period
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { sent, failed } = await sendNotificationDigests();
+    if (sent || failed) {
+      logger.info(`Notification digests: ${sent} sent, ${failed} failed`);
+    }
+  } catch (error) {
+    logger.error('Notification digest worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process worker that emails notification digests
+ */
+export const startNotificationDigestWorker = ({ intervalMs = 15 * 60 * 1000 } = {}) => {
+  if (timer) return;
+  if (!isEmailConfigured()) {
+    logger.warn('Notification digest worker not started: email is not configured');
+    return;
+  }
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  logger.info(`Notification digest worker started (checking every ${intervalMs}ms)`);
+};
+
+export const stopNotificationDigestWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
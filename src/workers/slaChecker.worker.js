@@ -0,0 +1,38 @@
+import { checkSlaBreaches } from '../services/sla.service.js';
+import logger from '../utils/logger.js';
+
+let timer = null;
+let running = false;
+
+// Mark tasks past their SLA target as breached and notify their assignee and manager
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { breached } = await checkSlaBreaches();
+    if (breached) {
+      logger.info(`SLA checker: ${breached} task(s) breached their SLA`);
+    }
+  } catch (error) {
+    logger.error('SLA checker worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process worker that evaluates task SLAs
+ */
+export const startSlaCheckerWorker = ({ intervalMs = 15 * 60 * 1000 } = {}) => {
+  if (timer) return;
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  logger.info(`SLA checker worker started (checking every ${intervalMs}ms)`);
+};
+
+export const stopSlaCheckerWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,43 @@
+import { sendTimesheetReminders } from '../services/timesheet.service.js';
+import { isEmailConfigured } from '../services/email.service.js';
+import logger from '../utils/logger.js';
+
+let timer = null;
+let running = false;
+
+// Remind everyone who hasn't submitted last week; users already reminded are skipped
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { week, reminded, failed } = await sendTimesheetReminders();
+    if (reminded || failed) {
+      logger.info(`Timesheet reminders for week of ${week}: ${reminded} sent, ${failed} failed`);
+    }
+  } catch (error) {
+    logger.error('Timesheet reminder worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process worker that emails reminders for unsubmitted timesheets
+ */
+export const startTimesheetReminderWorker = ({ intervalMs = 60 * 60 * 1000 } = {}) => {
+  if (timer) return;
+  if (!isEmailConfigured()) {
+    logger.warn('Timesheet reminder worker not started: email is not configured');
+    return;
+  }
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  logger.info(`Timesheet reminder worker started (checking every ${intervalMs}ms)`);
+};
+
+export const stopTimesheetReminderWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
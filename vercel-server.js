@@ -22,6 +22,14 @@ import auditRoutes from "./src/routes/audit.routes.js";
 import dashboardRoutes from "./src/routes/dashboard.routes.js";
 import reportRoutes from "./src/routes/report.routes.js";
 import permissionRoutes from "./src/routes/permission.routes.js";
+import sprintRoutes from "./src/routes/sprint.routes.js";
+import timeEntryRoutes from "./src/routes/timeEntry.routes.js";
+import timesheetRoutes from "./src/routes/timesheet.routes.js";
+import attachmentRoutes from "./src/routes/attachment.routes.js";
+import notificationRoutes from "./src/routes/notification.routes.js";
+import emailTemplateRoutes from "./src/routes/emailTemplate.routes.js";
+import emailDeliveryRoutes from "./src/routes/emailDelivery.routes.js";
+import cronRoutes from "./src/routes/cron.routes.js";
 
 // Load environment variables
 dotenv.config();
@@ -116,6 +124,14 @@ app.use("/api/tasks", taskRoutes);
 app.use("/api/audit", auditRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/permissions", permissionRoutes);
+app.use("/api/sprints", sprintRoutes);
+app.use("/api/time-entries", timeEntryRoutes);
+app.use("/api/timesheets", timesheetRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/email-templates", emailTemplateRoutes);
+app.use("/api/email-deliveries", emailDeliveryRoutes);
+app.use("/api/cron", cronRoutes);
 
 // Error handling middleware (must be last)
 app.use(notFound);